@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `RefreshToken` ADD COLUMN `familyId` VARCHAR(191) NOT NULL,
+    ADD COLUMN `revokedReason` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE INDEX `RefreshToken_familyId_idx` ON `RefreshToken`(`familyId`);
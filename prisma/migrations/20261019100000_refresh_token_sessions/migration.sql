@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `RefreshToken` ADD COLUMN `userAgent` VARCHAR(191) NULL,
+    ADD COLUMN `ipAddress` VARCHAR(191) NULL;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `tokenVersion` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `tokensRevokedReason` VARCHAR(191) NULL;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `failedLoginCount` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `lastFailedLoginAt` DATETIME(3) NULL,
+    ADD COLUMN `lockedUntil` DATETIME(3) NULL;
@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `totpEnabled` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `totpEnabledAt` DATETIME(3) NULL,
+    ADD COLUMN `totpSecret` VARCHAR(255) NULL,
+    ADD COLUMN `totpLastUsedStep` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `TotpRecoveryCode` (
+    `id` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `codeHash` VARCHAR(191) NOT NULL,
+    `usedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `TotpRecoveryCode_userId_idx`(`userId`),
+    INDEX `TotpRecoveryCode_codeHash_idx`(`codeHash`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `SystemSetting` (
+    `key` VARCHAR(191) NOT NULL,
+    `value` JSON NOT NULL,
+    `updatedByUserId` VARCHAR(191) NULL,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`key`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `TotpRecoveryCode` ADD CONSTRAINT `TotpRecoveryCode_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
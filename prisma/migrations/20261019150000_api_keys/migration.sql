@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE `ApiKey` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `prefix` VARCHAR(191) NOT NULL,
+    `keyHash` VARCHAR(191) NOT NULL,
+    `scopes` JSON NOT NULL,
+    `facilityId` VARCHAR(191) NULL,
+    `expiresAt` DATETIME(3) NULL,
+    `lastUsedAt` DATETIME(3) NULL,
+    `lastUsedIp` VARCHAR(191) NULL,
+    `revokedAt` DATETIME(3) NULL,
+    `createdByUserId` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `ApiKey_prefix_key`(`prefix`),
+    UNIQUE INDEX `ApiKey_keyHash_key`(`keyHash`),
+    INDEX `ApiKey_facilityId_idx`(`facilityId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `ApiKey` ADD CONSTRAINT `ApiKey_facilityId_fkey` FOREIGN KEY (`facilityId`) REFERENCES `Facility`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE `AuditLog` (
+    `id` VARCHAR(191) NOT NULL,
+    `actorUserId` VARCHAR(191) NULL,
+    `actorApiKeyId` VARCHAR(191) NULL,
+    `actorRole` VARCHAR(191) NULL,
+    `action` VARCHAR(191) NOT NULL,
+    `entityType` VARCHAR(191) NULL,
+    `entityId` VARCHAR(191) NULL,
+    `before` JSON NULL,
+    `after` JSON NULL,
+    `changes` JSON NULL,
+    `metadata` JSON NULL,
+    `method` VARCHAR(191) NULL,
+    `path` VARCHAR(512) NULL,
+    `statusCode` INTEGER NULL,
+    `requestId` VARCHAR(191) NULL,
+    `ipAddress` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `AuditLog_entityType_entityId_idx`(`entityType`, `entityId`),
+    INDEX `AuditLog_actorUserId_idx`(`actorUserId`),
+    INDEX `AuditLog_action_idx`(`action`),
+    INDEX `AuditLog_requestId_idx`(`requestId`),
+    INDEX `AuditLog_createdAt_idx`(`createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
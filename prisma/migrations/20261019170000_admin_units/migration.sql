@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE `Facility` ADD COLUMN `adminUnitId` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `adminUnitId` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `AdminUnit` (
+    `id` VARCHAR(191) NOT NULL,
+    `code` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `level` ENUM('COUNTRY', 'COUNTY', 'SUB_COUNTY') NOT NULL,
+    `parentId` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `AdminUnit_code_key`(`code`),
+    INDEX `AdminUnit_parentId_idx`(`parentId`),
+    INDEX `AdminUnit_level_idx`(`level`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `Facility_adminUnitId_idx` ON `Facility`(`adminUnitId`);
+
+-- CreateIndex
+CREATE INDEX `User_adminUnitId_idx` ON `User`(`adminUnitId`);
+
+-- AddForeignKey
+ALTER TABLE `Facility` ADD CONSTRAINT `Facility_adminUnitId_fkey` FOREIGN KEY (`adminUnitId`) REFERENCES `AdminUnit`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `User` ADD CONSTRAINT `User_adminUnitId_fkey` FOREIGN KEY (`adminUnitId`) REFERENCES `AdminUnit`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `AdminUnit` ADD CONSTRAINT `AdminUnit_parentId_fkey` FOREIGN KEY (`parentId`) REFERENCES `AdminUnit`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
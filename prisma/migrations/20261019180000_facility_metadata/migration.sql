@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE `Facility` ADD COLUMN `isActive` BOOLEAN NOT NULL DEFAULT true,
+    ADD COLUMN `deactivatedAt` DATETIME(3) NULL,
+    ADD COLUMN `latitude` DOUBLE NULL,
+    ADD COLUMN `longitude` DOUBLE NULL,
+    ADD COLUMN `inChargeName` VARCHAR(191) NULL,
+    ADD COLUMN `inChargePhone` VARCHAR(191) NULL,
+    ADD COLUMN `inChargeEmail` VARCHAR(191) NULL,
+    ADD COLUMN `catchmentPopulation` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `Facility_isActive_idx` ON `Facility`(`isActive`);
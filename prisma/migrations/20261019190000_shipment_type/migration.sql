@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `Shipment` ADD COLUMN `type` ENUM('DISTRIBUTION', 'TRANSFER') NOT NULL DEFAULT 'DISTRIBUTION';
+
+-- CreateIndex
+CREATE INDEX `Shipment_type_idx` ON `Shipment`(`type`);
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `Shipment` MODIFY `status` ENUM('PENDING_APPROVAL', 'DISPATCHED', 'RECEIVED', 'CANCELLED') NOT NULL DEFAULT 'DISPATCHED',
+    MODIFY `type` ENUM('DISTRIBUTION', 'TRANSFER', 'REDISTRIBUTION') NOT NULL DEFAULT 'DISTRIBUTION',
+    ADD COLUMN `approvedByUserId` VARCHAR(191) NULL,
+    ADD COLUMN `approvedAt` DATETIME(3) NULL;
+
+-- AddForeignKey
+ALTER TABLE `Shipment` ADD CONSTRAINT `Shipment_approvedByUserId_fkey` FOREIGN KEY (`approvedByUserId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `Box` MODIFY `status` ENUM('CREATED', 'IN_WAREHOUSE', 'IN_TRANSIT', 'IN_FACILITY', 'DISPENSED', 'VOID', 'QUARANTINED') NOT NULL DEFAULT 'CREATED';
+
+-- AlterTable
+ALTER TABLE `Shipment` MODIFY `type` ENUM('DISTRIBUTION', 'TRANSFER', 'REDISTRIBUTION', 'RETURN') NOT NULL DEFAULT 'DISTRIBUTION',
+    ADD COLUMN `returnReason` ENUM('NEAR_EXPIRY', 'DAMAGED', 'PROGRAM_CLOSURE') NULL;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE `Shipment` ADD COLUMN `cancelledByUserId` VARCHAR(191) NULL,
+    ADD COLUMN `cancelledAt` DATETIME(3) NULL,
+    ADD COLUMN `cancelReason` VARCHAR(191) NULL;
+
+-- AddForeignKey
+ALTER TABLE `Shipment` ADD CONSTRAINT `Shipment_cancelledByUserId_fkey` FOREIGN KEY (`cancelledByUserId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE `Shipment` MODIFY `status` ENUM('PENDING_APPROVAL', 'DISPATCHED', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CANCELLED') NOT NULL DEFAULT 'DISPATCHED';
+
+-- AlterTable
+ALTER TABLE `ShipmentItem` ADD COLUMN `outcome` ENUM('RECEIVED', 'DAMAGED', 'MISSING') NULL;
+
+-- CreateTable
+CREATE TABLE `ShipmentDiscrepancy` (
+    `id` VARCHAR(191) NOT NULL,
+    `shipmentId` VARCHAR(191) NOT NULL,
+    `type` ENUM('MISSING', 'DAMAGED', 'EXTRA') NOT NULL,
+    `boxUid` VARCHAR(191) NOT NULL,
+    `boxId` VARCHAR(191) NULL,
+    `note` VARCHAR(191) NULL,
+    `reportedByUserId` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `acknowledgedByUserId` VARCHAR(191) NULL,
+    `acknowledgedAt` DATETIME(3) NULL,
+    `acknowledgementNote` VARCHAR(191) NULL,
+
+    INDEX `ShipmentDiscrepancy_shipmentId_idx`(`shipmentId`),
+    INDEX `ShipmentDiscrepancy_boxId_idx`(`boxId`),
+    INDEX `ShipmentDiscrepancy_acknowledgedAt_idx`(`acknowledgedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `ShipmentDiscrepancy` ADD CONSTRAINT `ShipmentDiscrepancy_shipmentId_fkey` FOREIGN KEY (`shipmentId`) REFERENCES `Shipment`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ShipmentDiscrepancy` ADD CONSTRAINT `ShipmentDiscrepancy_boxId_fkey` FOREIGN KEY (`boxId`) REFERENCES `Box`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ShipmentDiscrepancy` ADD CONSTRAINT `ShipmentDiscrepancy_reportedByUserId_fkey` FOREIGN KEY (`reportedByUserId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ShipmentDiscrepancy` ADD CONSTRAINT `ShipmentDiscrepancy_acknowledgedByUserId_fkey` FOREIGN KEY (`acknowledgedByUserId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
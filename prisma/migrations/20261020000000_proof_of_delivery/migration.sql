@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE `Shipment` ADD COLUMN `courierName` VARCHAR(191) NULL,
+    ADD COLUMN `vehiclePlate` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `ShipmentAttachment` (
+    `id` VARCHAR(191) NOT NULL,
+    `shipmentId` VARCHAR(191) NOT NULL,
+    `kind` ENUM('SIGNATURE', 'SIGNED_WAYBILL') NOT NULL,
+    `storageKey` VARCHAR(512) NOT NULL,
+    `contentType` VARCHAR(191) NOT NULL,
+    `sizeBytes` INTEGER NOT NULL,
+    `uploadedByUserId` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `ShipmentAttachment_shipmentId_kind_key`(`shipmentId`, `kind`),
+    INDEX `ShipmentAttachment_uploadedByUserId_fkey`(`uploadedByUserId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `ShipmentAttachment` ADD CONSTRAINT `ShipmentAttachment_shipmentId_fkey` FOREIGN KEY (`shipmentId`) REFERENCES `Shipment`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ShipmentAttachment` ADD CONSTRAINT `ShipmentAttachment_uploadedByUserId_fkey` FOREIGN KEY (`uploadedByUserId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
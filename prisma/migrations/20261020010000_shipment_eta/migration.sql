@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE `Facility` ADD COLUMN `expectedTransitDays` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `Shipment` ADD COLUMN `expectedArrivalAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `Shipment_expectedArrivalAt_idx` ON `Shipment`(`expectedArrivalAt`);
+
+-- Backfill: shipments already on the road (or delivered) get the previous 3-day transit SLA
+UPDATE `Shipment` SET `expectedArrivalAt` = DATE_ADD(`dispatchedAt`, INTERVAL 3 DAY) WHERE `status` <> 'PENDING_APPROVAL';
@@ -0,0 +1,69 @@
+-- CreateTable
+CREATE TABLE `StockCount` (
+    `id` VARCHAR(191) NOT NULL,
+    `facilityId` VARCHAR(191) NOT NULL,
+    `status` ENUM('OPEN', 'CLOSED', 'APPROVED', 'CANCELLED') NOT NULL DEFAULT 'OPEN',
+    `note` VARCHAR(191) NULL,
+    `openedByUserId` VARCHAR(191) NOT NULL,
+    `openedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `closedByUserId` VARCHAR(191) NULL,
+    `closedAt` DATETIME(3) NULL,
+    `approvedByUserId` VARCHAR(191) NULL,
+    `approvedAt` DATETIME(3) NULL,
+    `cancelledByUserId` VARCHAR(191) NULL,
+    `cancelledAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `StockCount_facilityId_status_idx`(`facilityId`, `status`),
+    INDEX `StockCount_status_idx`(`status`),
+    INDEX `StockCount_openedByUserId_fkey`(`openedByUserId`),
+    INDEX `StockCount_closedByUserId_fkey`(`closedByUserId`),
+    INDEX `StockCount_approvedByUserId_fkey`(`approvedByUserId`),
+    INDEX `StockCount_cancelledByUserId_fkey`(`cancelledByUserId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `StockCountLine` (
+    `id` VARCHAR(191) NOT NULL,
+    `stockCountId` VARCHAR(191) NOT NULL,
+    `boxUid` VARCHAR(191) NOT NULL,
+    `boxId` VARCHAR(191) NULL,
+    `scannedByUserId` VARCHAR(191) NULL,
+    `scannedAt` DATETIME(3) NULL,
+    `countedSachets` INTEGER NULL,
+    `systemStatus` ENUM('CREATED', 'IN_WAREHOUSE', 'IN_TRANSIT', 'IN_FACILITY', 'DISPENSED', 'VOID', 'QUARANTINED') NULL,
+    `systemFacilityId` VARCHAR(191) NULL,
+    `systemSachets` INTEGER NULL,
+    `variance` ENUM('MISSING', 'UNEXPECTED', 'SACHETS') NULL,
+
+    UNIQUE INDEX `StockCountLine_stockCountId_boxUid_key`(`stockCountId`, `boxUid`),
+    INDEX `StockCountLine_boxId_idx`(`boxId`),
+    INDEX `StockCountLine_scannedByUserId_fkey`(`scannedByUserId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `StockCount` ADD CONSTRAINT `StockCount_facilityId_fkey` FOREIGN KEY (`facilityId`) REFERENCES `Facility`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `StockCount` ADD CONSTRAINT `StockCount_openedByUserId_fkey` FOREIGN KEY (`openedByUserId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `StockCount` ADD CONSTRAINT `StockCount_closedByUserId_fkey` FOREIGN KEY (`closedByUserId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `StockCount` ADD CONSTRAINT `StockCount_approvedByUserId_fkey` FOREIGN KEY (`approvedByUserId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `StockCount` ADD CONSTRAINT `StockCount_cancelledByUserId_fkey` FOREIGN KEY (`cancelledByUserId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `StockCountLine` ADD CONSTRAINT `StockCountLine_stockCountId_fkey` FOREIGN KEY (`stockCountId`) REFERENCES `StockCount`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `StockCountLine` ADD CONSTRAINT `StockCountLine_boxId_fkey` FOREIGN KEY (`boxId`) REFERENCES `Box`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `StockCountLine` ADD CONSTRAINT `StockCountLine_scannedByUserId_fkey` FOREIGN KEY (`scannedByUserId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
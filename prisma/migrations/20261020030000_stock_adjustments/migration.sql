@@ -0,0 +1,43 @@
+-- CreateTable
+CREATE TABLE `StockAdjustment` (
+    `id` VARCHAR(191) NOT NULL,
+    `boxId` VARCHAR(191) NOT NULL,
+    `facilityId` VARCHAR(191) NOT NULL,
+    `reason` ENUM('DAMAGED', 'STOLEN', 'PEST_DAMAGE', 'EXPIRED_DESTROYED', 'LOST_IN_TRANSIT', 'COUNT_VARIANCE', 'OTHER') NOT NULL,
+    `status` ENUM('PENDING', 'APPROVED', 'REJECTED') NOT NULL DEFAULT 'PENDING',
+    `note` VARCHAR(191) NULL,
+    `voidBox` BOOLEAN NOT NULL DEFAULT false,
+    `quantitySachets` INTEGER NOT NULL,
+    `requestedByUserId` VARCHAR(191) NOT NULL,
+    `requestedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `reviewedByUserId` VARCHAR(191) NULL,
+    `reviewedAt` DATETIME(3) NULL,
+    `reviewNote` VARCHAR(191) NULL,
+    `stockCountId` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `StockAdjustment_boxId_idx`(`boxId`),
+    INDEX `StockAdjustment_facilityId_status_idx`(`facilityId`, `status`),
+    INDEX `StockAdjustment_status_reviewedAt_idx`(`status`, `reviewedAt`),
+    INDEX `StockAdjustment_reason_idx`(`reason`),
+    INDEX `StockAdjustment_requestedByUserId_fkey`(`requestedByUserId`),
+    INDEX `StockAdjustment_reviewedByUserId_fkey`(`reviewedByUserId`),
+    INDEX `StockAdjustment_stockCountId_fkey`(`stockCountId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `StockAdjustment` ADD CONSTRAINT `StockAdjustment_boxId_fkey` FOREIGN KEY (`boxId`) REFERENCES `Box`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `StockAdjustment` ADD CONSTRAINT `StockAdjustment_facilityId_fkey` FOREIGN KEY (`facilityId`) REFERENCES `Facility`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `StockAdjustment` ADD CONSTRAINT `StockAdjustment_requestedByUserId_fkey` FOREIGN KEY (`requestedByUserId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `StockAdjustment` ADD CONSTRAINT `StockAdjustment_reviewedByUserId_fkey` FOREIGN KEY (`reviewedByUserId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `StockAdjustment` ADD CONSTRAINT `StockAdjustment_stockCountId_fkey` FOREIGN KEY (`stockCountId`) REFERENCES `StockCount`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
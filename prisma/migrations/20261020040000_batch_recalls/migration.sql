@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE `Box` ADD COLUMN `recallId` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `BatchRecall` (
+    `id` VARCHAR(191) NOT NULL,
+    `productId` VARCHAR(191) NOT NULL,
+    `batchNo` VARCHAR(191) NOT NULL,
+    `reason` VARCHAR(191) NOT NULL,
+    `reference` VARCHAR(191) NULL,
+    `initiatedByUserId` VARCHAR(191) NOT NULL,
+    `initiatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `BatchRecall_productId_batchNo_key`(`productId`, `batchNo`),
+    INDEX `BatchRecall_initiatedAt_idx`(`initiatedAt`),
+    INDEX `BatchRecall_initiatedByUserId_fkey`(`initiatedByUserId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `Box_recallId_idx` ON `Box`(`recallId`);
+
+-- AddForeignKey
+ALTER TABLE `Box` ADD CONSTRAINT `Box_recallId_fkey` FOREIGN KEY (`recallId`) REFERENCES `BatchRecall`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `BatchRecall` ADD CONSTRAINT `BatchRecall_productId_fkey` FOREIGN KEY (`productId`) REFERENCES `Product`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `BatchRecall` ADD CONSTRAINT `BatchRecall_initiatedByUserId_fkey` FOREIGN KEY (`initiatedByUserId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
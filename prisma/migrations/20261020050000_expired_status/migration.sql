@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `Box` MODIFY `status` ENUM('CREATED', 'IN_WAREHOUSE', 'IN_TRANSIT', 'IN_FACILITY', 'DISPENSED', 'VOID', 'QUARANTINED', 'EXPIRED') NOT NULL DEFAULT 'CREATED';
+
+-- AlterTable
+ALTER TABLE `StockCountLine` MODIFY `systemStatus` ENUM('CREATED', 'IN_WAREHOUSE', 'IN_TRANSIT', 'IN_FACILITY', 'DISPENSED', 'VOID', 'QUARANTINED', 'EXPIRED') NULL;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `Product` ADD COLUMN `sachetsPerBox` INTEGER NOT NULL DEFAULT 600,
+    ADD COLUMN `sachetsPerChildDay` DOUBLE NOT NULL DEFAULT 1;
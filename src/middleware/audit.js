@@ -0,0 +1,46 @@
+const { prisma } = require("../db");
+const { requestContext } = require("../utils/audit");
+
+const WRITE_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+
+// Credential exchanges, not data changes (sessions are tracked on RefreshToken).
+const SKIPPED_PATHS = new Set([
+  "/api/auth/login",
+  "/api/auth/login/2fa",
+  "/api/auth/refresh",
+  "/api/auth/logout",
+]);
+
+/**
+ * Safety net for the audit trail: every successful write that did not record its own entry
+ * (see utils/audit.js recordAudit) gets a generic one with actor, route and status.
+ * Request bodies are not stored; they may contain passwords or health data.
+ */
+function auditWrites(req, res, next) {
+  if (!WRITE_METHODS.has(req.method)) return next();
+
+  res.on("finish", () => {
+    if (req.auditRecorded || res.statusCode >= 400) return;
+
+    const context = requestContext(req);
+    if (SKIPPED_PATHS.has(context.path)) return;
+
+    // "POST /api/boxes/:boxUid/receive" groups entries by endpoint rather than by id.
+    const route = req.route?.path ? `${req.baseUrl || ""}${req.route.path}` : context.path;
+
+    prisma.auditLog
+      .create({
+        data: {
+          ...context,
+          action: `${req.method} ${route}`,
+          entityId: req.params && Object.keys(req.params).length ? Object.values(req.params).map(String).join("/") : null,
+          statusCode: res.statusCode,
+        },
+      })
+      .catch((err) => console.error("AUDIT WRITE FAILED", { path: context.path, error: String(err.message || err) }));
+  });
+
+  next();
+}
+
+module.exports = { auditWrites };
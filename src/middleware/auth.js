@@ -1,16 +1,100 @@
 const { verifyAccessToken } = require("../utils");
 const { prisma } = require("../db");
+const { isSessionActive } = require("../utils/refreshTokens");
+const { isTwoFactorRequiredFor } = require("../utils/twoFactor");
+const { isApiKeyToken, authenticateApiKey, scopesOutsideSite } = require("../utils/apiKeys");
+const { routeHasPermissionGuard } = require("./rbac");
+
+// facility (with its warehouse included) -> fields shared by user and API key principals
+function describeFacility(facility) {
+  const facilityType = facility ? facility.type : null;
+
+  const warehouseId =
+    facility?.type === "WAREHOUSE"
+      ? facility.id
+      : facility?.warehouseId || null;
+
+  const warehouse =
+    facility?.type === "WAREHOUSE"
+      ? { id: facility.id, code: facility.code, name: facility.name }
+      : facility?.warehouse
+      ? {
+          id: facility.warehouse.id,
+          code: facility.warehouse.code,
+          name: facility.warehouse.name,
+        }
+      : null;
+
+  return {
+    facilityId: facility ? facility.id : null,
+    facility: facility ? { id: facility.id, code: facility.code, name: facility.name } : null,
+    facilityType,
+    warehouseId,
+    warehouse,
+  };
+}
+
+/**
+ * API key principal: looks like req.user, but has no user id and no role. hasPermission() checks
+ * its scopes, and role-based scoping in the routers treats it like a user of its facility.
+ * Keys are only accepted on routes guarded by requirePermission, so routes that rely on
+ * requireAuth alone (profile, dashboard, ...) stay closed to them.
+ */
+async function authenticateWithApiKey(req, res, next, rawKey) {
+  try {
+    if (!routeHasPermissionGuard(req)) {
+      return res.status(403).json({ message: "API keys cannot access this endpoint", code: "API_KEY_NOT_ALLOWED" });
+    }
+
+    const apiKey = await authenticateApiKey(rawKey, req.ip);
+    // Keys issued before the site rules were enforced lose the scopes their site may not hold
+    const scopes = Array.isArray(apiKey.scopes) ? apiKey.scopes : [];
+    const outsideSite = scopesOutsideSite(scopes, apiKey.facility);
+
+    req.user = {
+      id: null,
+      authType: "API_KEY",
+      apiKeyId: apiKey.id,
+      email: null,
+      fullName: apiKey.name,
+      role: "API_CLIENT",
+      scopes: scopes.filter((s) => !outsideSite.includes(s)),
+      ...describeFacility(apiKey.facility),
+      adminUnitId: null,
+      adminUnit: null,
+      sessionId: null,
+      totpEnabled: false,
+    };
+
+    next();
+  } catch (err) {
+    if (err.status === 401) {
+      return res.status(401).json({ message: err.message, code: err.code });
+    }
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+}
 
 async function requireAuth(req, res, next) {
   try {
     const header = req.headers.authorization || "";
     const [type, token] = header.split(" ");
 
+    // Integrations may send their key as "Authorization: Bearer lmis_..." or "X-API-Key: lmis_..."
+    const apiKeyHeader = req.headers["x-api-key"];
+    if (apiKeyHeader || (type === "Bearer" && isApiKeyToken(token))) {
+      return authenticateWithApiKey(req, res, next, apiKeyHeader || token);
+    }
+
     if (type !== "Bearer" || !token) {
-      return res.status(401).json({ message: "Missing or invalid Authorization header" });
+      return res.status(401).json({ message: "Missing or invalid Authorization header", code: "TOKEN_MISSING" });
     }
 
     const decoded = verifyAccessToken(token);
+    if (!decoded.userId || decoded.purpose) {
+      return res.status(401).json({ message: "Not an access token", code: "TOKEN_INVALID" });
+    }
 
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
@@ -20,43 +104,52 @@ async function requireAuth(req, res, next) {
             warehouse: true,
           },
         },
+        adminUnit: true,
       },
     });
 
     if (!user || !user.isActive) {
-      return res.status(401).json({ message: "User not found or disabled" });
+      return res.status(401).json({ message: "User not found or disabled", code: "USER_DISABLED" });
     }
 
-    const facilityType = user.facility ? user.facility.type : null;
+    // Admin actions (role/facility change, password reset, deactivation) bump tokenVersion.
+    // Tokens signed before the bump are rejected; tokens without "tv" predate versioning (= 0).
+    if ((decoded.tv || 0) !== user.tokenVersion) {
+      return res.status(401).json({
+        message: "Token is no longer valid. Please log in again.",
+        code: "TOKEN_REVOKED",
+        reason: user.tokensRevokedReason || null,
+      });
+    }
 
-    const warehouseId =
-      user.facility?.type === "WAREHOUSE"
-        ? user.facility.id
-        : user.facility?.warehouseId || null;
+    // Tokens issued since sessions were tracked carry "sid"; a signed-out session stops here.
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ message: "Session has been signed out", code: "SESSION_REVOKED" });
+    }
 
-    const warehouse =
-      user.facility?.type === "WAREHOUSE"
-        ? { id: user.facility.id, code: user.facility.code, name: user.facility.name }
-        : user.facility?.warehouse
-        ? {
-            id: user.facility.warehouse.id,
-            code: user.facility.warehouse.code,
-            name: user.facility.warehouse.name,
-          }
-        : null;
+    // Role requires 2FA but the user has not enrolled: only self-service (/api/me/*) is open,
+    // so they can enroll through /api/me/2fa.
+    const isSelfService = /^\/api\/me(\/|\?|$)/.test(req.originalUrl);
+    if (!user.totpEnabled && !isSelfService && (await isTwoFactorRequiredFor(user.role))) {
+      return res.status(403).json({
+        message: "Two-factor authentication is required for your role. Set it up before continuing.",
+        code: "TWO_FACTOR_SETUP_REQUIRED",
+      });
+    }
 
     req.user = {
       id: user.id,
+      authType: "USER",
       email: user.email,
       fullName: user.fullName,
       role: user.role,
-      facilityId: user.facilityId,
-      facility: user.facility
-        ? { id: user.facility.id, code: user.facility.code, name: user.facility.name }
+      ...describeFacility(user.facility),
+      adminUnitId: user.adminUnitId || null,
+      adminUnit: user.adminUnit
+        ? { id: user.adminUnit.id, code: user.adminUnit.code, name: user.adminUnit.name, level: user.adminUnit.level }
         : null,
-      facilityType,
-      warehouseId,
-      warehouse,
+      sessionId: decoded.sid || null,
+      totpEnabled: user.totpEnabled,
     };
 
     next();
@@ -67,7 +160,11 @@ async function requireAuth(req, res, next) {
       error: String(err.message || err),
     });
 
-    return res.status(401).json({ message: "Unauthorized", error: String(err.message || err) });
+    return res.status(401).json({
+      message: "Unauthorized",
+      code: err.name === "TokenExpiredError" ? "TOKEN_EXPIRED" : "TOKEN_INVALID",
+      error: String(err.message || err),
+    });
   }
 }
 
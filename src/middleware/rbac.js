@@ -1,3 +1,116 @@
+// ---------------------------------------------------------------------------
+// Permission registry: one place that says which roles may do what.
+// Routers use requirePermission("boxes.dispatch"); UIs read GET /api/me/permissions
+// to hide actions the user cannot perform.
+// ---------------------------------------------------------------------------
+const ALL_ROLES = ["SUPER_ADMIN", "WAREHOUSE_OFFICER", "FACILITY_OFFICER", "CLINICIAN", "VIEWER"];
+
+const PERMISSIONS = {
+  // Administration
+  "users.manage": ["SUPER_ADMIN"],
+  "settings.manage": ["SUPER_ADMIN"],
+  "facilities.manage": ["SUPER_ADMIN"],
+  "products.manage": ["SUPER_ADMIN"],
+  "apiKeys.manage": ["SUPER_ADMIN"],
+  "audit.view": ["SUPER_ADMIN"],
+
+  // Orders + QR labels
+  "orders.manage": ["SUPER_ADMIN", "WAREHOUSE_OFFICER"],
+  "boxes.generate": ["SUPER_ADMIN", "WAREHOUSE_OFFICER"],
+  "boxes.printLabels": ["SUPER_ADMIN", "WAREHOUSE_OFFICER"],
+
+  // Logistics
+  "boxes.warehouseReceive": ["SUPER_ADMIN", "WAREHOUSE_OFFICER"],
+  "boxes.dispatch": ["SUPER_ADMIN", "WAREHOUSE_OFFICER"],
+  "boxes.receive": ["SUPER_ADMIN", "FACILITY_OFFICER", "CLINICIAN"],
+  "boxes.receiveLegacy": ["SUPER_ADMIN", "FACILITY_OFFICER"],
+  "boxes.redistribute": ["SUPER_ADMIN", "FACILITY_OFFICER"],
+  "boxes.return": ["SUPER_ADMIN", "FACILITY_OFFICER"],
+  "stock.viewWarehouse": ["SUPER_ADMIN", "WAREHOUSE_OFFICER"],
+  "stock.viewFacility": ["SUPER_ADMIN", "FACILITY_OFFICER", "CLINICIAN"],
+  "stock.viewAll": ["SUPER_ADMIN"],
+  // Act on any site's stock and shipments (never an API key scope)
+  "stock.manageAll": ["SUPER_ADMIN"],
+  "stock.count": ["SUPER_ADMIN", "WAREHOUSE_OFFICER", "FACILITY_OFFICER"],
+  "stock.approveCount": ["SUPER_ADMIN", "WAREHOUSE_OFFICER"],
+  "stock.adjust": ["SUPER_ADMIN", "WAREHOUSE_OFFICER", "FACILITY_OFFICER"],
+  "stock.approveAdjustment": ["SUPER_ADMIN", "WAREHOUSE_OFFICER"],
+  "recalls.manage": ["SUPER_ADMIN"],
+  "recalls.view": ["SUPER_ADMIN", "WAREHOUSE_OFFICER", "FACILITY_OFFICER", "VIEWER"],
+  "shipments.view": ALL_ROLES,
+  "shipments.viewAll": ["SUPER_ADMIN"],
+  "shipments.approve": ["SUPER_ADMIN", "WAREHOUSE_OFFICER"],
+  "shipments.cancel": ["SUPER_ADMIN", "WAREHOUSE_OFFICER", "FACILITY_OFFICER"],
+  "shipments.acknowledgeDiscrepancies": ["SUPER_ADMIN", "WAREHOUSE_OFFICER"],
+
+  // Clinical
+  "clinical.view": ["SUPER_ADMIN", "CLINICIAN", "FACILITY_OFFICER", "VIEWER"],
+  "clinical.enroll": ["SUPER_ADMIN", "CLINICIAN"],
+  "clinical.edit": ["SUPER_ADMIN", "CLINICIAN"],
+  "clinical.dispense": ["SUPER_ADMIN", "CLINICIAN"],
+
+  // Dashboard
+  "dashboard.viewAll": ["SUPER_ADMIN", "VIEWER"],
+
+  // Duplicate review queue
+  "duplicates.review": ALL_ROLES,
+  "duplicates.resolve": ALL_ROLES,
+};
+
+// Permissions that may be granted to API keys (read-only integrations).
+const API_KEY_SCOPES = [
+  "stock.viewWarehouse",
+  "stock.viewFacility",
+  "stock.viewAll",
+  "shipments.view",
+  "shipments.viewAll",
+];
+
+function hasPermission(user, permission) {
+  const roles = PERMISSIONS[permission];
+  if (!roles) throw new Error(`Unknown permission "${permission}"`);
+
+  // API keys carry their own scope list instead of a role.
+  if (user?.authType === "API_KEY") {
+    return Array.isArray(user.scopes) && user.scopes.includes(permission);
+  }
+
+  return Boolean(user?.role) && roles.includes(user.role);
+}
+
+function permissionsForRole(role) {
+  return Object.keys(PERMISSIONS).filter((p) => PERMISSIONS[p].includes(role));
+}
+
+function requirePermission(...args) {
+  // allow: requirePermission("boxes.dispatch")
+  // allow: requirePermission("clinical.edit", "clinical.dispense")  -> any of them
+  const permissions = Array.isArray(args[0]) ? args[0] : args;
+
+  // Fail at startup on typos instead of silently forbidding everyone.
+  for (const p of permissions) {
+    if (!PERMISSIONS[p]) throw new Error(`Unknown permission "${p}"`);
+  }
+
+  const middleware = (req, res, next) => {
+    if (!req.user) return res.status(401).json({ message: "Unauthorized" });
+
+    if (!permissions.some((p) => hasPermission(req.user, p))) {
+      return res.status(403).json({ message: "Forbidden", requiredPermission: permissions });
+    }
+
+    next();
+  };
+
+  // requireAuth only lets API keys into routes guarded by a permission (see routeHasPermissionGuard).
+  middleware.permissions = permissions;
+  return middleware;
+}
+
+function routeHasPermissionGuard(req) {
+  return Boolean(req.route?.stack?.some((layer) => layer.handle?.permissions));
+}
+
 function requireRole(...args) {
   // allow: requireRole("SUPER_ADMIN","WAREHOUSE_OFFICER")
   // allow: requireRole(["SUPER_ADMIN","WAREHOUSE_OFFICER"])
@@ -14,4 +127,12 @@ function requireRole(...args) {
   };
 }
 
-module.exports = { requireRole };
+module.exports = {
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  hasPermission,
+  permissionsForRole,
+  requirePermission,
+  routeHasPermissionGuard,
+  requireRole,
+};
@@ -0,0 +1,11 @@
+const crypto = require("crypto");
+
+// Accept a caller-supplied X-Request-Id (proxy, mobile app) when it looks sane; otherwise mint one.
+function requestId(req, res, next) {
+  const incoming = req.headers["x-request-id"];
+  req.id = typeof incoming === "string" && /^[\w.-]{8,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader("X-Request-Id", req.id);
+  next();
+}
+
+module.exports = { requestId };
@@ -0,0 +1,150 @@
+const express = require("express");
+const { z } = require("zod");
+
+const prisma = require("../lib/prisma");
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/rbac");
+const { recordAudit } = require("../utils/audit");
+const { ADMIN_UNIT_LEVELS, getUnitSubtreeIds, resolveParentUnit } = require("../utils/adminUnits");
+
+const router = express.Router();
+
+const createUnitSchema = z.object({
+  code: z.string().trim().min(1),
+  name: z.string().trim().min(2),
+  level: z.enum(ADMIN_UNIT_LEVELS),
+  parentCode: z.string().trim().min(1).optional().nullable(),
+});
+
+const updateUnitSchema = z.object({
+  name: z.string().trim().min(2).optional(),
+  parentCode: z.string().trim().min(1).optional().nullable(),
+});
+
+const unitSelect = {
+  id: true,
+  code: true,
+  name: true,
+  level: true,
+  parentId: true,
+  _count: { select: { children: true, facilities: true, users: true } },
+};
+
+/**
+ * GET /api/admin-units
+ * Roles: any signed-in user (reference data for pickers)
+ * Query (optional): level=COUNTRY|COUNTY|SUB_COUNTY, parentCode=..., rootId=... (unit + its sub-units)
+ * Flat list; clients build the tree from parentId.
+ */
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const where = {};
+
+    if (req.query.level) {
+      const level = String(req.query.level).trim().toUpperCase();
+      if (!ADMIN_UNIT_LEVELS.includes(level)) {
+        return res.status(400).json({ message: "Invalid level", allowed: ADMIN_UNIT_LEVELS });
+      }
+      where.level = level;
+    }
+
+    if (req.query.parentCode) {
+      const parent = await prisma.adminUnit.findUnique({ where: { code: String(req.query.parentCode).trim() } });
+      if (!parent) return res.json([]);
+      where.parentId = parent.id;
+    }
+
+    if (req.query.rootId) {
+      where.id = { in: await getUnitSubtreeIds(String(req.query.rootId)) };
+    }
+
+    const units = await prisma.adminUnit.findMany({
+      where,
+      orderBy: [{ level: "asc" }, { name: "asc" }],
+      select: unitSelect,
+    });
+
+    return res.json(units);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /api/admin-units
+ * Roles: SUPER_ADMIN
+ * Body: { code, name, level, parentCode? }  (COUNTY needs a COUNTRY parent, SUB_COUNTY a COUNTY parent)
+ */
+router.post("/", requireAuth, requirePermission("facilities.manage"), async (req, res) => {
+  try {
+    const parsed = createUnitSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Invalid input", errors: parsed.error.flatten() });
+    }
+
+    const { code, name, level } = parsed.data;
+    const parentId = await resolveParentUnit(level, parsed.data.parentCode || null);
+
+    const unit = await prisma.adminUnit.create({
+      data: { code, name, level, parentId },
+      select: unitSelect,
+    });
+
+    return res.status(201).json(unit);
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
+    if (err?.code === "P2002") return res.status(409).json({ message: "Administrative unit code already exists" });
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+/**
+ * PATCH /api/admin-units/:unitId
+ * Roles: SUPER_ADMIN
+ * Body (all optional): { name, parentCode }  — moving a unit keeps the level rules.
+ */
+router.patch("/:unitId", requireAuth, requirePermission("facilities.manage"), async (req, res) => {
+  try {
+    const parsed = updateUnitSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Invalid input", errors: parsed.error.flatten() });
+    }
+
+    const unit = await prisma.adminUnit.findUnique({ where: { id: String(req.params.unitId) } });
+    if (!unit) return res.status(404).json({ message: "Administrative unit not found" });
+
+    const data = {};
+    if (parsed.data.name) data.name = parsed.data.name;
+    if (parsed.data.parentCode !== undefined) {
+      data.parentId = await resolveParentUnit(unit.level, parsed.data.parentCode || null);
+    }
+
+    if (!Object.keys(data).length) {
+      return res.status(400).json({ message: "Nothing to update" });
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const next = await tx.adminUnit.update({ where: { id: unit.id }, data, select: unitSelect });
+
+      await recordAudit(tx, req, {
+        action: "adminUnit.update",
+        entityType: "AdminUnit",
+        entityId: unit.id,
+        before: { name: unit.name, parentId: unit.parentId },
+        after: { name: next.name, parentId: next.parentId },
+      });
+
+      return next;
+    });
+
+    return res.json(updated);
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+module.exports = router;
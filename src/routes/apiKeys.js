@@ -0,0 +1,148 @@
+const express = require("express");
+const { z } = require("zod");
+
+const prisma = require("../lib/prisma");
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission, API_KEY_SCOPES } = require("../middleware/rbac");
+const { generateApiKey, scopesOutsideSite } = require("../utils/apiKeys");
+
+const router = express.Router();
+
+const createApiKeySchema = z.object({
+  name: z.string().trim().min(2).max(100),
+  scopes: z.array(z.enum(API_KEY_SCOPES)).min(1),
+  facilityCode: z.string().trim().min(1).optional().nullable(),
+  expiresAt: z.coerce.date().optional().nullable(),
+});
+
+function toApiKeyResponse(k) {
+  const expired = Boolean(k.expiresAt && k.expiresAt.getTime() <= Date.now());
+  return {
+    id: k.id,
+    name: k.name,
+    prefix: k.prefix,
+    scopes: k.scopes,
+    facility: k.facility ? { id: k.facility.id, code: k.facility.code, name: k.facility.name, type: k.facility.type } : null,
+    expiresAt: k.expiresAt,
+    lastUsedAt: k.lastUsedAt,
+    lastUsedIp: k.lastUsedIp,
+    revokedAt: k.revokedAt,
+    createdByUserId: k.createdByUserId,
+    createdAt: k.createdAt,
+    status: k.revokedAt ? "REVOKED" : expired ? "EXPIRED" : "ACTIVE",
+  };
+}
+
+/**
+ * POST /api/admin/api-keys
+ * Roles: SUPER_ADMIN
+ * Body: { name, scopes: [...], facilityCode?, expiresAt? }
+ * The key itself is returned only in this response.
+ */
+router.post("/", requireAuth, requirePermission("apiKeys.manage"), async (req, res) => {
+  try {
+    const parsed = createApiKeySchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Invalid input", errors: parsed.error.flatten() });
+    }
+
+    const { name, facilityCode, expiresAt } = parsed.data;
+    const scopes = [...new Set(parsed.data.scopes)];
+
+    if (expiresAt && expiresAt.getTime() <= Date.now()) {
+      return res.status(400).json({ message: "expiresAt must be in the future" });
+    }
+
+    let facilityId = null;
+    if (facilityCode) {
+      const facility = await prisma.facility.findUnique({ where: { code: facilityCode } });
+      if (!facility) return res.status(400).json({ message: `Facility not found for code: ${facilityCode}` });
+
+      const conflicting = scopesOutsideSite(scopes, facility);
+      if (conflicting.length) {
+        return res.status(400).json({
+          message: `A key restricted to a ${facility.type} cannot have these scopes`,
+          scopes: conflicting,
+        });
+      }
+
+      facilityId = facility.id;
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const created = await prisma.apiKey.create({
+      data: {
+        name,
+        prefix,
+        keyHash,
+        scopes,
+        facilityId,
+        expiresAt: expiresAt || null,
+        createdByUserId: req.user.id,
+      },
+      include: { facility: true },
+    });
+
+    return res.status(201).json({
+      message: "API key created. Store it now; it cannot be shown again.",
+      key,
+      apiKey: toApiKeyResponse(created),
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /api/admin/api-keys
+ * Roles: SUPER_ADMIN
+ * Query: includeRevoked=true
+ */
+router.get("/", requireAuth, requirePermission("apiKeys.manage"), async (req, res) => {
+  try {
+    const includeRevoked = String(req.query.includeRevoked || "") === "true";
+
+    const keys = await prisma.apiKey.findMany({
+      where: includeRevoked ? {} : { revokedAt: null },
+      orderBy: { createdAt: "desc" },
+      include: { facility: true },
+    });
+
+    return res.json({ scopes: API_KEY_SCOPES, items: keys.map(toApiKeyResponse) });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+/**
+ * DELETE /api/admin/api-keys/:apiKeyId
+ * Roles: SUPER_ADMIN
+ * Revokes the key; the record stays for the usage history.
+ */
+router.delete("/:apiKeyId", requireAuth, requirePermission("apiKeys.manage"), async (req, res) => {
+  try {
+    const existing = await prisma.apiKey.findUnique({
+      where: { id: String(req.params.apiKeyId) },
+      include: { facility: true },
+    });
+    if (!existing) return res.status(404).json({ message: "API key not found" });
+
+    const updated = existing.revokedAt
+      ? existing
+      : await prisma.apiKey.update({
+          where: { id: existing.id },
+          data: { revokedAt: new Date() },
+          include: { facility: true },
+        });
+
+    return res.json({ message: "API key revoked", apiKey: toApiKeyResponse(updated) });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+module.exports = router;
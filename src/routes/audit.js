@@ -0,0 +1,76 @@
+const express = require("express");
+
+const prisma = require("../lib/prisma");
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/rbac");
+
+const router = express.Router();
+
+function parseDateParam(value) {
+  if (!value) return null;
+  const d = new Date(String(value));
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+/**
+ * GET /api/admin/audit
+ * Roles: SUPER_ADMIN
+ * Query (all optional):
+ *  actorUserId, actorApiKeyId, action, entityType, entityId, requestId,
+ *  from, to (ISO date/time, createdAt range), take (max 500), skip
+ * Newest first.
+ */
+router.get("/", requireAuth, requirePermission("audit.view"), async (req, res) => {
+  try {
+    const take = Math.min(500, Math.max(1, Number.parseInt(req.query.take || "100", 10) || 100));
+    const skip = Math.max(0, Number.parseInt(req.query.skip || "0", 10) || 0);
+
+    const where = {};
+    for (const key of ["actorUserId", "actorApiKeyId", "action", "entityType", "entityId", "requestId"]) {
+      if (req.query[key]) where[key] = String(req.query[key]).trim();
+    }
+
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ message: "from/to must be valid dates" });
+    }
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = from;
+      if (to) where.createdAt.lte = to;
+    }
+
+    const [total, items] = await Promise.all([
+      prisma.auditLog.count({ where }),
+      prisma.auditLog.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        take,
+        skip,
+      }),
+    ]);
+
+    // Resolve actor names for display; actors may have been deleted since.
+    const actorIds = [...new Set(items.map((i) => i.actorUserId).filter(Boolean))];
+    const actors = actorIds.length
+      ? await prisma.user.findMany({
+          where: { id: { in: actorIds } },
+          select: { id: true, fullName: true, email: true },
+        })
+      : [];
+    const actorMap = new Map(actors.map((a) => [a.id, a]));
+
+    return res.json({
+      total,
+      take,
+      skip,
+      items: items.map((i) => ({ ...i, actor: i.actorUserId ? actorMap.get(i.actorUserId) || null : null })),
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+module.exports = router;
@@ -4,11 +4,27 @@ const { z } = require("zod");
 const { prisma } = require("../db");
 const {
   signAccessToken,
-  signRefreshToken,
   verifyRefreshToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
   ACCESS_TOKEN_EXPIRES_IN,
   REFRESH_TOKEN_EXPIRES_IN,
 } = require("../utils");
+const {
+  hashToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshTokenFamily,
+} = require("../utils/refreshTokens");
+const { redeemPasswordResetCode } = require("../utils/passwordReset");
+const {
+  getIpRetryAfterSeconds,
+  recordIpFailure,
+  getAccountRetryAfterSeconds,
+  recordAccountFailure,
+  clearLockoutData,
+} = require("../utils/loginThrottle");
+const { isTwoFactorRequiredFor, verifySecondFactor } = require("../utils/twoFactor");
 
 const router = express.Router();
 
@@ -21,11 +37,40 @@ const refreshSchema = z.object({
   refreshToken: z.string().min(1),
 });
 
+const logoutSchema = z.object({
+  refreshToken: z.string().min(1),
+});
+
+const twoFactorLoginSchema = z
+  .object({
+    challengeToken: z.string().min(1),
+    code: z.string().min(6).optional(),
+    recoveryCode: z.string().min(1).optional(),
+  })
+  .refine((v) => Boolean(v.code) !== Boolean(v.recoveryCode), {
+    message: "Provide either code or recoveryCode",
+  });
+
+const resetPasswordSchema = z.object({
+  email: z.string().email(),
+  code: z.string().min(1),
+  newPassword: z.string().min(8),
+});
+
 function buildUserPayload(user) {
   return {
     userId: user.id,
     role: user.role,
     facilityId: user.facilityId || null,
+    tv: user.tokenVersion || 0,
+  };
+}
+
+// Device details stored with each session so users/admins can recognise it in the session list.
+function buildClientMeta(req) {
+  return {
+    userAgent: req.get("user-agent") || null,
+    ipAddress: req.ip || null,
   };
 }
 
@@ -57,30 +102,130 @@ router.post("/login", async (req, res) => {
 
   const { email, password } = parsed.data;
 
+  const ipRetryAfter = getIpRetryAfterSeconds(req.ip);
+  if (ipRetryAfter) {
+    res.set("Retry-After", String(ipRetryAfter));
+    return res.status(429).json({
+      message: "Too many failed login attempts from this network. Try again later.",
+      code: "TOO_MANY_ATTEMPTS",
+      retryAfterSeconds: ipRetryAfter,
+    });
+  }
+
   const user = await prisma.user.findUnique({
     where: { email },
     include: { facility: true },
   });
 
-  if (!user || !user.isActive) {
+  // Locked accounts are refused before bcrypt runs, so guessing stops costing CPU too. They get the
+  // same answer as unknown emails and wrong passwords: a distinct "locked" reply would confirm that
+  // the account exists. Admins see the lock (and can clear it) in the user list.
+  if (!user || !user.isActive || getAccountRetryAfterSeconds(user)) {
+    recordIpFailure(req.ip);
     return res.status(401).json({ message: "Invalid credentials" });
   }
 
   const ok = await bcrypt.compare(password, user.passwordHash);
   if (!ok) {
+    recordIpFailure(req.ip);
+    await recordAccountFailure(user.id);
     return res.status(401).json({ message: "Invalid credentials" });
   }
 
+  // Second step for users with TOTP enabled: no tokens until POST /api/auth/login/2fa succeeds.
+  if (user.totpEnabled) {
+    return res.json({
+      twoFactorRequired: true,
+      challengeToken: signTwoFactorChallenge(user.id),
+      methods: ["TOTP", "RECOVERY_CODE"],
+    });
+  }
+
+  return completeLogin(req, res, user);
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Body: { challengeToken, code }  or  { challengeToken, recoveryCode }
+ * challengeToken comes from POST /api/auth/login when the user has 2FA enabled (valid 5 minutes).
+ * Wrong codes count towards the same account lockout as wrong passwords.
+ */
+router.post("/login/2fa", async (req, res) => {
+  const parsed = twoFactorLoginSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({
+      message: "Invalid input",
+      errors: parsed.error.flatten(),
+    });
+  }
+
+  const ipRetryAfter = getIpRetryAfterSeconds(req.ip);
+  if (ipRetryAfter) {
+    res.set("Retry-After", String(ipRetryAfter));
+    return res.status(429).json({
+      message: "Too many failed login attempts from this network. Try again later.",
+      code: "TOO_MANY_ATTEMPTS",
+      retryAfterSeconds: ipRetryAfter,
+    });
+  }
+
+  let challenge;
+  try {
+    challenge = verifyTwoFactorChallenge(parsed.data.challengeToken);
+  } catch (err) {
+    return res.status(401).json({
+      message: "Login challenge expired or invalid. Please log in again.",
+      code: "CHALLENGE_INVALID",
+    });
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: challenge.sub },
+    include: { facility: true },
+  });
+
+  if (!user || !user.isActive) {
+    return res.status(401).json({ message: "Invalid credentials" });
+  }
+
+  const accountRetryAfter = getAccountRetryAfterSeconds(user);
+  if (accountRetryAfter) {
+    res.set("Retry-After", String(accountRetryAfter));
+    return res.status(429).json({
+      message: "Account temporarily locked after too many failed login attempts. Try again later.",
+      code: "ACCOUNT_LOCKED",
+      retryAfterSeconds: accountRetryAfter,
+    });
+  }
+
+  const method = await verifySecondFactor(user, parsed.data);
+  if (!method) {
+    recordIpFailure(req.ip);
+    await recordAccountFailure(user.id);
+    return res.status(401).json({ message: "Invalid authentication code", code: "TWO_FACTOR_INVALID" });
+  }
+
+  return completeLogin(req, res, user, { twoFactorMethod: method });
+});
+
+/**
+ * Password (and, when enabled, second factor) accepted: start a session and return tokens.
+ */
+async function completeLogin(req, res, user, extra = {}) {
   await prisma.user.update({
     where: { id: user.id },
-    data: { lastLoginAt: new Date() },
+    data: { lastLoginAt: new Date(), ...clearLockoutData() },
   });
 
   const payload = buildUserPayload(user);
 
-  const accessToken = signAccessToken(payload);
+  // The refresh-token family doubles as the session id (sid) carried by access tokens.
+  const { refreshToken, familyId } = await issueRefreshToken(prisma, payload, buildClientMeta(req));
+  const accessToken = signAccessToken({ ...payload, sid: familyId });
   const token = accessToken;
-  const refreshToken = signRefreshToken(payload);
+
+  // Role requires 2FA but the user has not enrolled yet: requireAuth only lets /api/me/* through.
+  const twoFactorSetupRequired = !user.totpEnabled && (await isTwoFactorRequiredFor(user.role));
 
   return res.json({
     token,
@@ -89,9 +234,11 @@ router.post("/login", async (req, res) => {
     tokenType: "Bearer",
     expiresIn: ACCESS_TOKEN_EXPIRES_IN,
     refreshExpiresIn: REFRESH_TOKEN_EXPIRES_IN,
+    twoFactorSetupRequired,
+    ...extra,
     user: buildUserResponse(user),
   });
-});
+}
 
 router.post("/refresh", async (req, res) => {
   const parsed = refreshSchema.safeParse(req.body);
@@ -103,26 +250,21 @@ router.post("/refresh", async (req, res) => {
   }
 
   try {
-    const decoded = verifyRefreshToken(parsed.data.refreshToken);
-
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      include: { facility: true },
-    });
-
-    if (!user || !user.isActive) {
-      return res.status(401).json({ message: "Invalid refresh token" });
-    }
+    // Rotation: the presented refresh token is revoked and a new one (same family) is issued.
+    // Re-presenting an already rotated token revokes the whole family (stolen device protection).
+    const { user, refreshToken, familyId } = await rotateRefreshToken(
+      parsed.data.refreshToken,
+      buildUserPayload,
+      buildClientMeta(req)
+    );
 
     const payload = buildUserPayload(user);
-    const accessToken = signAccessToken(payload);
+    const accessToken = signAccessToken({ ...payload, sid: familyId });
     const token = accessToken;
 
     // Backward-compatible refresh response:
     // - Old apps can continue using accessToken/token and ignore refreshToken.
-    // - Newer apps can store the rotated refreshToken and stay logged in safely.
-    const refreshToken = signRefreshToken(payload);
-
+    // - Newer apps must store the rotated refreshToken: the old one is now revoked.
     return res.json({
       token,
       accessToken,
@@ -133,11 +275,99 @@ router.post("/refresh", async (req, res) => {
       user: buildUserResponse(user),
     });
   } catch (err) {
+    const isTokenError =
+      err.status === 401 || err.name === "JsonWebTokenError" || err.name === "TokenExpiredError";
+    if (!isTokenError) {
+      console.error(err);
+      return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+    }
     return res.status(401).json({
       message: "Invalid refresh token",
+      code: err.code || "REFRESH_TOKEN_INVALID",
+      reason: err.reason || undefined,
       error: String(err.message || err),
     });
   }
 });
 
+/**
+ * POST /api/auth/logout
+ * Body: { refreshToken }
+ * Ends the session (refresh-token family) the token belongs to. Holding the refresh token is
+ * the proof of ownership, so this also works with an already expired access token.
+ * Idempotent: unknown or already revoked tokens still return 200.
+ */
+router.post("/logout", async (req, res) => {
+  const parsed = logoutSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({
+      message: "Invalid input",
+      errors: parsed.error.flatten(),
+    });
+  }
+
+  try {
+    try {
+      verifyRefreshToken(parsed.data.refreshToken);
+    } catch (err) {
+      if (err.name !== "TokenExpiredError") {
+        return res.status(400).json({ message: "Invalid refresh token", error: String(err.message || err) });
+      }
+    }
+
+    const existing = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(parsed.data.refreshToken) },
+      select: { familyId: true },
+    });
+
+    const revokedCount = existing
+      ? await revokeRefreshTokenFamily(prisma, existing.familyId, "LOGOUT")
+      : 0;
+
+    return res.json({ message: "Logged out", revoked: revokedCount > 0 });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Body: { email, code, newPassword }
+ * Redeems a one-time code issued by an admin (POST /api/admin/users/:userId/password-reset).
+ * On success every session of the user is ended; the user logs in again with the new password.
+ */
+router.post("/reset-password", async (req, res) => {
+  const parsed = resetPasswordSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({
+      message: "Invalid input",
+      errors: parsed.error.flatten(),
+    });
+  }
+
+  // Same network throttle as /login: codes are short, so guessing must stay expensive
+  const ipRetryAfter = getIpRetryAfterSeconds(req.ip);
+  if (ipRetryAfter) {
+    res.set("Retry-After", String(ipRetryAfter));
+    return res.status(429).json({
+      message: "Too many failed attempts from this network. Try again later.",
+      code: "TOO_MANY_ATTEMPTS",
+      retryAfterSeconds: ipRetryAfter,
+    });
+  }
+
+  try {
+    await redeemPasswordResetCode(parsed.data);
+    return res.json({ message: "Password has been reset. Please log in with your new password." });
+  } catch (err) {
+    if (err.status === 400) {
+      recordIpFailure(req.ip);
+      return res.status(400).json({ message: err.message });
+    }
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -3,7 +3,16 @@ const router = express.Router();
 
 const prisma = require("../lib/prisma");
 const { requireAuth } = require("../middleware/auth");
-const { requireRole } = require("../middleware/rbac");
+const { requirePermission, hasPermission } = require("../middleware/rbac");
+const { getSetting } = require("../utils/settings");
+const {
+  REDISTRIBUTION_APPROVAL_SETTING,
+  markBoxesInTransit,
+  computeExpectedArrival,
+} = require("../utils/shipments");
+const { holdRecalledBoxes } = require("../utils/recalls");
+const { isExpired, checkDispatchShelfLife } = require("../utils/expiry");
+const { sachetsRemainingOf } = require("../utils/packs");
 const crypto = require("crypto");
 
 // ---------- small helpers ----------
@@ -21,6 +30,60 @@ async function assertFacilityExists(facilityId) {
   return f;
 }
 
+function conflictError(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+const OPEN_SHIPMENT_STATUSES = ["DISPATCHED", "PARTIALLY_RECEIVED"];
+
+function isOpenForReceiving(shipment) {
+  return OPEN_SHIPMENT_STATUSES.includes(shipment.status) && !shipment.receivedAt;
+}
+
+const RECEIVED_MEANWHILE = "Some boxes were received by someone else meanwhile; reload and try again";
+
+// Take boxes off the road. Guarded on IN_TRANSIT so two concurrent receipts cannot both land them.
+async function arriveInTransitBoxes(tx, boxIds, data) {
+  const { count } = await tx.box.updateMany({ where: { id: { in: boxIds }, status: "IN_TRANSIT" }, data });
+  if (count !== boxIds.length) throw conflictError(RECEIVED_MEANWHILE);
+}
+
+/**
+ * Manifest side of receiving boxes against an open shipment (DISPATCHED, or PARTIALLY_RECEIVED and
+ * not yet closed): claims their items, then closes the shipment once no item is left open. It closes
+ * as RECEIVED, or as PARTIALLY_RECEIVED with receivedAt set when boxes were reported damaged or missing
+ * (same rule as POST /api/shipments/:shipmentId/receive). Returns the number of items still open.
+ */
+async function receiveManifestItems(tx, shipment, boxIds, userId) {
+  const now = new Date();
+  const { count } = await tx.shipmentItem.updateMany({
+    where: { shipmentId: shipment.id, boxId: { in: boxIds }, outcome: null, receivedAt: null },
+    data: { receivedAt: now, receivedByUserId: userId, outcome: "RECEIVED" },
+  });
+  if (count !== boxIds.length) throw conflictError(RECEIVED_MEANWHILE);
+
+  const remaining = await tx.shipmentItem.count({
+    where: { shipmentId: shipment.id, outcome: null, receivedAt: null },
+  });
+  if (remaining > 0) return remaining;
+
+  const shortfall = await tx.shipmentItem.count({
+    where: { shipmentId: shipment.id, outcome: { in: ["DAMAGED", "MISSING"] } },
+  });
+  const closed = await tx.shipment.updateMany({
+    where: { id: shipment.id, status: { in: OPEN_SHIPMENT_STATUSES }, receivedAt: null },
+    data: {
+      status: shortfall ? "PARTIALLY_RECEIVED" : "RECEIVED",
+      receivedAt: now,
+      receivedByUserId: userId,
+    },
+  });
+  if (!closed.count) throw conflictError("Shipment status changed; reload and try again");
+  return 0;
+}
+
 function makeManifestNo() {
   // Example: MNF-20260222-3F7A
   const d = new Date();
@@ -55,6 +118,8 @@ router.get("/", requireAuth, async (req, res) => {
       "IN_FACILITY",
       "DISPENSED",
       "VOID",
+      "QUARANTINED",
+      "EXPIRED",
     ]);
     if (status && !allowedStatuses.has(status)) {
       return res.status(400).json({ message: "Invalid status", allowed: [...allowedStatuses] });
@@ -65,11 +130,11 @@ router.get("/", requireAuth, async (req, res) => {
     if (!facility) return res.status(404).json({ message: "Facility not found" });
 
     // scope rules (keep it simple + safe for MVP)
-    if (req.user.role !== "SUPER_ADMIN") {
+    if (!hasPermission(req.user, "stock.viewAll")) {
       const myFacilityId = req.user.facilityId ? String(req.user.facilityId) : null;
 
-      // If user is a warehouse officer OR assigned to a warehouse: allow warehouse + its child facilities
-      if (req.user.role === "WAREHOUSE_OFFICER" || req.user.facilityType === "WAREHOUSE") {
+      // Users (or keys) assigned to a warehouse: allow warehouse + its child facilities
+      if (req.user.facilityType === "WAREHOUSE") {
         const myWarehouseId = req.user.warehouseId ? String(req.user.warehouseId) : null;
 
         const ok =
@@ -127,16 +192,16 @@ router.get("/", requireAuth, async (req, res) => {
 //
 // NOTE:
 // - Facility users can only view their own facility.
-// - SUPER_ADMIN can optionally pass ?facilityId=...
+// - "stock.viewAll" (SUPER_ADMIN) can optionally pass ?facilityId=...
 // ============================================================================
 router.get(
   "/store/summary",
   requireAuth,
-  requireRole("SUPER_ADMIN", "FACILITY_OFFICER", "CLINICIAN"),
+  requirePermission("stock.viewFacility"),
   async (req, res) => {
     try {
       let facilityId = req.user.facilityId ? String(req.user.facilityId) : null;
-      if (req.user.role === "SUPER_ADMIN" && req.query.facilityId) {
+      if (hasPermission(req.user, "stock.viewAll") && req.query.facilityId) {
         facilityId = String(req.query.facilityId);
       }
 
@@ -145,7 +210,7 @@ router.get(
       }
 
       // Facility scoping
-      if (req.user.role !== "SUPER_ADMIN" && String(req.user.facilityId) !== String(facilityId)) {
+      if (!hasPermission(req.user, "stock.viewAll") && String(req.user.facilityId) !== String(facilityId)) {
         return res.status(403).json({ message: "Forbidden: you can only view your own facility store" });
       }
 
@@ -166,9 +231,7 @@ router.get(
       });
 
       const totalSachetsRemaining = boxes.reduce((acc, b) => {
-        const perBox = Number.isFinite(b.sachetsPerBox) ? b.sachetsPerBox : 600;
-        const rem = Number.isFinite(b.sachetsRemaining) ? b.sachetsRemaining : perBox;
-        return acc + rem;
+        return acc + sachetsRemainingOf(b);
       }, 0);
 
       return res.json({
@@ -202,17 +265,17 @@ router.get(
 //
 // NOTE:
 // - WAREHOUSE_OFFICER can only view their own warehouse.
-// - SUPER_ADMIN can optionally pass ?warehouseId=...
+// - "stock.viewAll" (SUPER_ADMIN) can optionally pass ?warehouseId=...
 // ============================================================================
 router.get(
   "/warehouse/summary",
   requireAuth,
-  requireRole("SUPER_ADMIN", "WAREHOUSE_OFFICER"),
+  requirePermission("stock.viewWarehouse"),
   async (req, res) => {
     try {
       let warehouseId = req.user.warehouseId ? String(req.user.warehouseId) : null;
 
-      if (req.user.role === "SUPER_ADMIN" && req.query.warehouseId) {
+      if (hasPermission(req.user, "stock.viewAll") && req.query.warehouseId) {
         warehouseId = String(req.query.warehouseId);
       }
 
@@ -221,7 +284,7 @@ router.get(
       }
 
       // Warehouse scoping
-      if (req.user.role !== "SUPER_ADMIN" && String(req.user.warehouseId) !== String(warehouseId)) {
+      if (!hasPermission(req.user, "stock.viewAll") && String(req.user.warehouseId) !== String(warehouseId)) {
         return res.status(403).json({ message: "Forbidden: you can only view your own warehouse stock" });
       }
 
@@ -246,9 +309,7 @@ router.get(
       });
 
       const totalSachetsAvailable = boxes.reduce((acc, b) => {
-        const perBox = Number.isFinite(b.sachetsPerBox) ? b.sachetsPerBox : 600;
-        const rem = Number.isFinite(b.sachetsRemaining) ? b.sachetsRemaining : perBox;
-        return acc + rem;
+        return acc + sachetsRemainingOf(b);
       }, 0);
 
       return res.json({
@@ -308,27 +369,31 @@ router.get("/:boxUid", requireAuth, async (req, res) => {
 });
 
 // ============================================================================
-// 2) DISPATCH (Warehouse -> Facility)
+// 2) DISPATCH (Warehouse -> Facility, or Warehouse -> Warehouse transfer)
 // POST /api/boxes/dispatch
 // Roles: SUPER_ADMIN, WAREHOUSE_OFFICER
 //
 // Body:
 // {
 //   "boxUids": ["SPO-ISL-00884-001-1","SPO-ISL-00884-001-2"],
-//   "toFacilityId": "xxxx",
+//   "toFacilityId": "xxxx",    // a FACILITY, or another WAREHOUSE for a transfer
 //   "fromFacilityId": "yyyy"   // optional; defaults to req.user.facilityId
 //   "note": "Truck ABC 123"    // optional
 // }
 //
 // Rules (MVP):
-// - boxes MUST currently be in fromFacilityId AND status IN_WAREHOUSE
+// - boxes MUST currently be in fromFacilityId AND status IN_WAREHOUSE, and not from a recalled batch
+// - boxes MUST be in date, with at least the "dispatch.minShelfLifeDays" setting of shelf life left
 // - after dispatch: status IN_TRANSIT, currentFacilityId = null
 // - logs BoxEvent: DISPATCH (fromFacilityId, toFacilityId)
+// - FACILITY destinations must be linked to the dispatching warehouse (DISTRIBUTION shipment)
+// - WAREHOUSE destinations (e.g. central -> regional) create a TRANSFER shipment, received
+//   with POST /api/boxes/transfer-receive
 // ============================================================================
 router.post(
   "/dispatch",
   requireAuth,
-  requireRole("SUPER_ADMIN", "WAREHOUSE_OFFICER"),
+  requirePermission("boxes.dispatch"),
   async (req, res) => {
     try {
       const boxUids = uniqueStrings(req.body.boxUids);
@@ -338,18 +403,16 @@ router.post(
       // For warehouse users: FROM is always their assigned warehouse (not editable from client).
       // SUPER_ADMIN may pass fromFacilityId, but it must be a warehouse.
       let fromFacilityId = null;
-      if (req.user.role === "WAREHOUSE_OFFICER" || req.user.facilityType === "WAREHOUSE") {
+      if (req.user.facilityType === "WAREHOUSE") {
         fromFacilityId = req.user.warehouseId
           ? String(req.user.warehouseId)
           : req.user.facilityId
           ? String(req.user.facilityId)
           : null;
+      } else if (hasPermission(req.user, "stock.manageAll") && req.body.fromFacilityId) {
+        fromFacilityId = String(req.body.fromFacilityId);
       } else {
-        fromFacilityId = req.body.fromFacilityId
-          ? String(req.body.fromFacilityId)
-          : req.user.facilityId
-          ? String(req.user.facilityId)
-          : null;
+        fromFacilityId = req.user.facilityId ? String(req.user.facilityId) : null;
       }
 
       const note = req.body.note ? String(req.body.note) : null;
@@ -368,12 +431,21 @@ router.post(
       if (fromFacility.type !== "WAREHOUSE") {
         return res.status(400).json({ message: "Dispatch must be FROM a WAREHOUSE facility" });
       }
-      if (toFacility.type !== "FACILITY") {
-        return res.status(400).json({ message: "Dispatch destination must be a FACILITY" });
+      if (String(toFacility.id) === String(fromFacility.id)) {
+        return res.status(400).json({ message: "Dispatch destination must differ from the source warehouse" });
+      }
+      if (!toFacility.isActive) {
+        return res.status(400).json({ message: "Dispatch destination facility is deactivated" });
       }
 
-      // Enforce scope: destination must belong to this warehouse
-      if (toFacility.warehouseId && String(toFacility.warehouseId) !== String(fromFacility.id)) {
+      const shipmentType = toFacility.type === "WAREHOUSE" ? "TRANSFER" : "DISTRIBUTION";
+
+      // Enforce scope: facility destinations must belong to this warehouse
+      if (
+        shipmentType === "DISTRIBUTION" &&
+        toFacility.warehouseId &&
+        String(toFacility.warehouseId) !== String(fromFacility.id)
+      ) {
         return res.status(400).json({
           message: "Destination facility is not linked to this warehouse",
           hint: "Link the facility to this warehouse (warehouseId) before dispatch",
@@ -383,7 +455,7 @@ router.post(
       // Fetch boxes
       const boxes = await prisma.box.findMany({
         where: { boxUid: { in: boxUids } },
-        select: { id: true, boxUid: true, status: true, currentFacilityId: true },
+        select: { id: true, boxUid: true, status: true, currentFacilityId: true, recallId: true, expiryDate: true },
       });
 
       if (boxes.length !== boxUids.length) {
@@ -392,6 +464,19 @@ router.post(
         return res.status(400).json({ message: "Some boxUids were not found", missing });
       }
 
+      // Recalled batches never leave the warehouse
+      const recalled = boxes.filter((b) => b.recallId);
+      if (recalled.length) {
+        return res.status(409).json({
+          message: "Some boxes belong to a recalled batch and cannot be dispatched",
+          recalled: recalled.slice(0, 25).map((b) => ({ boxUid: b.boxUid, recallId: b.recallId })),
+        });
+      }
+
+      // Expired or short-dated boxes stay behind
+      const shelfLife = await checkDispatchShelfLife(boxes);
+      if (shelfLife) return res.status(409).json(shelfLife);
+
       // Validate all are IN_WAREHOUSE and in fromFacility
       const invalid = boxes.filter(
         (b) => b.status !== "IN_WAREHOUSE" || b.currentFacilityId !== fromFacilityId
@@ -416,6 +501,8 @@ router.post(
             message: "Dispatched (idempotent replay)",
             shipmentId: existing.id,
             manifestNo: existing.manifestNo,
+            type: existing.type,
+            expectedArrivalAt: existing.expectedArrivalAt,
             waybillUrl: `/api/shipments/${existing.id}/waybill.pdf`,
             fromFacility: { id: fromFacility.id, code: fromFacility.code, name: fromFacility.name },
             toFacility: { id: toFacility.id, code: toFacility.code, name: toFacility.name },
@@ -430,14 +517,23 @@ router.post(
       // Transaction: create shipment(manifest) + update boxes + create events
       let shipment = null;
       await prisma.$transaction(async (tx) => {
+        const now = new Date();
         shipment = await tx.shipment.create({
           data: {
             manifestNo,
             status: "DISPATCHED",
+            type: shipmentType,
             note: note || null,
             fromWarehouseId: fromFacilityId,
             toFacilityId,
             dispatchedByUserId: req.user.id,
+            dispatchedAt: now,
+            expectedArrivalAt: await computeExpectedArrival(tx, {
+              type: shipmentType,
+              fromFacilityId,
+              toFacilityId,
+              dispatchedAt: now,
+            }),
             idempotencyKey: idemKey || null,
           },
         });
@@ -447,23 +543,14 @@ router.post(
           skipDuplicates: true,
         });
 
-        await tx.box.updateMany({
-          where: { id: { in: boxIds } },
-          data: {
-            status: "IN_TRANSIT",
-            currentFacilityId: null, // remove from warehouse stock immediately
-          },
-        });
-
-        await tx.boxEvent.createMany({
-          data: boxIds.map((id) => ({
-            boxId: id,
-            type: "DISPATCH",
-            performedByUserId: req.user.id,
-            fromFacilityId: fromFacilityId,
-            toFacilityId: toFacilityId,
-            note: note || `Dispatched (Manifest ${manifestNo}) from ${fromFacility.code} to ${toFacility.code}`,
-          })),
+        await markBoxesInTransit(tx, {
+          boxIds,
+          performedByUserId: req.user.id,
+          fromFacilityId,
+          toFacilityId,
+          note:
+            note ||
+            `${shipmentType === "TRANSFER" ? "Transferred" : "Dispatched"} (Manifest ${manifestNo}) from ${fromFacility.code} to ${toFacility.code}`,
         });
       });
 
@@ -471,6 +558,8 @@ router.post(
         message: "Dispatched",
         shipmentId: shipment?.id || null,
         manifestNo,
+        type: shipmentType,
+        expectedArrivalAt: shipment?.expectedArrivalAt || null,
         waybillUrl: shipment?.id ? `/api/shipments/${shipment.id}/waybill.pdf` : null,
         fromFacility: { id: fromFacility.id, code: fromFacility.code, name: fromFacility.name },
         toFacility: { id: toFacility.id, code: toFacility.code, name: toFacility.name },
@@ -500,13 +589,15 @@ router.post(
 // Rules (MVP):
 // - boxes MUST be IN_TRANSIT
 // - (soft check) last DISPATCH event should have toFacilityId = receiving facility
+// - with "shipmentId": the shipment must be open (DISPATCHED, or PARTIALLY_RECEIVED and not yet
+//   closed) and the boxes still open on its manifest; it closes once none is left open
 // - after receive: status IN_FACILITY, currentFacilityId = toFacilityId
 // - logs BoxEvent: FACILITY_RECEIVE
 // ============================================================================
 router.post(
   "/facility-receive",
   requireAuth,
-  requireRole("SUPER_ADMIN", "FACILITY_OFFICER", "CLINICIAN"),
+  requirePermission("boxes.receive"),
   async (req, res) => {
     try {
       const boxUids = uniqueStrings(req.body.boxUids);
@@ -540,6 +631,12 @@ router.post(
       }
 
       const toFacility = await assertFacilityExists(toFacilityId);
+      if (toFacility.type !== "FACILITY") {
+        return res.status(400).json({
+          message: "Facility receive is only for FACILITY destinations",
+          hint: "Warehouses receive transfers with POST /api/boxes/transfer-receive",
+        });
+      }
 
       // Fetch boxes
       const boxes = await prisma.box.findMany({
@@ -568,11 +665,11 @@ router.post(
       if (shipmentId) {
         const shipment = await prisma.shipment.findUnique({
           where: { id: shipmentId },
-          include: { items: { select: { boxId: true, receivedAt: true } } },
+          include: { items: { select: { boxId: true, receivedAt: true, outcome: true } } },
         });
 
         if (!shipment) return res.status(404).json({ message: "Shipment not found" });
-        if (shipment.status !== "DISPATCHED") {
+        if (!isOpenForReceiving(shipment)) {
           return res.status(400).json({ message: "Shipment is not open for receiving", status: shipment.status });
         }
         if (String(shipment.toFacilityId) !== String(toFacilityId)) {
@@ -583,7 +680,7 @@ router.post(
           });
         }
 
-        const expected = new Set(shipment.items.map((i) => i.boxId));
+        const expected = new Set(shipment.items.filter((i) => !i.receivedAt && !i.outcome).map((i) => i.boxId));
         const unexpected = boxes.filter((b) => !expected.has(b.id)).map((b) => b.boxUid);
         if (unexpected.length) {
           return res.status(400).json({
@@ -592,43 +689,24 @@ router.post(
           });
         }
 
-        await prisma.$transaction(async (tx) => {
-          await tx.box.updateMany({
-            where: { id: { in: boxIds } },
-            data: {
-              status: "IN_FACILITY",
-              currentFacilityId: toFacilityId,
-            },
-          });
+        const remaining = await prisma.$transaction(async (tx) => {
+          await arriveInTransitBoxes(tx, boxIds, { status: "IN_FACILITY", currentFacilityId: toFacilityId });
+          await holdRecalledBoxes(tx, boxIds);
 
           await tx.boxEvent.createMany({
             data: boxIds.map((id) => ({
               boxId: id,
               type: "FACILITY_RECEIVE",
               performedByUserId: req.user.id,
+              fromFacilityId: shipment.fromWarehouseId,
               toFacilityId: toFacilityId,
               note: note || `Received against manifest ${shipment.manifestNo} into facility ${toFacility.code}`,
             })),
           });
 
-          await tx.shipmentItem.updateMany({
-            where: { shipmentId: shipment.id, boxId: { in: boxIds } },
-            data: { receivedAt: new Date(), receivedByUserId: req.user.id },
-          });
-
-          const remaining = await tx.shipmentItem.count({
-            where: { shipmentId: shipment.id, receivedAt: null },
-          });
-          if (remaining === 0) {
-            await tx.shipment.update({
-              where: { id: shipment.id },
-              data: { status: "RECEIVED", receivedAt: new Date(), receivedByUserId: req.user.id },
-            });
-          }
+          return receiveManifestItems(tx, shipment, boxIds, req.user.id);
         });
 
-        const remaining = await prisma.shipmentItem.count({ where: { shipmentId, receivedAt: null } });
-
         return res.json({
           message: "Facility received (manifest)",
           shipmentId,
@@ -669,13 +747,8 @@ router.post(
       }
 
       await prisma.$transaction(async (tx) => {
-        await tx.box.updateMany({
-          where: { id: { in: boxIds } },
-          data: {
-            status: "IN_FACILITY",
-            currentFacilityId: toFacilityId,
-          },
-        });
+        await arriveInTransitBoxes(tx, boxIds, { status: "IN_FACILITY", currentFacilityId: toFacilityId });
+        await holdRecalledBoxes(tx, boxIds);
 
         await tx.boxEvent.createMany({
           data: boxIds.map((id) => ({
@@ -703,7 +776,512 @@ router.post(
 );
 
 // ============================================================================
-// 4) STOCK SUMMARY (for dashboard)
+// 3b) REDISTRIBUTION (Facility -> Facility under the same warehouse)
+// POST /api/boxes/redistribute
+// Roles: SUPER_ADMIN, FACILITY_OFFICER
+//
+// Body:
+// {
+//   "boxUids": ["SPO-...-1"],
+//   "toFacilityId": "xxxx",        // neighbouring facility (same warehouse)
+//   "fromFacilityId": "yyyy",      // SUPER_ADMIN only; facility officers send from their own facility
+//   "note": "Lending to FAC-002"   // optional
+// }
+//
+// Rules:
+// - boxes MUST be IN_FACILITY in the sending facility, in date (409 otherwise) and not already on a
+//   pending redistribution
+// - both facilities must be active and linked to the same warehouse
+// - creates a REDISTRIBUTION shipment (manifest); the receiving facility uses
+//   POST /api/boxes/facility-receive with the shipmentId
+// - when the "redistribution.requireApproval" setting is on, the shipment waits as
+//   PENDING_APPROVAL (boxes stay in stock) until the warehouse approves it
+//   (POST /api/shipments/:shipmentId/approve); otherwise boxes go IN_TRANSIT immediately
+// ============================================================================
+router.post(
+  "/redistribute",
+  requireAuth,
+  requirePermission("boxes.redistribute"),
+  async (req, res) => {
+    try {
+      const boxUids = uniqueStrings(req.body.boxUids);
+      const toFacilityId = req.body.toFacilityId ? String(req.body.toFacilityId) : null;
+      const note = req.body.note ? String(req.body.note) : null;
+
+      let fromFacilityId = req.user.facilityId ? String(req.user.facilityId) : null;
+      if (hasPermission(req.user, "stock.manageAll") && req.body.fromFacilityId) {
+        fromFacilityId = String(req.body.fromFacilityId);
+      }
+
+      if (!boxUids.length) return res.status(400).json({ message: "boxUids is required (array)" });
+      if (!toFacilityId) return res.status(400).json({ message: "toFacilityId is required" });
+      if (!fromFacilityId)
+        return res.status(400).json({ message: "fromFacilityId is required (or assign user a facility)" });
+      if (fromFacilityId === toFacilityId) {
+        return res.status(400).json({ message: "Destination must be a different facility" });
+      }
+
+      const [fromFacility, toFacility] = await Promise.all([
+        assertFacilityExists(fromFacilityId),
+        assertFacilityExists(toFacilityId),
+      ]);
+
+      if (fromFacility.type !== "FACILITY" || toFacility.type !== "FACILITY") {
+        return res.status(400).json({ message: "Redistribution is only between FACILITY records" });
+      }
+      if (!fromFacility.isActive || !toFacility.isActive) {
+        return res.status(400).json({ message: "Both facilities must be active" });
+      }
+      if (!fromFacility.warehouseId || String(fromFacility.warehouseId) !== String(toFacility.warehouseId)) {
+        return res.status(400).json({
+          message: "Facilities must be linked to the same warehouse",
+          fromWarehouseId: fromFacility.warehouseId,
+          toWarehouseId: toFacility.warehouseId,
+        });
+      }
+
+      const boxes = await prisma.box.findMany({
+        where: { boxUid: { in: boxUids } },
+        select: {
+          id: true,
+          boxUid: true,
+          status: true,
+          currentFacilityId: true,
+          sachetsRemaining: true,
+          expiryDate: true,
+        },
+      });
+
+      if (boxes.length !== boxUids.length) {
+        const found = new Set(boxes.map((b) => b.boxUid));
+        const missing = boxUids.filter((u) => !found.has(u));
+        return res.status(400).json({ message: "Some boxUids were not found", missing });
+      }
+
+      const invalid = boxes.filter(
+        (b) => b.status !== "IN_FACILITY" || b.currentFacilityId !== fromFacilityId || b.sachetsRemaining <= 0
+      );
+      if (invalid.length) {
+        return res.status(400).json({
+          message: "Some boxes are not eligible for redistribution (must be IN_FACILITY in your facility, not empty)",
+          invalid: invalid.slice(0, 25),
+        });
+      }
+
+      // Past-date boxes still on the shelf (the expiry job has not run yet) are written off, not lent out
+      const expired = boxes.filter((b) => isExpired(b));
+      if (expired.length) {
+        return res.status(409).json({
+          message: "Some boxes are expired and cannot be redistributed",
+          expired: expired.slice(0, 25).map((b) => ({ boxUid: b.boxUid, expiryDate: b.expiryDate })),
+        });
+      }
+
+      const boxIds = boxes.map((b) => b.id);
+
+      const pending = await prisma.shipmentItem.findMany({
+        where: { boxId: { in: boxIds }, shipment: { status: "PENDING_APPROVAL" } },
+        select: { box: { select: { boxUid: true } }, shipment: { select: { manifestNo: true } } },
+      });
+      if (pending.length) {
+        return res.status(409).json({
+          message: "Some boxes are already on a redistribution awaiting approval",
+          pending: pending.slice(0, 25).map((p) => ({ boxUid: p.box.boxUid, manifestNo: p.shipment.manifestNo })),
+        });
+      }
+
+      const requireApproval = (await getSetting(REDISTRIBUTION_APPROVAL_SETTING)) === true;
+      const manifestNo = makeManifestNo();
+
+      const shipment = await prisma.$transaction(async (tx) => {
+        const now = new Date();
+        const created = await tx.shipment.create({
+          data: {
+            manifestNo,
+            type: "REDISTRIBUTION",
+            status: requireApproval ? "PENDING_APPROVAL" : "DISPATCHED",
+            note: note || null,
+            fromWarehouseId: fromFacilityId,
+            toFacilityId,
+            dispatchedByUserId: req.user.id,
+            dispatchedAt: now,
+            // Pending requests get their ETA when the warehouse approves them
+            expectedArrivalAt: requireApproval
+              ? null
+              : await computeExpectedArrival(tx, {
+                  type: "REDISTRIBUTION",
+                  fromFacilityId,
+                  toFacilityId,
+                  dispatchedAt: now,
+                }),
+          },
+        });
+
+        await tx.shipmentItem.createMany({
+          data: boxIds.map((id) => ({ shipmentId: created.id, boxId: id })),
+          skipDuplicates: true,
+        });
+
+        if (!requireApproval) {
+          await markBoxesInTransit(tx, {
+            boxIds,
+            performedByUserId: req.user.id,
+            fromFacilityId,
+            toFacilityId,
+            note: note || `Redistributed (Manifest ${manifestNo}) from ${fromFacility.code} to ${toFacility.code}`,
+          });
+        }
+
+        return created;
+      });
+
+      return res.status(201).json({
+        message: requireApproval ? "Redistribution awaiting warehouse approval" : "Redistribution dispatched",
+        shipmentId: shipment.id,
+        manifestNo,
+        type: shipment.type,
+        status: shipment.status,
+        expectedArrivalAt: shipment.expectedArrivalAt,
+        waybillUrl: `/api/shipments/${shipment.id}/waybill.pdf`,
+        fromFacility: { id: fromFacility.id, code: fromFacility.code, name: fromFacility.name },
+        toFacility: { id: toFacility.id, code: toFacility.code, name: toFacility.name },
+        boxCount: boxIds.length,
+        sample: boxUids.slice(0, 10),
+      });
+    } catch (err) {
+      console.error(err);
+      const status = err.status || 500;
+      return res.status(status).json({ message: err.message || "Server error" });
+    }
+  }
+);
+
+// ============================================================================
+// 3c) RETURN (Facility -> its warehouse)
+// POST /api/boxes/return
+// Roles: SUPER_ADMIN, FACILITY_OFFICER
+//
+// Body:
+// {
+//   "boxUids": ["SPO-...-1"],
+//   "reason": "NEAR_EXPIRY" | "DAMAGED" | "PROGRAM_CLOSURE",
+//   "fromFacilityId": "yyyy",   // SUPER_ADMIN only; facility officers return from their own facility
+//   "note": "Expires next month" // optional
+// }
+//
+// Rules:
+// - boxes MUST be IN_FACILITY (or QUARANTINED, e.g. arrived damaged) in the returning facility;
+//   partially used boxes keep sachetsRemaining
+// - destination is the warehouse the facility is linked to
+// - creates a RETURN shipment (manifest); boxes go IN_TRANSIT with a DISPATCH event
+// - the warehouse receives it with POST /api/boxes/return-receive
+// ============================================================================
+const RETURN_REASONS = ["NEAR_EXPIRY", "DAMAGED", "PROGRAM_CLOSURE"];
+
+router.post(
+  "/return",
+  requireAuth,
+  requirePermission("boxes.return"),
+  async (req, res) => {
+    try {
+      const boxUids = uniqueStrings(req.body.boxUids);
+      const reason = req.body.reason ? String(req.body.reason).trim().toUpperCase() : null;
+      const note = req.body.note ? String(req.body.note) : null;
+
+      let fromFacilityId = req.user.facilityId ? String(req.user.facilityId) : null;
+      if (hasPermission(req.user, "stock.manageAll") && req.body.fromFacilityId) {
+        fromFacilityId = String(req.body.fromFacilityId);
+      }
+
+      if (!boxUids.length) return res.status(400).json({ message: "boxUids is required (array)" });
+      if (!reason || !RETURN_REASONS.includes(reason)) {
+        return res.status(400).json({ message: "reason is required", allowed: RETURN_REASONS });
+      }
+      if (!fromFacilityId)
+        return res.status(400).json({ message: "fromFacilityId is required (or assign user a facility)" });
+
+      const fromFacility = await assertFacilityExists(fromFacilityId);
+      if (fromFacility.type !== "FACILITY") {
+        return res.status(400).json({ message: "Returns are sent from a FACILITY" });
+      }
+      if (!fromFacility.warehouseId) {
+        return res.status(400).json({
+          message: "Facility is not linked to a warehouse",
+          hint: "Link the facility to a warehouse (warehouseId) before returning stock",
+        });
+      }
+
+      const warehouse = await assertFacilityExists(String(fromFacility.warehouseId));
+      if (!warehouse.isActive) {
+        return res.status(400).json({ message: "The facility's warehouse is deactivated and cannot receive returns" });
+      }
+
+      const boxes = await prisma.box.findMany({
+        where: { boxUid: { in: boxUids } },
+        select: { id: true, boxUid: true, status: true, currentFacilityId: true, sachetsRemaining: true },
+      });
+
+      if (boxes.length !== boxUids.length) {
+        const found = new Set(boxes.map((b) => b.boxUid));
+        const missing = boxUids.filter((u) => !found.has(u));
+        return res.status(400).json({ message: "Some boxUids were not found", missing });
+      }
+
+      const invalid = boxes.filter(
+        (b) => !["IN_FACILITY", "QUARANTINED"].includes(b.status) || b.currentFacilityId !== fromFacilityId
+      );
+      if (invalid.length) {
+        return res.status(400).json({
+          message: "Some boxes are not eligible for return (must be IN_FACILITY or QUARANTINED in your facility)",
+          invalid: invalid.slice(0, 25),
+        });
+      }
+
+      const boxIds = boxes.map((b) => b.id);
+
+      const pending = await prisma.shipmentItem.findMany({
+        where: { boxId: { in: boxIds }, shipment: { status: "PENDING_APPROVAL" } },
+        select: { box: { select: { boxUid: true } }, shipment: { select: { manifestNo: true } } },
+      });
+      if (pending.length) {
+        return res.status(409).json({
+          message: "Some boxes are on a redistribution awaiting approval",
+          pending: pending.slice(0, 25).map((p) => ({ boxUid: p.box.boxUid, manifestNo: p.shipment.manifestNo })),
+        });
+      }
+
+      const manifestNo = makeManifestNo();
+
+      const shipment = await prisma.$transaction(async (tx) => {
+        const now = new Date();
+        const created = await tx.shipment.create({
+          data: {
+            manifestNo,
+            type: "RETURN",
+            returnReason: reason,
+            status: "DISPATCHED",
+            note: note || null,
+            fromWarehouseId: fromFacilityId,
+            toFacilityId: warehouse.id,
+            dispatchedByUserId: req.user.id,
+            dispatchedAt: now,
+            expectedArrivalAt: await computeExpectedArrival(tx, {
+              type: "RETURN",
+              fromFacilityId,
+              toFacilityId: warehouse.id,
+              dispatchedAt: now,
+            }),
+          },
+        });
+
+        await tx.shipmentItem.createMany({
+          data: boxIds.map((id) => ({ shipmentId: created.id, boxId: id })),
+          skipDuplicates: true,
+        });
+
+        await markBoxesInTransit(tx, {
+          boxIds,
+          performedByUserId: req.user.id,
+          fromFacilityId,
+          toFacilityId: warehouse.id,
+          note: note || `Returned (${reason}, Manifest ${manifestNo}) from ${fromFacility.code} to ${warehouse.code}`,
+        });
+
+        return created;
+      });
+
+      return res.status(201).json({
+        message: "Return dispatched",
+        shipmentId: shipment.id,
+        manifestNo,
+        type: shipment.type,
+        returnReason: reason,
+        expectedArrivalAt: shipment.expectedArrivalAt,
+        waybillUrl: `/api/shipments/${shipment.id}/waybill.pdf`,
+        fromFacility: { id: fromFacility.id, code: fromFacility.code, name: fromFacility.name },
+        toWarehouse: { id: warehouse.id, code: warehouse.code, name: warehouse.name },
+        boxCount: boxIds.length,
+        sachetsRemaining: boxes.reduce((sum, b) => sum + (b.sachetsRemaining || 0), 0),
+        sample: boxUids.slice(0, 10),
+      });
+    } catch (err) {
+      console.error(err);
+      const status = err.status || 500;
+      return res.status(status).json({ message: err.message || "Server error" });
+    }
+  }
+);
+
+// ============================================================================
+// 4) WAREHOUSE SHIPMENT RECEIVE (transfers from other warehouses, returns from facilities)
+// POST /api/boxes/transfer-receive   (TRANSFER shipments)
+// POST /api/boxes/return-receive     (RETURN shipments)
+// Roles: SUPER_ADMIN, WAREHOUSE_OFFICER
+//
+// Body:
+// {
+//   "shipmentId": "xxxx",
+//   "boxUids": ["SPO-...-1","SPO-...-2"],
+//   "quarantine": true,                  // optional; default true only for DAMAGED returns
+//   "note": "Received at regional store" // optional
+// }
+//
+// Rules:
+// - warehouse users receive into their own warehouse; SUPER_ADMIN receives for the destination
+// - the shipment must be open: DISPATCHED, or PARTIALLY_RECEIVED and not yet closed
+// - boxes MUST be IN_TRANSIT and still open on the manifest
+// - after receive: status IN_WAREHOUSE (or QUARANTINED), currentFacilityId = receiving warehouse;
+//   sachetsRemaining is kept as sent
+// - logs BoxEvent: WAREHOUSE_RECEIVE (fromFacilityId = sender)
+// - the shipment closes once no box on the manifest is left open (see receiveManifestItems)
+// ============================================================================
+const WAREHOUSE_RECEIVE_LABELS = {
+  TRANSFER: "warehouse transfer",
+  RETURN: "return",
+};
+
+function receiveIntoWarehouse(shipmentType) {
+  const label = WAREHOUSE_RECEIVE_LABELS[shipmentType];
+
+  return async (req, res) => {
+    try {
+      const boxUids = uniqueStrings(req.body.boxUids);
+      const note = req.body.note ? String(req.body.note) : null;
+      const shipmentId = req.body.shipmentId ? String(req.body.shipmentId) : null;
+
+      if (!shipmentId) return res.status(400).json({ message: "shipmentId is required" });
+      if (!boxUids.length) return res.status(400).json({ message: "boxUids is required (array)" });
+      if (req.body.quarantine !== undefined && typeof req.body.quarantine !== "boolean") {
+        return res.status(400).json({ message: "quarantine must be true or false" });
+      }
+
+      const shipment = await prisma.shipment.findUnique({
+        where: { id: shipmentId },
+        include: {
+          fromWarehouse: { select: { id: true, code: true, name: true } },
+          toFacility: { select: { id: true, code: true, name: true } },
+          items: { select: { boxId: true, receivedAt: true, outcome: true } },
+        },
+      });
+
+      if (!shipment) return res.status(404).json({ message: "Shipment not found" });
+      if (shipment.type !== shipmentType) {
+        return res.status(400).json({ message: `Shipment is not a ${label}`, type: shipment.type });
+      }
+      if (!isOpenForReceiving(shipment)) {
+        return res.status(400).json({ message: "Shipment is not open for receiving", status: shipment.status });
+      }
+
+      // Warehouse scoping: warehouse users can only receive into their own warehouse
+      if (!hasPermission(req.user, "stock.manageAll") && req.user.facilityType === "WAREHOUSE") {
+        const myWarehouseId = req.user.warehouseId
+          ? String(req.user.warehouseId)
+          : req.user.facilityId
+          ? String(req.user.facilityId)
+          : null;
+
+        if (!myWarehouseId || String(shipment.toFacilityId) !== myWarehouseId) {
+          return res.status(403).json({
+            message: `This ${label} is not destined for your warehouse`,
+            shipmentToFacilityId: shipment.toFacilityId,
+            yourWarehouseId: myWarehouseId,
+          });
+        }
+      }
+
+      const boxes = await prisma.box.findMany({
+        where: { boxUid: { in: boxUids } },
+        select: { id: true, boxUid: true, status: true },
+      });
+
+      if (boxes.length !== boxUids.length) {
+        const found = new Set(boxes.map((b) => b.boxUid));
+        const missing = boxUids.filter((u) => !found.has(u));
+        return res.status(400).json({ message: "Some boxUids were not found", missing });
+      }
+
+      const invalid = boxes.filter((b) => b.status !== "IN_TRANSIT");
+      if (invalid.length) {
+        return res.status(400).json({
+          message: `Some boxes are not eligible for ${label} receive (must be IN_TRANSIT)`,
+          invalid: invalid.slice(0, 25),
+        });
+      }
+
+      const expected = new Set(shipment.items.filter((i) => !i.receivedAt && !i.outcome).map((i) => i.boxId));
+      const unexpected = boxes.filter((b) => !expected.has(b.id)).map((b) => b.boxUid);
+      if (unexpected.length) {
+        return res.status(400).json({
+          message: "Some scanned boxes are not part of this shipment manifest",
+          unexpected: unexpected.slice(0, 25),
+        });
+      }
+
+      const quarantine =
+        req.body.quarantine !== undefined ? req.body.quarantine : shipment.returnReason === "DAMAGED";
+      const boxIds = boxes.map((b) => b.id);
+      const toWarehouseId = shipment.toFacilityId;
+      const what = shipmentType === "RETURN" ? `return (${shipment.returnReason})` : "transfer";
+
+      const remaining = await prisma.$transaction(async (tx) => {
+        await arriveInTransitBoxes(tx, boxIds, {
+          status: quarantine ? "QUARANTINED" : "IN_WAREHOUSE",
+          currentFacilityId: toWarehouseId,
+        });
+        await holdRecalledBoxes(tx, boxIds);
+
+        await tx.boxEvent.createMany({
+          data: boxIds.map((id) => ({
+            boxId: id,
+            type: "WAREHOUSE_RECEIVE",
+            performedByUserId: req.user.id,
+            fromFacilityId: shipment.fromWarehouseId,
+            toFacilityId: toWarehouseId,
+            note:
+              note ||
+              `Received ${what} ${shipment.manifestNo} from ${shipment.fromWarehouse.code} into ${shipment.toFacility.code}` +
+                (quarantine ? " (quarantined)" : ""),
+          })),
+        });
+
+        return receiveManifestItems(tx, shipment, boxIds, req.user.id);
+      });
+
+      return res.json({
+        message: `Warehouse received (${label})`,
+        shipmentId: shipment.id,
+        manifestNo: shipment.manifestNo,
+        fromWarehouse: shipment.fromWarehouse,
+        toWarehouse: shipment.toFacility,
+        boxStatus: quarantine ? "QUARANTINED" : "IN_WAREHOUSE",
+        receivedCount: boxIds.length,
+        remainingExpected: remaining,
+        sample: boxUids.slice(0, 10),
+      });
+    } catch (err) {
+      console.error(err);
+      const status = err.status || 500;
+      return res.status(status).json({ message: err.message || "Server error" });
+    }
+  };
+}
+
+router.post(
+  "/transfer-receive",
+  requireAuth,
+  requirePermission("boxes.warehouseReceive"),
+  receiveIntoWarehouse("TRANSFER")
+);
+
+router.post(
+  "/return-receive",
+  requireAuth,
+  requirePermission("boxes.warehouseReceive"),
+  receiveIntoWarehouse("RETURN")
+);
+
+// ============================================================================
+// 5) STOCK SUMMARY (for dashboard)
 // GET /api/boxes/stock/facility/:facilityId
 //
 // Returns counts by product+batch+expiry+status for boxes currently in that facility.
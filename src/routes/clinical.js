@@ -3,7 +3,11 @@ const router = express.Router();
 
 const prisma = require("../lib/prisma");
 const { requireAuth } = require("../middleware/auth");
-const { requireRole } = require("../middleware/rbac");
+const { requirePermission } = require("../middleware/rbac");
+const { recordAudit, pickFields } = require("../utils/audit");
+const { holdRecalledBoxes } = require("../utils/recalls");
+const { inDateWhere, isExpired } = require("../utils/expiry");
+const { sachetsPerBoxOf, sachetsRemainingOf } = require("../utils/packs");
 
 // ---------------- helpers ----------------
 function computeAgeInMonths(dob, refDate = new Date()) {
@@ -483,7 +487,7 @@ function deriveLatestAppointmentVisit(visits) {
  * Auto-allocate sachets from facility stock WITHOUT requiring the client to scan a box.
  *
  * Allocation rule (simple + safe):
- *  - Use boxes in this facility with status IN_FACILITY
+ *  - Use boxes in this facility with status IN_FACILITY (never recalled batches or expired boxes)
  *  - Consume from the earliest-expiring boxes first (FEFO)
  *  - Split across boxes if needed
  *
@@ -506,7 +510,7 @@ async function autoAllocateDispenseFromFacility(tx, {
   }
 
   const boxes = await tx.box.findMany({
-    where: { currentFacilityId: facilityId, status: "IN_FACILITY" },
+    where: { currentFacilityId: facilityId, status: "IN_FACILITY", recallId: null, ...inDateWhere() },
     select: {
       id: true,
       boxUid: true,
@@ -522,15 +526,13 @@ async function autoAllocateDispenseFromFacility(tx, {
   });
 
   if (!boxes || boxes.length === 0) {
-    const e = new Error("No boxes available IN_FACILITY in this facility for dispensing");
+    const e = new Error("No in-date boxes available IN_FACILITY in this facility for dispensing");
     e.statusCode = 400;
     throw e;
   }
 
   const totalAvailable = boxes.reduce((acc, b) => {
-    const perBox = Number.isFinite(b.sachetsPerBox) ? b.sachetsPerBox : 600;
-    const rem = Number.isFinite(b.sachetsRemaining) ? b.sachetsRemaining : perBox;
-    return acc + rem;
+    return acc + sachetsRemainingOf(b);
   }, 0);
 
   if (qty > totalAvailable) {
@@ -546,8 +548,7 @@ async function autoAllocateDispenseFromFacility(tx, {
   for (const b of boxes) {
     if (remainingToAllocate <= 0) break;
 
-    const perBox = Number.isFinite(b.sachetsPerBox) ? b.sachetsPerBox : 600;
-    const rem = Number.isFinite(b.sachetsRemaining) ? b.sachetsRemaining : perBox;
+    const rem = sachetsRemainingOf(b);
 
     if (rem <= 0) continue;
 
@@ -605,7 +606,7 @@ async function reverseVisitDispensesToStock(tx, {
     if (d.boxId) {
       const box = await tx.box.findUnique({ where: { id: d.boxId } });
       if (box) {
-        const perBox = Number.isFinite(box.sachetsPerBox) ? box.sachetsPerBox : 600;
+        const perBox = sachetsPerBoxOf(box);
         const currentRemaining = Number.isFinite(box.sachetsRemaining) ? box.sachetsRemaining : 0;
         const newRemaining = Math.min(perBox, currentRemaining + qty);
 
@@ -616,6 +617,7 @@ async function reverseVisitDispensesToStock(tx, {
             status: "IN_FACILITY",
           },
         });
+        await holdRecalledBoxes(tx, [box.id]);
 
         await tx.boxEvent.create({
           data: {
@@ -980,7 +982,7 @@ async function buildChildSummaryPayload(childId) {
 router.post(
   "/enroll",
   requireAuth,
-  requireRole("SUPER_ADMIN", "CLINICIAN"),
+  requirePermission("clinical.enroll"),
   async (req, res) => {
     try {
       const body = req.body || {};
@@ -1309,7 +1311,7 @@ router.post(
 router.get(
   "/children/duplicate-check",
   requireAuth,
-  requireRole("SUPER_ADMIN", "CLINICIAN", "FACILITY_OFFICER", "VIEWER"),
+  requirePermission("clinical.view"),
   async (req, res) => {
     try {
       const input = {
@@ -1344,7 +1346,7 @@ router.get(
 router.get(
   "/children/search",
   requireAuth,
-  requireRole("SUPER_ADMIN", "CLINICIAN", "FACILITY_OFFICER", "VIEWER"),
+  requirePermission("clinical.view"),
   async (req, res) => {
     try {
       const q = String(req.query.q || "").trim();
@@ -1398,7 +1400,7 @@ router.get(
 router.patch(
   "/children/:childId",
   requireAuth,
-  requireRole("SUPER_ADMIN", "CLINICIAN"),
+  requirePermission("clinical.edit"),
   async (req, res) => {
     try {
       const childCheck = await assertChildInMyFacility(req, req.params.childId);
@@ -1601,6 +1603,20 @@ router.patch(
             data: childData,
           });
         }
+
+        await recordAudit(tx, req, {
+          action: "child.update",
+          entityType: "Child",
+          entityId: existing.id,
+          before: {
+            ...pickFields(existing, Object.keys(childData)),
+            ...pickFields(existing.caregiver, Object.keys(caregiverData), "caregiver."),
+          },
+          after: {
+            ...childData,
+            ...pickFields(caregiverData, Object.keys(caregiverData), "caregiver."),
+          },
+        });
       });
 
       const summary = await buildChildSummaryPayload(existing.id);
@@ -1615,7 +1631,7 @@ router.patch(
 router.get(
   "/children/:childId/summary",
   requireAuth,
-  requireRole("SUPER_ADMIN", "CLINICIAN", "FACILITY_OFFICER", "VIEWER"),
+  requirePermission("clinical.view"),
   async (req, res) => {
     try {
       const childCheck = await assertChildInMyFacility(req, req.params.childId);
@@ -1636,7 +1652,7 @@ router.get(
 router.post(
   "/children/:childId/visits",
   requireAuth,
-  requireRole("SUPER_ADMIN", "CLINICIAN"),
+  requirePermission("clinical.edit"),
   async (req, res) => {
     try {
       const childCheck = await assertChildInMyFacility(req, req.params.childId);
@@ -1781,8 +1797,14 @@ router.post(
             throw e;
           }
 
-          const perBox = Number.isFinite(box.sachetsPerBox) ? box.sachetsPerBox : 600;
-          const remaining = Number.isFinite(box.sachetsRemaining) ? box.sachetsRemaining : perBox;
+          if (isExpired(box)) {
+            const e = new Error("Box is expired and cannot be dispensed");
+            e.statusCode = 400;
+            e.meta = { boxUid, expiryDate: box.expiryDate };
+            throw e;
+          }
+
+          const remaining = sachetsRemainingOf(box);
           const newRemaining = remaining - Math.round(qty);
           if (newRemaining < 0) {
             const e = new Error("Not enough sachets remaining in this box");
@@ -1848,7 +1870,7 @@ router.post(
 router.patch(
   "/children/:childId/visits/:visitId",
   requireAuth,
-  requireRole("SUPER_ADMIN", "CLINICIAN"),
+  requirePermission("clinical.edit"),
   async (req, res) => {
     try {
       const childCheck = await assertChildInMyFacility(req, req.params.childId);
@@ -1994,6 +2016,17 @@ router.patch(
           dispenses = allocated.map((a) => a.dispense);
         }
 
+        const visitFields = ["visitDate", "notes", "weightKg", "heightCm", "muacMm", "whzScore", "nextAppointmentDate"];
+        const sumSachets = (list) => (list || []).reduce((acc, d) => acc + (d.quantitySachets || 0), 0);
+        await recordAudit(tx, req, {
+          action: "visit.update",
+          entityType: "ChildVisit",
+          entityId: updatedVisit.id,
+          before: { ...pickFields(latestVisit, visitFields), quantitySachets: sumSachets(latestVisit.dispenses) },
+          after: { ...pickFields(updatedVisit, visitFields), quantitySachets: sumSachets(dispenses) },
+          metadata: { childId: childCheck.id, reversedDispenses: reversedDispenses.length },
+        });
+
         return { visit: updatedVisit, dispenses, reversedDispenses };
       });
 
@@ -2019,7 +2052,7 @@ router.patch(
 router.post(
   "/children/:childId/dispense",
   requireAuth,
-  requireRole("SUPER_ADMIN", "CLINICIAN"),
+  requirePermission("clinical.dispense"),
   async (req, res) => {
     try {
       const childCheck = await assertChildInMyFacility(req, req.params.childId);
@@ -2107,8 +2140,11 @@ router.post(
         });
       }
 
-      const perBox = Number.isFinite(box.sachetsPerBox) ? box.sachetsPerBox : 600;
-      const remaining = Number.isFinite(box.sachetsRemaining) ? box.sachetsRemaining : perBox;
+      if (isExpired(box)) {
+        return res.status(400).json({ message: "Box is expired and cannot be dispensed", expiryDate: box.expiryDate });
+      }
+
+      const remaining = sachetsRemainingOf(box);
       const newRemaining = remaining - Math.round(quantitySachets);
       if (newRemaining < 0) {
         return res.status(400).json({
@@ -2174,7 +2210,7 @@ router.post(
 router.get(
   "/caregivers/:caregiverId",
   requireAuth,
-  requireRole("SUPER_ADMIN", "CLINICIAN", "FACILITY_OFFICER", "VIEWER"),
+  requirePermission("clinical.view"),
   async (req, res) => {
     try {
       const caregiver = await prisma.caregiver.findUnique({
@@ -2206,7 +2242,7 @@ router.get(
 router.post(
   "/children/:childId/assessment",
   requireAuth,
-  requireRole("SUPER_ADMIN", "CLINICIAN"),
+  requirePermission("clinical.edit"),
   async (req, res) => {
     try {
       const childCheck = await assertChildInMyFacility(req, req.params.childId);
@@ -2266,7 +2302,7 @@ router.post(
 router.get(
   "/children/:childId/assessment",
   requireAuth,
-  requireRole("SUPER_ADMIN", "CLINICIAN", "FACILITY_OFFICER", "VIEWER"),
+  requirePermission("clinical.view"),
   async (req, res) => {
     try {
       const childCheck = await assertChildInMyFacility(req, req.params.childId);
@@ -2293,7 +2329,7 @@ router.get(
 router.put(
   "/children/:childId/assessment",
   requireAuth,
-  requireRole("SUPER_ADMIN", "CLINICIAN"),
+  requirePermission("clinical.edit"),
   async (req, res) => {
     try {
       const childCheck = await assertChildInMyFacility(req, req.params.childId);
@@ -2340,14 +2376,28 @@ router.put(
       dataObj = enrichAssessmentData(dataObj);
       const quick = extractAssessmentQuickFields(dataObj);
 
-      const updated = await prisma.inDepthAssessment.update({
-        where: { id: existing.id },
-        data: {
-          assessmentDate,
-          data: dataObj,
-          performedByUserId: req.user.id,
-          ...quick,
-        },
+      const updated = await prisma.$transaction(async (tx) => {
+        const next = await tx.inDepthAssessment.update({
+          where: { id: existing.id },
+          data: {
+            assessmentDate,
+            data: dataObj,
+            performedByUserId: req.user.id,
+            ...quick,
+          },
+        });
+
+        const assessmentFields = ["assessmentDate", "data", "performedByUserId", ...Object.keys(quick)];
+        await recordAudit(tx, req, {
+          action: "assessment.update",
+          entityType: "InDepthAssessment",
+          entityId: existing.id,
+          before: pickFields(existing, assessmentFields),
+          after: pickFields(next, assessmentFields),
+          metadata: { childId: childCheck.id, assessmentType },
+        });
+
+        return next;
       });
 
       return res.json({ message: "In-depth assessment updated", assessment: addLegacyAssessmentFields(updated) });
@@ -2361,7 +2411,7 @@ router.put(
 router.get(
   "/facility/appointments",
   requireAuth,
-  requireRole("SUPER_ADMIN", "CLINICIAN", "FACILITY_OFFICER", "VIEWER"),
+  requirePermission("clinical.view"),
   async (req, res) => {
     try {
       const facility = await resolveFacilityForClinical(req, req.query || {});
@@ -2464,7 +2514,7 @@ router.get(
 router.get(
   "/facility/children/recent",
   requireAuth,
-  requireRole("SUPER_ADMIN", "CLINICIAN", "FACILITY_OFFICER", "VIEWER"),
+  requirePermission("clinical.view"),
   async (req, res) => {
     try {
       const facility = await resolveFacilityForClinical(req, req.query || {});
@@ -2569,7 +2619,7 @@ router.get(
 router.get(
   "/facility/sync-delta",
   requireAuth,
-  requireRole("SUPER_ADMIN", "CLINICIAN", "FACILITY_OFFICER", "VIEWER"),
+  requirePermission("clinical.view"),
   async (req, res) => {
     try {
       const facility = await resolveFacilityForClinical(req, req.query || {});
@@ -3,6 +3,11 @@ const router = express.Router();
 
 const prisma = require("../lib/prisma");
 const { requireAuth } = require("../middleware/auth");
+const { hasPermission } = require("../middleware/rbac");
+const { recordAudit, pickFields } = require("../utils/audit");
+const { getFacilitiesInUnit } = require("../utils/adminUnits");
+const { transitStatus } = require("../utils/shipments");
+const { convertSachets } = require("../utils/packs");
 
 // ---------------- helpers ----------------
 function toInt(v, fallback) {
@@ -14,13 +19,31 @@ function startOfDay(d) {
   x.setHours(0, 0, 0, 0);
   return x;
 }
+// Report window from ?fromDate / ?toDate: whole days, inclusive; defaults to the last 90 days up to
+// now. Returns null when either date is invalid.
+function reportDateRange(query, now = new Date()) {
+  const parseDate = (value) => {
+    if (!value) return null;
+    const d = new Date(String(value));
+    return Number.isNaN(d.getTime()) ? undefined : d;
+  };
+  const fromDate = parseDate(query.fromDate);
+  const toDate = parseDate(query.toDate);
+  if (fromDate === undefined || toDate === undefined) return null;
+
+  return {
+    from: fromDate ? startOfDay(fromDate) : startOfDay(new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000)),
+    to: toDate ? new Date(startOfDay(toDate).getTime() + 24 * 60 * 60 * 1000 - 1) : now,
+  };
+}
 function getActiveDayKey(d) {
   return startOfDay(d).getTime();
 }
 
 /**
  * Scope rules (safe, won’t leak):
- * - SUPER_ADMIN or VIEWER => ALL
+ * - assigned to an administrative unit => facilities of that unit + its sub-units
+ * - "dashboard.viewAll" permission (SUPER_ADMIN, VIEWER) => ALL
  * - WAREHOUSE_OFFICER or assigned to WAREHOUSE => warehouse + its facilities
  * - otherwise => only own facility
  */
@@ -31,7 +54,22 @@ async function getScope(req) {
   const warehouseId =
     req.user?.warehouseId ? String(req.user.warehouseId) : facilityId;
 
-  if (role === "SUPER_ADMIN" || role === "VIEWER") {
+  // Administrative unit scope (county / sub-county coordinators)
+  if (req.user?.adminUnitId) {
+    const facilities = await getFacilitiesInUnit(String(req.user.adminUnitId));
+    return {
+      mode: "ADMIN_UNIT",
+      warehouseId: null,
+      adminUnitId: String(req.user.adminUnitId),
+      warehouseIds: facilities.filter((f) => f.type === "WAREHOUSE").map((f) => f.id),
+      facilityIdsAll: facilities.map((f) => f.id),
+      facilityIdsFacilitiesOnly: facilities
+        .filter((f) => f.type === "FACILITY")
+        .map((f) => f.id),
+    };
+  }
+
+  if (hasPermission(req.user, "dashboard.viewAll")) {
     // ALL facilities
     const facs = await prisma.facility.findMany({
       where: { type: "FACILITY" },
@@ -88,6 +126,25 @@ async function getScope(req) {
   };
 }
 
+// Shipments a scope follows: warehouses see what they sent, transfers addressed to them and
+// redistributions between their facilities; facilities and units see what was sent to them.
+function shipmentScopeWhere(scope, base) {
+  if (scope.mode === "ALL") return base;
+  if (scope.mode === "WAREHOUSE") {
+    return {
+      ...base,
+      OR: [
+        { fromWarehouseId: scope.warehouseId },
+        { toFacilityId: scope.warehouseId },
+        { type: "REDISTRIBUTION", fromWarehouse: { warehouseId: scope.warehouseId } },
+      ],
+    };
+  }
+  if (scope.mode === "FACILITY") return { ...base, toFacilityId: scope.facilityIdsFacilitiesOnly[0] };
+  if (scope.mode === "ADMIN_UNIT") return { ...base, toFacilityId: { in: scope.facilityIdsAll } };
+  return { ...base, id: "__none__" };
+}
+
 // -----------------------------------------------------------------------------
 // GET /api/dashboard/overview
 // Leadership landing page data: warehouse stock, transit, facility stock, expiry, stockout risk, enrollment
@@ -124,17 +181,27 @@ router.get("/overview", requireAuth, async (req, res) => {
       selectedFacilityId = requestedFacilityId;
     }
 
-    let boxesInWarehouse = 0;
+    let warehouseBoxWhere = null;
     if (scope.mode === "ALL") {
-      boxesInWarehouse = await prisma.box.count({
-        where: { status: "IN_WAREHOUSE" },
-      });
+      warehouseBoxWhere = { status: "IN_WAREHOUSE" };
     } else if (scope.mode === "WAREHOUSE" && scope.warehouseId) {
-      boxesInWarehouse = await prisma.box.count({
-        where: { status: "IN_WAREHOUSE", currentFacilityId: scope.warehouseId },
-      });
+      warehouseBoxWhere = { status: "IN_WAREHOUSE", currentFacilityId: scope.warehouseId };
+    } else if (scope.mode === "ADMIN_UNIT" && scope.warehouseIds.length) {
+      warehouseBoxWhere = { status: "IN_WAREHOUSE", currentFacilityId: { in: scope.warehouseIds } };
     }
 
+    // Warehouse stock per product (pack sizes differ between products)
+    const warehouseAgg = warehouseBoxWhere
+      ? await prisma.box.groupBy({
+          by: ["productId"],
+          where: warehouseBoxWhere,
+          _count: { _all: true },
+          _sum: { sachetsRemaining: true },
+        })
+      : [];
+    const boxesInWarehouse = warehouseAgg.reduce((sum, r) => sum + r._count._all, 0);
+    const sachetsInWarehouse = warehouseAgg.reduce((sum, r) => sum + (r._sum.sachetsRemaining || 0), 0);
+
     const facilityBoxWhere = {
       status: "IN_FACILITY",
       currentFacilityId: selectedFacilityId
@@ -150,7 +217,37 @@ router.get("/overview", requireAuth, async (req, res) => {
       _sum: { sachetsRemaining: true },
     });
     const sachetsInFacilities = sachetsInFacilitiesAgg._sum.sachetsRemaining || 0;
-    const sachetsInWarehouse = boxesInWarehouse * 600;
+
+    const facilityProductAgg = await prisma.box.groupBy({
+      by: ["productId"],
+      where: facilityBoxWhere,
+      _count: { _all: true },
+      _sum: { sachetsRemaining: true },
+    });
+
+    const stockProducts = await prisma.product.findMany({
+      where: { id: { in: [...new Set([...warehouseAgg, ...facilityProductAgg].map((r) => r.productId))] } },
+      select: { id: true, code: true, name: true, sachetsPerBox: true, sachetsPerChildDay: true },
+    });
+    const stockLevel = (agg, product) => {
+      const row = agg.find((r) => r.productId === product.id);
+      return { boxCount: row?._count._all || 0, ...convertSachets(row?._sum.sachetsRemaining || 0, product) };
+    };
+    const stockByProduct = stockProducts
+      .map((product) => {
+        const warehouse = stockLevel(warehouseAgg, product);
+        const facilities = stockLevel(facilityProductAgg, product);
+        return {
+          product,
+          warehouse,
+          facilities,
+          total: {
+            boxCount: warehouse.boxCount + facilities.boxCount,
+            ...convertSachets(warehouse.sachets + facilities.sachets, product),
+          },
+        };
+      })
+      .sort((a, b) => a.product.code.localeCompare(b.product.code));
 
     const facilityAgg = await prisma.box.groupBy({
       by: ["currentFacilityId"],
@@ -189,16 +286,7 @@ router.get("/overview", requireAuth, async (req, res) => {
 
     const shipWhere = selectedFacilityId
       ? { status: "DISPATCHED", toFacilityId: selectedFacilityId }
-      : scope.mode === "ALL"
-      ? { status: "DISPATCHED" }
-      : scope.mode === "WAREHOUSE"
-      ? { status: "DISPATCHED", fromWarehouseId: scope.warehouseId }
-      : scope.mode === "FACILITY"
-      ? {
-          status: "DISPATCHED",
-          toFacilityId: scope.facilityIdsFacilitiesOnly[0],
-        }
-      : { status: "DISPATCHED", id: "__none__" };
+      : shipmentScopeWhere(scope, { status: "DISPATCHED" });
 
     const activeShipments = await prisma.shipment.findMany({
       where: shipWhere,
@@ -219,7 +307,10 @@ router.get("/overview", requireAuth, async (req, res) => {
     transitTo = activeShipments.map((s) => ({
       shipmentId: s.id,
       manifestNo: s.manifestNo,
+      type: s.type,
       dispatchedAt: s.dispatchedAt,
+      expectedArrivalAt: s.expectedArrivalAt,
+      overdue: transitStatus(s).overdue,
       fromWarehouse: s.fromWarehouse,
       toFacility: s.toFacility,
       boxCount: s._count.items || 0,
@@ -392,6 +483,7 @@ router.get("/overview", requireAuth, async (req, res) => {
         sachetsDispensed,
         childrenEnrolled,
       },
+      stockByProduct,
       transitTo,
       facilityStore,
       expiringSoon,
@@ -414,12 +506,12 @@ router.get("/overview", requireAuth, async (req, res) => {
 
 // -----------------------------------------------------------------------------
 // GET /api/dashboard/alerts
-// Returns: stockout risk + expiry risk + overdue transit
+// Returns: stockout risk + expiry risk + expired stock to destroy + overdue transit (dispatched shipments
+// past their ETA)
 // Query params:
 //  - days=30
 //  - stockoutThresholdDays=14
 //  - expiryWarnDays=60
-//  - transitSlaDays=3
 // -----------------------------------------------------------------------------
 router.get("/alerts", requireAuth, async (req, res) => {
   try {
@@ -429,39 +521,22 @@ router.get("/alerts", requireAuth, async (req, res) => {
       toInt(req.query.stockoutThresholdDays, 14)
     );
     const expiryWarnDays = Math.max(1, toInt(req.query.expiryWarnDays, 60));
-    const transitSlaDays = Math.max(1, toInt(req.query.transitSlaDays, 3));
 
     const scope = await getScope(req);
-    const today = startOfDay(new Date());
+    const now = new Date();
+    const today = startOfDay(now);
     const warnDate = new Date(today);
     warnDate.setDate(warnDate.getDate() + expiryWarnDays);
 
     const alerts = [];
 
-    // ---- Overdue shipments ----
-    const slaDate = new Date(today);
-    slaDate.setDate(slaDate.getDate() - transitSlaDays);
-
-    const overdueWhere =
-      scope.mode === "ALL"
-        ? { status: "DISPATCHED", dispatchedAt: { lt: slaDate } }
-        : scope.mode === "WAREHOUSE"
-        ? {
-            status: "DISPATCHED",
-            dispatchedAt: { lt: slaDate },
-            fromWarehouseId: scope.warehouseId,
-          }
-        : scope.mode === "FACILITY"
-        ? {
-            status: "DISPATCHED",
-            dispatchedAt: { lt: slaDate },
-            toFacilityId: scope.facilityIdsFacilitiesOnly[0],
-          }
-        : { status: "DISPATCHED", id: "__none__" };
+    // ---- Overdue shipments (ETA = dispatch + the route's expected transit days) ----
+    const overdueBase = { status: "DISPATCHED", expectedArrivalAt: { lt: now } };
+    const overdueWhere = shipmentScopeWhere(scope, overdueBase);
 
     const overdueShipments = await prisma.shipment.findMany({
       where: overdueWhere,
-      orderBy: { dispatchedAt: "asc" },
+      orderBy: { expectedArrivalAt: "asc" },
       take: 50,
       include: {
         toFacility: { select: { id: true, code: true, name: true } },
@@ -476,17 +551,61 @@ router.get("/alerts", requireAuth, async (req, res) => {
         severity: "HIGH",
         shipmentId: s.id,
         manifestNo: s.manifestNo,
+        shipmentType: s.type,
         fromWarehouse: s.fromWarehouse,
         toFacility: s.toFacility,
         boxCount: s._count.items || 0,
         dispatchedAt: s.dispatchedAt,
+        expectedArrivalAt: s.expectedArrivalAt,
+        delayDays: transitStatus(s, now).delayDays,
         waybillUrl: `/api/shipments/${s.id}/waybill.pdf`,
       });
     });
 
+    // ---- Expired stock (to be destroyed) ----
+    // Marked EXPIRED by the expiry job; shelf stock past its date is included until the job catches up.
+    const expiredWhereBase = {
+      OR: [
+        { status: "EXPIRED" },
+        { status: { in: ["IN_WAREHOUSE", "IN_FACILITY"] }, expiryDate: { lt: today } },
+      ],
+    };
+    const expiredWhere =
+      scope.mode === "ALL"
+        ? expiredWhereBase
+        : { ...expiredWhereBase, currentFacilityId: { in: scope.facilityIdsAll } };
+
+    const expired = await prisma.box.findMany({
+      where: expiredWhere,
+      orderBy: { expiryDate: "asc" },
+      take: 50,
+      select: {
+        boxUid: true,
+        batchNo: true,
+        expiryDate: true,
+        sachetsRemaining: true,
+        product: { select: { code: true, name: true } },
+        currentFacility: { select: { id: true, code: true, name: true, type: true } },
+      },
+    });
+
+    expired.forEach((b) => {
+      alerts.push({
+        type: "EXPIRED_STOCK",
+        severity: "HIGH",
+        boxUid: b.boxUid,
+        product: b.product,
+        batchNo: b.batchNo,
+        expiryDate: b.expiryDate,
+        sachetsRemaining: b.sachetsRemaining,
+        location: b.currentFacility,
+        action: "Destroy and record a stock adjustment (EXPIRED_DESTROYED)",
+      });
+    });
+
     // ---- Expiry risk ----
     const expWhereBase = {
-      expiryDate: { lte: warnDate },
+      expiryDate: { gte: today, lte: warnDate },
       status: { in: ["IN_WAREHOUSE", "IN_FACILITY"] },
     };
     const expWhere =
@@ -639,7 +758,7 @@ router.get("/alerts", requireAuth, async (req, res) => {
 
     return res.json({
       alerts,
-      meta: { scope: scope.mode, days, stockoutThresholdDays, expiryWarnDays, transitSlaDays },
+      meta: { scope: scope.mode, days, stockoutThresholdDays, expiryWarnDays },
     });
   } catch (err) {
     console.error(err);
@@ -699,7 +818,7 @@ router.get("/facilities/:facilityId/store", requireAuth, async (req, res) => {
     const productIds = stockAgg.map((r) => r.productId);
     const products = await prisma.product.findMany({
       where: { id: { in: productIds } },
-      select: { id: true, code: true, name: true },
+      select: { id: true, code: true, name: true, sachetsPerBox: true, sachetsPerChildDay: true },
     });
     const productMap = new Map(products.map((p) => [p.id, p]));
 
@@ -775,6 +894,7 @@ router.get("/facilities/:facilityId/store", requireAuth, async (req, res) => {
           product: p,
           boxesOnHand,
           onHandSachets,
+          onHand: convertSachets(onHandSachets, p),
           activeDispensingDays,
           avgDailyDispense: Number(avgDailyDispense.toFixed(2)),
           daysOfStock: daysOfStock === null ? null : Number(daysOfStock.toFixed(1)),
@@ -1663,23 +1783,212 @@ router.get("/reports/honoured-follow-ups", requireAuth, async (req, res) => {
   }
 });
 
+// -----------------------------------------------------------------------------
+// GET /api/dashboard/reports/delivery-performance
+// On-time vs late deliveries per receiving facility (distributions + redistributions), measured
+// against each shipment's ETA. Warehouse users see their warehouse; others follow the usual scope.
+// Query params:
+//  - fromDate / toDate (dispatch date, default: last 90 days)
+//  - warehouseId (users who see all warehouses)
+// -----------------------------------------------------------------------------
+router.get("/reports/delivery-performance", requireAuth, async (req, res) => {
+  try {
+    const scope = await getScope(req);
+    const now = new Date();
+
+    const range = reportDateRange(req.query, now);
+    if (!range) return res.status(400).json({ message: "fromDate / toDate must be valid dates" });
+    const { from, to } = range;
+
+    const base = {
+      type: { in: ["DISTRIBUTION", "REDISTRIBUTION"] },
+      status: { in: ["DISPATCHED", "PARTIALLY_RECEIVED", "RECEIVED"] },
+      expectedArrivalAt: { not: null },
+      dispatchedAt: { gte: from, lte: to },
+    };
+
+    let where = shipmentScopeWhere(scope, base);
+    if (req.query.warehouseId) {
+      if (scope.mode !== "ALL") return res.status(403).json({ message: "Forbidden" });
+      const warehouseId = String(req.query.warehouseId);
+      where = {
+        ...base,
+        OR: [{ fromWarehouseId: warehouseId }, { type: "REDISTRIBUTION", fromWarehouse: { warehouseId } }],
+      };
+    }
+
+    const shipments = await prisma.shipment.findMany({
+      where,
+      take: 20000,
+      select: {
+        status: true,
+        dispatchedAt: true,
+        expectedArrivalAt: true,
+        receivedAt: true,
+        toFacility: { select: { id: true, code: true, name: true } },
+      },
+    });
+
+    const empty = () => ({
+      shipments: 0,
+      delivered: 0,
+      onTime: 0,
+      late: 0,
+      inTransit: 0,
+      overdue: 0,
+      transitDaysSum: 0,
+      delayDaysSum: 0,
+    });
+    const round1 = (n) => Number(n.toFixed(1));
+    const finish = (r) => {
+      const { transitDaysSum, delayDaysSum, ...counts } = r;
+      return {
+        ...counts,
+        onTimeRate: r.delivered ? round1((r.onTime / r.delivered) * 100) : null,
+        avgTransitDays: r.delivered ? round1(transitDaysSum / r.delivered) : null,
+        avgDelayDays: r.late ? round1(delayDaysSum / r.late) : null,
+      };
+    };
+
+    const byFacility = new Map();
+    const totals = empty();
+
+    for (const s of shipments) {
+      if (!byFacility.has(s.toFacility.id)) byFacility.set(s.toFacility.id, { facility: s.toFacility, ...empty() });
+      const t = transitStatus(s, now);
+
+      for (const r of [byFacility.get(s.toFacility.id), totals]) {
+        r.shipments += 1;
+        if (t.onTime === null) {
+          r.inTransit += 1;
+          if (t.overdue) r.overdue += 1;
+          continue;
+        }
+        r.delivered += 1;
+        r.transitDaysSum += (new Date(s.receivedAt) - new Date(s.dispatchedAt)) / (24 * 60 * 60 * 1000);
+        if (t.onTime) r.onTime += 1;
+        else {
+          r.late += 1;
+          r.delayDaysSum += t.delayDays;
+        }
+      }
+    }
+
+    const rows = [...byFacility.values()]
+      .map(({ facility, ...r }) => ({ facility, ...finish(r) }))
+      .sort((a, b) => b.late + b.overdue - (a.late + a.overdue) || a.facility.name.localeCompare(b.facility.name));
+
+    return res.json({
+      rows,
+      totals: finish(totals),
+      meta: { scope: scope.mode, fromDate: from, toDate: to },
+    });
+  } catch (err) {
+    console.error(err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// GET /api/dashboard/reports/wastage
+// Approved stock write-offs (loss, damage, expiry, count variances) per store and product, with
+// a breakdown by reason code and by donor, for donor accountability.
+// Query params:
+//  - fromDate / toDate (approval date, default: last 90 days)
+//  - facilityId, productId (optional)
+// -----------------------------------------------------------------------------
+router.get("/reports/wastage", requireAuth, async (req, res) => {
+  try {
+    const scope = await getScope(req);
+
+    const range = reportDateRange(req.query);
+    if (!range) return res.status(400).json({ message: "fromDate / toDate must be valid dates" });
+    const { from, to } = range;
+
+    const where = { status: "APPROVED", reviewedAt: { gte: from, lte: to } };
+    if (scope.facilityIdsAll) where.facilityId = { in: scope.facilityIdsAll };
+    if (req.query.facilityId) {
+      const facilityId = String(req.query.facilityId);
+      if (scope.facilityIdsAll && !scope.facilityIdsAll.includes(facilityId)) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+      where.facilityId = facilityId;
+    }
+    if (req.query.productId) where.box = { productId: String(req.query.productId) };
+
+    const adjustments = await prisma.stockAdjustment.findMany({
+      where,
+      take: 20000,
+      select: {
+        reason: true,
+        voidBox: true,
+        quantitySachets: true,
+        facility: { select: { id: true, code: true, name: true, type: true } },
+        box: {
+          select: {
+            status: true,
+            product: { select: { id: true, code: true, name: true, sachetsPerBox: true, sachetsPerChildDay: true } },
+            order: { select: { donorName: true } },
+          },
+        },
+      },
+    });
+
+    const addReason = (byReason, reason, sachets) => {
+      byReason[reason] = (byReason[reason] || 0) + sachets;
+    };
+
+    const rowsByKey = new Map();
+    const totals = { adjustments: 0, sachets: 0, boxesVoided: 0, byReason: {}, byDonor: {} };
+
+    for (const a of adjustments) {
+      const key = `${a.facility.id}:${a.box.product.id}`;
+      if (!rowsByKey.has(key)) {
+        rowsByKey.set(key, {
+          facility: a.facility,
+          product: a.box.product,
+          adjustments: 0,
+          sachets: 0,
+          boxesVoided: 0,
+          byReason: {},
+        });
+      }
+      const voided = a.voidBox || a.box.status === "VOID";
+
+      for (const r of [rowsByKey.get(key), totals]) {
+        r.adjustments += 1;
+        r.sachets += a.quantitySachets;
+        if (voided) r.boxesVoided += 1;
+        addReason(r.byReason, a.reason, a.quantitySachets);
+      }
+      addReason(totals.byDonor, a.box.order?.donorName || "Unspecified", a.quantitySachets);
+    }
+
+    const rows = [...rowsByKey.values()]
+      .map((r) => ({ ...r, quantity: convertSachets(r.sachets, r.product) }))
+      .sort((a, b) => b.sachets - a.sachets || a.facility.name.localeCompare(b.facility.name));
+
+    return res.json({
+      rows,
+      totals,
+      meta: { scope: scope.mode, fromDate: from, toDate: to },
+    });
+  } catch (err) {
+    console.error(err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
 
 // -----------------------------------------------------------------------------
 // Duplicate review queue
 // Mobile users continue service delivery. These dashboard endpoints let reviewers
 // inspect and resolve possible duplicate children later.
 // -----------------------------------------------------------------------------
-function canReviewDuplicateCases(req) {
-  const role = String(req.user?.role || "").toUpperCase();
-  return [
-    "SUPER_ADMIN",
-    "VIEWER",
-    "WAREHOUSE_OFFICER",
-    "FACILITY_OFFICER",
-    "CLINICIAN",
-  ].includes(role);
-}
-
 function duplicateCaseScopeWhere(scope) {
   if (!scope || scope.mode === "ALL") return {};
   const ids = Array.isArray(scope.facilityIdsFacilitiesOnly)
@@ -1832,7 +2141,7 @@ async function enrichDuplicateCases(cases) {
 
 router.get("/duplicate-cases", requireAuth, async (req, res) => {
   try {
-    if (!canReviewDuplicateCases(req)) return res.status(403).json({ message: "Forbidden" });
+    if (!hasPermission(req.user, "duplicates.review")) return res.status(403).json({ message: "Forbidden" });
 
     const take = Math.min(200, Math.max(1, toInt(req.query.take, 50)));
     const skip = Math.max(0, toInt(req.query.skip, 0));
@@ -1878,7 +2187,7 @@ router.get("/duplicate-cases", requireAuth, async (req, res) => {
 
 router.get("/duplicate-cases/:id", requireAuth, async (req, res) => {
   try {
-    if (!canReviewDuplicateCases(req)) return res.status(403).json({ message: "Forbidden" });
+    if (!hasPermission(req.user, "duplicates.review")) return res.status(403).json({ message: "Forbidden" });
 
     const scope = await getScope(req);
     const where = { id: req.params.id, ...duplicateCaseScopeWhere(scope) };
@@ -1895,7 +2204,7 @@ router.get("/duplicate-cases/:id", requireAuth, async (req, res) => {
 
 router.patch("/duplicate-cases/:id/resolve", requireAuth, async (req, res) => {
   try {
-    if (!canReviewDuplicateCases(req)) return res.status(403).json({ message: "Forbidden" });
+    if (!hasPermission(req.user, "duplicates.resolve")) return res.status(403).json({ message: "Forbidden" });
 
     const action = req.body?.action || req.body?.resolutionAction;
     const nextStatus = mapDuplicateResolutionActionToStatus(action);
@@ -1912,15 +2221,26 @@ router.patch("/duplicate-cases/:id/resolve", requireAuth, async (req, res) => {
     if (!existing) return res.status(404).json({ message: "Duplicate case not found" });
 
     const note = req.body?.note ?? req.body?.resolutionNote;
-    const updated = await prisma.duplicateCase.update({
-      where: { id: existing.id },
-      data: {
-        status: nextStatus,
-        resolutionAction: String(action || "").trim().toUpperCase(),
-        resolutionNote: note ? String(note).trim() : null,
-        resolvedByUserId: nextStatus === "UNDER_REVIEW" ? null : req.user.id,
-        resolvedAt: nextStatus === "UNDER_REVIEW" ? null : new Date(),
-      },
+    const data = {
+      status: nextStatus,
+      resolutionAction: String(action || "").trim().toUpperCase(),
+      resolutionNote: note ? String(note).trim() : null,
+      resolvedByUserId: nextStatus === "UNDER_REVIEW" ? null : req.user.id,
+      resolvedAt: nextStatus === "UNDER_REVIEW" ? null : new Date(),
+    };
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const next = await tx.duplicateCase.update({ where: { id: existing.id }, data });
+
+      await recordAudit(tx, req, {
+        action: "duplicateCase.resolve",
+        entityType: "DuplicateCase",
+        entityId: existing.id,
+        before: pickFields(existing, Object.keys(data)),
+        after: pickFields(next, Object.keys(data)),
+      });
+
+      return next;
     });
 
     const rows = await enrichDuplicateCases([updated]);
@@ -3,7 +3,26 @@ const router = express.Router();
 
 const prisma = require("../lib/prisma");
 const { requireAuth } = require("../middleware/auth");
-const { requireRole } = require("../middleware/rbac");
+const { requirePermission } = require("../middleware/rbac");
+const { z } = require("zod");
+const { recordAudit, pickFields } = require("../utils/audit");
+const { getUnitSubtreeIds, getFacilitiesInUnit } = require("../utils/adminUnits");
+const { importUpload, readImportRows, isDryRun } = require("../utils/tabularImport");
+
+const optionalText = z.string().trim().max(191).nullable().optional();
+
+const updateFacilitySchema = z.object({
+  code: z.string().trim().min(1).optional(),
+  name: z.string().trim().min(1).optional(),
+  isActive: z.boolean().optional(),
+  latitude: z.number().min(-90).max(90).nullable().optional(),
+  longitude: z.number().min(-180).max(180).nullable().optional(),
+  inChargeName: optionalText,
+  inChargePhone: optionalText,
+  inChargeEmail: z.string().trim().email().nullable().optional(),
+  catchmentPopulation: z.number().int().min(0).nullable().optional(),
+  expectedTransitDays: z.number().int().min(0).max(90).nullable().optional(),
+});
 
 function normalizeType(type) {
   if (!type) return "FACILITY";
@@ -18,16 +37,24 @@ function normalizeType(type) {
  *  {
  *    code, name,
  *    type: "WAREHOUSE" | "FACILITY",
- *    warehouseId?: string   // only for FACILITY, links facility to warehouse
+ *    warehouseId?: string,  // only for FACILITY, links facility to warehouse
+ *    adminUnitCode?: string // administrative unit (usually a sub-county)
  *  }
  */
-router.post("/", requireAuth, requireRole("SUPER_ADMIN"), async (req, res) => {
+router.post("/", requireAuth, requirePermission("facilities.manage"), async (req, res) => {
   try {
-    const { code, name, type, warehouseId } = req.body || {};
+    const { code, name, type, warehouseId, adminUnitCode } = req.body || {};
     if (!code || !name) {
       return res.status(400).json({ message: "code and name are required" });
     }
 
+    let adminUnitId = null;
+    if (adminUnitCode) {
+      const unit = await prisma.adminUnit.findUnique({ where: { code: String(adminUnitCode).trim() } });
+      if (!unit) return res.status(400).json({ message: "adminUnitCode not found" });
+      adminUnitId = unit.id;
+    }
+
     const facilityType = normalizeType(type);
 
     // If creating a FACILITY and warehouseId is provided, validate it exists + is a warehouse
@@ -45,6 +72,7 @@ router.post("/", requireAuth, requireRole("SUPER_ADMIN"), async (req, res) => {
         name: String(name).trim(),
         type: facilityType,
         warehouseId: facilityType === "FACILITY" ? (warehouseId ? String(warehouseId) : null) : null,
+        adminUnitId,
       },
     });
 
@@ -55,6 +83,267 @@ router.post("/", requireAuth, requireRole("SUPER_ADMIN"), async (req, res) => {
   }
 });
 
+const FACILITY_IMPORT_COLUMNS = [
+  "code",
+  "name",
+  "type",
+  "warehouseCode",
+  "adminUnitCode",
+  "latitude",
+  "longitude",
+  "inChargeName",
+  "inChargePhone",
+  "inChargeEmail",
+  "catchmentPopulation",
+];
+
+const facilityMetadataSchema = updateFacilitySchema.pick({
+  latitude: true,
+  longitude: true,
+  inChargeName: true,
+  inChargePhone: true,
+  inChargeEmail: true,
+  catchmentPopulation: true,
+});
+
+function numberCell(v) {
+  return v === "" ? undefined : Number(v);
+}
+
+/**
+ * POST /api/facilities/import?dryRun=true
+ * Roles: SUPER_ADMIN
+ * Body: CSV or XLSX file (raw request body) with columns
+ *   code, name, type (WAREHOUSE|FACILITY, default FACILITY), warehouseCode, adminUnitCode,
+ *   latitude, longitude, inChargeName, inChargePhone, inChargeEmail, catchmentPopulation
+ *
+ * warehouseCode may point at an existing warehouse or at a WAREHOUSE row of the same file.
+ * Returns a per-row report; facilities are only created when every row is valid, all in one
+ * transaction. With dryRun=true nothing is written.
+ */
+router.post("/import", requireAuth, requirePermission("facilities.manage"), importUpload, async (req, res) => {
+  try {
+    const rows = await readImportRows(req, { columns: FACILITY_IMPORT_COLUMNS, required: ["code", "name"] });
+    const dryRun = isDryRun(req);
+
+    const referencedCodes = [
+      ...new Set(rows.flatMap((r) => [r.values.code, r.values.warehouseCode]).filter(Boolean)),
+    ];
+    const [existingFacilities, units] = await Promise.all([
+      prisma.facility.findMany({
+        where: { code: { in: referencedCodes } },
+        select: { id: true, code: true, type: true, isActive: true },
+      }),
+      prisma.adminUnit.findMany({
+        where: { code: { in: [...new Set(rows.map((r) => r.values.adminUnitCode).filter(Boolean))] } },
+        select: { id: true, code: true },
+      }),
+    ]);
+    const existingByCode = new Map(existingFacilities.map((f) => [f.code, f]));
+    const unitByCode = new Map(units.map((u) => [u.code, u]));
+
+    // Warehouses declared in this file, so facilities below can point at them.
+    const fileWarehouseCodes = new Set(
+      rows.filter((r) => r.values.type.toUpperCase() === "WAREHOUSE").map((r) => r.values.code)
+    );
+
+    const seenCodes = new Set();
+    const report = [];
+    const toCreate = [];
+
+    for (const { rowNumber, values } of rows) {
+      const errors = [];
+      const { code, name, warehouseCode, adminUnitCode } = values;
+
+      const type = values.type ? values.type.toUpperCase() : "FACILITY";
+      if (!["WAREHOUSE", "FACILITY"].includes(type)) errors.push("type: must be WAREHOUSE or FACILITY");
+
+      if (!code) errors.push("code: required");
+      else if (existingByCode.has(code)) errors.push("code: already exists");
+      else if (seenCodes.has(code)) errors.push("code: appears more than once in this file");
+      if (code) seenCodes.add(code);
+
+      if (!name) errors.push("name: required");
+
+      if (warehouseCode) {
+        if (type !== "FACILITY") {
+          errors.push("warehouseCode: only FACILITY rows can be linked to a warehouse");
+        } else if (!fileWarehouseCodes.has(warehouseCode)) {
+          const wh = existingByCode.get(warehouseCode);
+          if (!wh) errors.push(`warehouseCode: "${warehouseCode}" not found`);
+          else if (wh.type !== "WAREHOUSE") errors.push(`warehouseCode: "${warehouseCode}" is not a WAREHOUSE`);
+          else if (!wh.isActive) errors.push(`warehouseCode: "${warehouseCode}" is deactivated`);
+        }
+      }
+
+      if (adminUnitCode && !unitByCode.has(adminUnitCode)) {
+        errors.push(`adminUnitCode: "${adminUnitCode}" not found`);
+      }
+
+      const metadata = facilityMetadataSchema.safeParse({
+        latitude: numberCell(values.latitude),
+        longitude: numberCell(values.longitude),
+        inChargeName: values.inChargeName || undefined,
+        inChargePhone: values.inChargePhone || undefined,
+        inChargeEmail: values.inChargeEmail || undefined,
+        catchmentPopulation: numberCell(values.catchmentPopulation),
+      });
+      if (!metadata.success) {
+        for (const issue of metadata.error.issues) errors.push(`${issue.path.join(".")}: ${issue.message}`);
+      }
+
+      report.push({ row: rowNumber, code: code || null, type, status: errors.length ? "ERROR" : "OK", errors });
+
+      if (!errors.length) {
+        toCreate.push({
+          code,
+          name,
+          type,
+          warehouseCode: warehouseCode || null,
+          adminUnitId: adminUnitCode ? unitByCode.get(adminUnitCode).id : null,
+          ...metadata.data,
+        });
+      }
+    }
+
+    const invalid = report.filter((r) => r.status === "ERROR").length;
+    const summary = { dryRun, total: rows.length, valid: toCreate.length, invalid };
+
+    if (invalid) {
+      return res.status(dryRun ? 200 : 400).json({
+        message: "Some rows are invalid. Nothing was imported.",
+        committed: false,
+        ...summary,
+        rows: report,
+      });
+    }
+
+    if (dryRun) {
+      return res.json({ message: "All rows are valid (dry run)", committed: false, ...summary, rows: report });
+    }
+
+    const created = await prisma.$transaction(
+      async (tx) => {
+        const warehouseIds = new Map(
+          existingFacilities.filter((f) => f.type === "WAREHOUSE").map((f) => [f.code, f.id])
+        );
+
+        // Warehouses first so facilities of the same file can link to them.
+        const ordered = [...toCreate].sort((a, b) => (a.type === b.type ? 0 : a.type === "WAREHOUSE" ? -1 : 1));
+
+        const out = [];
+        for (const { warehouseCode, ...data } of ordered) {
+          const facility = await tx.facility.create({
+            data: { ...data, warehouseId: warehouseCode ? warehouseIds.get(warehouseCode) : null },
+            select: { id: true, code: true, name: true, type: true, warehouseId: true },
+          });
+          if (facility.type === "WAREHOUSE") warehouseIds.set(facility.code, facility.id);
+          out.push(facility);
+        }
+
+        await recordAudit(tx, req, {
+          action: "facility.import",
+          entityType: "Facility",
+          metadata: { created: out.length, codes: out.map((f) => f.code) },
+        });
+
+        return out;
+      },
+      { timeout: 60000 }
+    );
+
+    return res.status(201).json({
+      message: "Facilities imported",
+      committed: true,
+      ...summary,
+      created: created.length,
+      facilities: created,
+      rows: report,
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
+    if (err?.code === "P2002") {
+      return res.status(409).json({ message: "A facility code in the file was created meanwhile. Re-run the import." });
+    }
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+/**
+ * PATCH /api/facilities/:facilityId
+ * Roles: SUPER_ADMIN
+ * Body (all optional):
+ *  {
+ *    code, name, isActive,
+ *    latitude, longitude,
+ *    inChargeName, inChargePhone, inChargeEmail,
+ *    catchmentPopulation,
+ *    expectedTransitDays   // road days to/from its parent warehouse (null = default); sets shipment ETAs.
+ *                          // FACILITY only: warehouse -> warehouse transfers use the default
+ *  }
+ * isActive=false is a soft deactivation: the facility disappears from pickers and cannot receive
+ * dispatches; its boxes, shipments and clinical records stay. Refused (409) while it has open
+ * shipments (awaiting approval, dispatched or partly received).
+ */
+router.patch("/:facilityId", requireAuth, requirePermission("facilities.manage"), async (req, res) => {
+  try {
+    const parsed = updateFacilitySchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Invalid input", errors: parsed.error.flatten() });
+    }
+
+    const data = Object.fromEntries(Object.entries(parsed.data).filter(([, v]) => v !== undefined));
+    if (!Object.keys(data).length) return res.status(400).json({ message: "Nothing to update" });
+
+    const facility = await prisma.facility.findUnique({ where: { id: String(req.params.facilityId) } });
+    if (!facility) return res.status(404).json({ message: "Facility not found" });
+    if (facility.type === "WAREHOUSE" && data.expectedTransitDays != null) {
+      return res.status(400).json({ message: "expectedTransitDays applies to facilities, not warehouses" });
+    }
+
+    if (data.isActive === false && facility.isActive) {
+      // Boxes on the road (or waiting for approval to leave) must arrive, be rejected or be cancelled
+      // before the site closes. A partly received shipment stays open until every box is accounted for.
+      const inTransit = await prisma.shipment.count({
+        where: {
+          status: { in: ["PENDING_APPROVAL", "DISPATCHED", "PARTIALLY_RECEIVED"] },
+          receivedAt: null,
+          OR: [{ toFacilityId: facility.id }, { fromWarehouseId: facility.id }],
+        },
+      });
+      if (inTransit) {
+        return res.status(409).json({
+          message: "Facility has open shipments. Receive, reject or cancel them before deactivating.",
+          shipmentsInTransit: inTransit,
+        });
+      }
+      data.deactivatedAt = new Date();
+    }
+    if (data.isActive === true && !facility.isActive) data.deactivatedAt = null;
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const next = await tx.facility.update({ where: { id: facility.id }, data });
+
+      await recordAudit(tx, req, {
+        action: "facility.update",
+        entityType: "Facility",
+        entityId: facility.id,
+        before: pickFields(facility, Object.keys(data)),
+        after: pickFields(next, Object.keys(data)),
+      });
+
+      return next;
+    });
+
+    return res.json({ message: "Facility updated", facility: updated });
+  } catch (err) {
+    if (err?.code === "P2002") return res.status(409).json({ message: "Facility code already exists" });
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
 /**
  * PATCH /api/facilities/:facilityId/link-warehouse
  * Roles: SUPER_ADMIN
@@ -63,7 +352,7 @@ router.post("/", requireAuth, requireRole("SUPER_ADMIN"), async (req, res) => {
 router.patch(
   "/:facilityId/link-warehouse",
   requireAuth,
-  requireRole("SUPER_ADMIN"),
+  requirePermission("facilities.manage"),
   async (req, res) => {
     try {
       const { facilityId } = req.params;
@@ -90,11 +379,24 @@ router.patch(
       if (wh.type !== "WAREHOUSE") {
         return res.status(400).json({ message: "Target must be a WAREHOUSE facility" });
       }
+      if (!wh.isActive) return res.status(400).json({ message: "Target warehouse is deactivated" });
+
+      const updated = await prisma.$transaction(async (tx) => {
+        const next = await tx.facility.update({
+          where: { id: facility.id },
+          data: { warehouseId: wh.id },
+          include: { warehouse: true },
+        });
 
-      const updated = await prisma.facility.update({
-        where: { id: facility.id },
-        data: { warehouseId: wh.id },
-        include: { warehouse: true },
+        await recordAudit(tx, req, {
+          action: "facility.linkWarehouse",
+          entityType: "Facility",
+          entityId: facility.id,
+          before: { warehouseId: facility.warehouseId },
+          after: { warehouseId: next.warehouseId },
+        });
+
+        return next;
       });
 
       return res.json({ message: "Linked", facility: updated });
@@ -105,6 +407,58 @@ router.patch(
   }
 );
 
+/**
+ * PATCH /api/facilities/:facilityId/admin-unit
+ * Roles: SUPER_ADMIN
+ * Body: { adminUnitCode } (null removes the facility from its unit)
+ */
+router.patch(
+  "/:facilityId/admin-unit",
+  requireAuth,
+  requirePermission("facilities.manage"),
+  async (req, res) => {
+    try {
+      const { facilityId } = req.params;
+      const body = req.body || {};
+      if (!Object.prototype.hasOwnProperty.call(body, "adminUnitCode")) {
+        return res.status(400).json({ message: "Provide adminUnitCode (or null)" });
+      }
+
+      const facility = await prisma.facility.findUnique({ where: { id: String(facilityId) } });
+      if (!facility) return res.status(404).json({ message: "Facility not found" });
+
+      let unit = null;
+      if (body.adminUnitCode) {
+        unit = await prisma.adminUnit.findUnique({ where: { code: String(body.adminUnitCode).trim() } });
+        if (!unit) return res.status(404).json({ message: "Administrative unit not found" });
+      }
+
+      const updated = await prisma.$transaction(async (tx) => {
+        const next = await tx.facility.update({
+          where: { id: facility.id },
+          data: { adminUnitId: unit ? unit.id : null },
+          include: { adminUnit: true },
+        });
+
+        await recordAudit(tx, req, {
+          action: "facility.setAdminUnit",
+          entityType: "Facility",
+          entityId: facility.id,
+          before: { adminUnitId: facility.adminUnitId },
+          after: { adminUnitId: next.adminUnitId },
+        });
+
+        return next;
+      });
+
+      return res.json({ message: unit ? "Assigned" : "Unassigned", facility: updated });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+    }
+  }
+);
+
 /**
  * PATCH /api/facilities/bulk/link-warehouse
  * Roles: SUPER_ADMIN
@@ -121,7 +475,7 @@ router.patch(
 router.patch(
   "/bulk/link-warehouse",
   requireAuth,
-  requireRole("SUPER_ADMIN"),
+  requirePermission("facilities.manage"),
   async (req, res) => {
     try {
       const { warehouseId, warehouseCode, facilityIds, facilityCodes } = req.body || {};
@@ -146,6 +500,7 @@ router.patch(
       if (wh.type !== "WAREHOUSE") {
         return res.status(400).json({ message: "Target must be a WAREHOUSE facility" });
       }
+      if (!wh.isActive) return res.status(400).json({ message: "Target warehouse is deactivated" });
 
       // find facilities + validate missing
       let facilities = [];
@@ -176,9 +531,26 @@ router.patch(
 
       // update
       const idsToUpdate = facilities.map((f) => f.id);
-      const result = await prisma.facility.updateMany({
-        where: { id: { in: idsToUpdate } },
-        data: { warehouseId: wh.id },
+      const result = await prisma.$transaction(async (tx) => {
+        const updatedMany = await tx.facility.updateMany({
+          where: { id: { in: idsToUpdate } },
+          data: { warehouseId: wh.id },
+        });
+
+        // One entry per relinked facility, so each facility's history is complete.
+        for (const f of facilities) {
+          if (f.warehouseId === wh.id) continue;
+          await recordAudit(tx, req, {
+            action: "facility.linkWarehouse",
+            entityType: "Facility",
+            entityId: f.id,
+            before: { warehouseId: f.warehouseId },
+            after: { warehouseId: wh.id },
+            metadata: { bulk: true },
+          });
+        }
+
+        return updatedMany;
       });
 
       return res.json({
@@ -202,16 +574,35 @@ router.patch(
  *  - WAREHOUSE_OFFICER: own warehouse + facilities under it
  *  - VIEWER: if assigned to a warehouse -> warehouse + facilities under it; else -> own facility
  *  - FACILITY_OFFICER/CLINICIAN: only own facility
+ *  - users assigned to an administrative unit: facilities of that unit + its sub-units
  *
  * Optional query: ?type=WAREHOUSE or ?type=FACILITY
+ * Optional query (SUPER_ADMIN): ?adminUnitId=... (unit + its sub-units)
+ * Deactivated facilities are hidden unless ?includeInactive=true (the user's own facility is always returned).
  */
 router.get("/", requireAuth, async (req, res) => {
   try {
     const type = req.query.type ? normalizeType(req.query.type) : null;
+    const activeOnly = String(req.query.includeInactive || "") !== "true" ? { isActive: true } : {};
+
+    if (req.user.adminUnitId) {
+      const inUnit = await getFacilitiesInUnit(String(req.user.adminUnitId));
+      const where = { id: { in: inUnit.map((f) => f.id) }, ...activeOnly };
+      if (type) where.type = type;
+
+      const facilities = await prisma.facility.findMany({
+        where,
+        orderBy: [{ type: "asc" }, { name: "asc" }],
+      });
+      return res.json(facilities);
+    }
 
     if (req.user.role === "SUPER_ADMIN") {
-      const where = {};
+      const where = { ...activeOnly };
       if (type) where.type = type;
+      if (req.query.adminUnitId) {
+        where.adminUnitId = { in: await getUnitSubtreeIds(String(req.query.adminUnitId)) };
+      }
 
       const facilities = await prisma.facility.findMany({
         where,
@@ -233,7 +624,7 @@ router.get("/", requireAuth, async (req, res) => {
 
         if (type === "FACILITY") {
           const facilities = await prisma.facility.findMany({
-            where: { type: "FACILITY", warehouseId: assigned.id },
+            where: { type: "FACILITY", warehouseId: assigned.id, ...activeOnly },
             orderBy: [{ name: "asc" }],
           });
           return res.json(facilities);
@@ -241,7 +632,7 @@ router.get("/", requireAuth, async (req, res) => {
 
         const facilities = await prisma.facility.findMany({
           where: {
-            OR: [{ id: assigned.id }, { warehouseId: assigned.id }],
+            OR: [{ id: assigned.id }, { warehouseId: assigned.id, ...activeOnly }],
           },
           orderBy: [{ type: "asc" }, { name: "asc" }],
         });
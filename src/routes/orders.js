@@ -9,7 +9,7 @@ const { buildBoxPayload, payloadToPngBuffer } = require("../utils/qr");
 
 // ✅ Auth + RBAC
 const { requireAuth } = require("../middleware/auth");
-const { requireRole } = require("../middleware/rbac");
+const { requirePermission } = require("../middleware/rbac");
 
 function mmToPt(mm) {
   return (mm * 72) / 25.4;
@@ -23,7 +23,7 @@ function mmToPt(mm) {
 router.post(
   "/",
   requireAuth,
-  requireRole("SUPER_ADMIN", "WAREHOUSE_OFFICER"),
+  requirePermission("orders.manage"),
   async (req, res) => {
     try {
       const { orderNumber, donorName } = req.body || {};
@@ -55,7 +55,8 @@ router.post(
 
 /**
  * POST /api/orders/:orderId/boxes/generate
- * Body: { productCode, productName, batchNo, expiryDate, quantity, warehouseFacilityId, donorName? }
+ * Body: { productCode, productName, batchNo, expiryDate, quantity, warehouseFacilityId, donorName?, sachetsPerBox? }
+ * Boxes take the product's pack size; sachetsPerBox sets it when the product is new.
  * Roles: SUPER_ADMIN, WAREHOUSE_OFFICER
  *
  * Box UID format:
@@ -67,11 +68,12 @@ router.post(
 router.post(
   "/:orderId/boxes/generate",
   requireAuth,
-  requireRole("SUPER_ADMIN", "WAREHOUSE_OFFICER"),
+  requirePermission("boxes.generate"),
   async (req, res) => {
     try {
       const { orderId } = req.params;
-      const { productCode, productName, batchNo, expiryDate, quantity, warehouseFacilityId, donorName } = req.body || {};
+      const { productCode, productName, batchNo, expiryDate, quantity, warehouseFacilityId, donorName, sachetsPerBox } =
+        req.body || {};
 
       if (!productCode || !productName || !batchNo || !expiryDate || !quantity || !warehouseFacilityId) {
         return res.status(400).json({
@@ -89,6 +91,11 @@ router.post(
         return res.status(400).json({ message: "expiryDate must be a valid date (YYYY-MM-DD)" });
       }
 
+      const packSize = sachetsPerBox === undefined || sachetsPerBox === null ? null : Number(sachetsPerBox);
+      if (packSize !== null && (!Number.isInteger(packSize) || packSize <= 0)) {
+        return res.status(400).json({ message: "sachetsPerBox must be a positive integer" });
+      }
+
       const [order, warehouse] = await Promise.all([
         prisma.order.findUnique({ where: { id: orderId } }),
         prisma.facility.findUnique({ where: { id: warehouseFacilityId } }),
@@ -97,6 +104,25 @@ router.post(
       if (!order) return res.status(404).json({ message: "Order not found" });
       if (!warehouse) return res.status(404).json({ message: "Warehouse facility not found" });
 
+      const recall = await prisma.batchRecall.findFirst({
+        where: { batchNo: String(batchNo), product: { code: productCode } },
+        select: { id: true },
+      });
+      if (recall) {
+        return res.status(409).json({ message: `Batch ${batchNo} of ${productCode} is recalled`, recallId: recall.id });
+      }
+
+      const existingProduct = await prisma.product.findUnique({
+        where: { code: productCode },
+        select: { id: true, sachetsPerBox: true },
+      });
+      if (existingProduct && packSize !== null && existingProduct.sachetsPerBox !== packSize) {
+        return res.status(409).json({
+          message: `${productCode} is packed ${existingProduct.sachetsPerBox} sachets per box`,
+          hint: "Change the product's pack size with PATCH /api/products/:productId first",
+        });
+      }
+
       // set donorName on order if provided
       if (donorName) {
         if (order.donorName && order.donorName !== donorName) {
@@ -112,7 +138,7 @@ router.post(
       const product = await prisma.product.upsert({
         where: { code: productCode },
         update: { name: productName },
-        create: { code: productCode, name: productName },
+        create: { code: productCode, name: productName, ...(packSize !== null ? { sachetsPerBox: packSize } : {}) },
       });
 
       const createdBoxUids = [];
@@ -136,8 +162,8 @@ router.post(
               currentFacilityId: warehouse.id,
 
               // Facility store tracking
-              sachetsPerBox: 600,
-              sachetsRemaining: 600,
+              sachetsPerBox: product.sachetsPerBox,
+              sachetsRemaining: product.sachetsPerBox,
             },
           });
 
@@ -169,6 +195,7 @@ router.post(
         orderNumber: order.orderNumber,
         donorName: donorName || order.donorName || null,
         createdCount: createdBoxUids.length,
+        sachetsPerBox: product.sachetsPerBox,
         sample: createdBoxUids.slice(0, 10),
       });
     } catch (err) {
@@ -212,7 +239,7 @@ router.get("/:orderId/boxes", requireAuth, async (req, res) => {
 router.get(
   "/:orderId/print/a3",
   requireAuth,
-  requireRole("SUPER_ADMIN", "WAREHOUSE_OFFICER"),
+  requirePermission("boxes.printLabels"),
   async (req, res) => {
     try {
       const { orderId } = req.params;
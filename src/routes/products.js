@@ -0,0 +1,77 @@
+const express = require("express");
+const router = express.Router();
+
+const prisma = require("../lib/prisma");
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/rbac");
+const { z } = require("zod");
+const { recordAudit, pickFields } = require("../utils/audit");
+
+const updateProductSchema = z.object({
+  name: z.string().trim().min(1).optional(),
+  sachetsPerBox: z.number().int().min(1).max(10000).optional(),
+  sachetsPerChildDay: z.number().positive().max(100).optional(),
+});
+
+/**
+ * GET /api/products
+ * Any signed-in user. Products with their pack size and daily ration.
+ */
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const products = await prisma.product.findMany({
+      orderBy: { code: "asc" },
+      select: { id: true, code: true, name: true, sachetsPerBox: true, sachetsPerChildDay: true },
+    });
+    return res.json(products);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+/**
+ * PATCH /api/products/:productId
+ * Roles: SUPER_ADMIN
+ * Body (all optional):
+ *  {
+ *    name,
+ *    sachetsPerBox,       // pack size for boxes generated from now on (existing boxes keep theirs)
+ *    sachetsPerChildDay   // daily ration, used to report stock in child-days
+ *  }
+ */
+router.patch("/:productId", requireAuth, requirePermission("products.manage"), async (req, res) => {
+  try {
+    const parsed = updateProductSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Invalid input", errors: parsed.error.flatten() });
+    }
+
+    const data = Object.fromEntries(Object.entries(parsed.data).filter(([, v]) => v !== undefined));
+    if (!Object.keys(data).length) return res.status(400).json({ message: "Nothing to update" });
+
+    const product = await prisma.product.findUnique({ where: { id: String(req.params.productId) } });
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const next = await tx.product.update({ where: { id: product.id }, data });
+
+      await recordAudit(tx, req, {
+        action: "product.update",
+        entityType: "Product",
+        entityId: product.id,
+        before: pickFields(product, Object.keys(data)),
+        after: pickFields(next, Object.keys(data)),
+      });
+
+      return next;
+    });
+
+    return res.json({ message: "Product updated", product: updated });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+module.exports = router;
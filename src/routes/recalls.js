@@ -0,0 +1,341 @@
+const express = require("express");
+const { z } = require("zod");
+
+const prisma = require("../lib/prisma");
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission, hasPermission } = require("../middleware/rbac");
+const { recordAudit } = require("../utils/audit");
+const { holdRecalledBoxes } = require("../utils/recalls");
+
+const router = express.Router();
+
+// ---------------------------------------------------------------------------
+// Batch / lot recalls
+// Recalling a product batch flags every box of it and holds it QUARANTINED wherever it is:
+//  - on a shelf (warehouse or facility): QUARANTINED at once
+//  - on the road or not yet received (CREATED): flagged, QUARANTINED when it is booked in
+// Quarantined boxes cannot be dispatched, redistributed or dispensed. The recall report shows
+// where every box is and which children received sachets from the batch.
+// ---------------------------------------------------------------------------
+
+const recallSchema = z
+  .object({
+    productId: z.string().trim().min(1).optional(),
+    productCode: z.string().trim().min(1).optional(),
+    batchNo: z.string().trim().min(1),
+    reason: z.string().trim().min(1).max(190),
+    reference: z.string().trim().max(190).optional().nullable(),
+  })
+  .refine((d) => d.productId || d.productCode, {
+    message: "productId or productCode is required",
+    path: ["productId"],
+  });
+
+const OPEN_SHIPMENT_STATUSES = ["DISPATCHED", "PARTIALLY_RECEIVED"];
+
+const facilitySelect = { id: true, code: true, name: true, type: true };
+
+function handleError(res, err) {
+  if (err.status) return res.status(err.status).json({ message: err.message });
+  console.error(err);
+  return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+}
+
+// Stores whose part of a recall a user may see: null = everything.
+async function visibleFacilityIds(user) {
+  if (hasPermission(user, "stock.viewAll") || hasPermission(user, "dashboard.viewAll")) return null;
+
+  if (user.facilityType === "WAREHOUSE" && user.warehouseId) {
+    const warehouseId = String(user.warehouseId);
+    const facilities = await prisma.facility.findMany({
+      where: { OR: [{ id: warehouseId }, { warehouseId }] },
+      select: { id: true },
+    });
+    return facilities.map((f) => f.id);
+  }
+
+  return user.facilityId ? [String(user.facilityId)] : [];
+}
+
+/**
+ * GET /api/recalls
+ * Roles: SUPER_ADMIN, WAREHOUSE_OFFICER, FACILITY_OFFICER, VIEWER
+ * Query (optional): productId, batchNo
+ */
+router.get("/", requireAuth, requirePermission("recalls.view"), async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.productId) where.productId = String(req.query.productId);
+    if (req.query.batchNo) where.batchNo = String(req.query.batchNo).trim();
+
+    const recalls = await prisma.batchRecall.findMany({
+      where,
+      orderBy: { initiatedAt: "desc" },
+      take: 200,
+      include: {
+        product: { select: { id: true, code: true, name: true } },
+        initiatedBy: { select: { id: true, fullName: true } },
+        _count: { select: { boxes: true } },
+      },
+    });
+
+    return res.json(recalls.map(({ _count, ...r }) => ({ ...r, boxCount: _count.boxes })));
+  } catch (err) {
+    return handleError(res, err);
+  }
+});
+
+/**
+ * POST /api/recalls
+ * Roles: SUPER_ADMIN
+ * Body: { productId | productCode, batchNo, reason, reference? }
+ * Flags every box of the batch and quarantines the ones on a shelf (ADJUSTMENT event each).
+ */
+router.post("/", requireAuth, requirePermission("recalls.manage"), async (req, res) => {
+  try {
+    const parsed = recallSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Invalid input", errors: parsed.error.flatten() });
+    }
+    const { productId, productCode, batchNo, reason, reference } = parsed.data;
+
+    const product = await prisma.product.findUnique({
+      where: productId ? { id: productId } : { code: productCode },
+      select: { id: true, code: true, name: true },
+    });
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    const existing = await prisma.batchRecall.findUnique({
+      where: { productId_batchNo: { productId: product.id, batchNo } },
+      select: { id: true },
+    });
+    if (existing) {
+      return res.status(409).json({ message: "This batch is already recalled", recallId: existing.id });
+    }
+
+    const boxes = await prisma.box.findMany({
+      where: { productId: product.id, batchNo },
+      select: { id: true, status: true, currentFacilityId: true },
+    });
+    if (!boxes.length) {
+      return res.status(404).json({ message: `No boxes of ${product.code} carry batch ${batchNo}` });
+    }
+
+    const boxIds = boxes.map((b) => b.id);
+    const live = boxes.filter((b) => !["DISPENSED", "VOID"].includes(b.status));
+
+    const result = await prisma.$transaction(async (tx) => {
+      const recall = await tx.batchRecall.create({
+        data: {
+          productId: product.id,
+          batchNo,
+          reason,
+          reference: reference || null,
+          initiatedByUserId: req.user.id,
+        },
+      });
+
+      await tx.box.updateMany({ where: { id: { in: boxIds } }, data: { recallId: recall.id } });
+      const quarantined = await holdRecalledBoxes(tx, boxIds);
+
+      if (live.length) {
+        await tx.boxEvent.createMany({
+          data: live.map((b) => ({
+            boxId: b.id,
+            type: "ADJUSTMENT",
+            performedByUserId: req.user.id,
+            fromFacilityId: b.currentFacilityId,
+            note: `Batch ${batchNo} recalled: ${reason}${reference ? ` (ref ${reference})` : ""}`,
+          })),
+        });
+      }
+
+      await recordAudit(tx, req, {
+        action: "recall.create",
+        entityType: "BatchRecall",
+        entityId: recall.id,
+        after: { productCode: product.code, batchNo, reason, reference: reference || null },
+        metadata: { boxes: boxIds.length, quarantined },
+      });
+
+      return { recall, quarantined };
+    });
+
+    const countStatus = (status) => boxes.filter((b) => b.status === status).length;
+
+    return res.status(201).json({
+      ...result.recall,
+      product,
+      summary: {
+        boxes: boxes.length,
+        quarantined: result.quarantined,
+        alreadyQuarantined: countStatus("QUARANTINED"),
+        inTransit: countStatus("IN_TRANSIT"),
+        notYetReceived: countStatus("CREATED"),
+        dispensed: countStatus("DISPENSED"),
+        void: countStatus("VOID"),
+      },
+      reportUrl: `/api/recalls/${result.recall.id}`,
+    });
+  } catch (err) {
+    return handleError(res, err);
+  }
+});
+
+/**
+ * GET /api/recalls/:recallId
+ * Roles: SUPER_ADMIN, WAREHOUSE_OFFICER, FACILITY_OFFICER, VIEWER
+ * Recall report: where every box of the batch is (store, or the shipment it is travelling on) and
+ * which children received sachets from it. Warehouse and facility users see their own stores only.
+ * Children are named only for users with clinical.view; others get counts per facility.
+ */
+router.get("/:recallId", requireAuth, requirePermission("recalls.view"), async (req, res) => {
+  try {
+    const recall = await prisma.batchRecall.findUnique({
+      where: { id: String(req.params.recallId) },
+      include: {
+        product: { select: { id: true, code: true, name: true } },
+        initiatedBy: { select: { id: true, fullName: true } },
+      },
+    });
+    if (!recall) return res.status(404).json({ message: "Recall not found" });
+
+    const visible = await visibleFacilityIds(req.user);
+    const isVisible = (...facilityIds) => !visible || facilityIds.some((id) => id && visible.includes(id));
+
+    const boxes = await prisma.box.findMany({
+      where: { recallId: recall.id },
+      orderBy: { boxUid: "asc" },
+      select: {
+        id: true,
+        boxUid: true,
+        status: true,
+        expiryDate: true,
+        sachetsRemaining: true,
+        currentFacility: { select: facilitySelect },
+        order: { select: { orderNumber: true, donorName: true } },
+      },
+    });
+    const boxIds = boxes.map((b) => b.id);
+
+    // Shipment each in-transit box is travelling on
+    const transitItems = await prisma.shipmentItem.findMany({
+      where: {
+        boxId: { in: boxes.filter((b) => b.status === "IN_TRANSIT").map((b) => b.id) },
+        shipment: { status: { in: OPEN_SHIPMENT_STATUSES } },
+      },
+      orderBy: { shipment: { dispatchedAt: "desc" } },
+      select: {
+        boxId: true,
+        outcome: true,
+        shipment: {
+          select: {
+            id: true,
+            manifestNo: true,
+            dispatchedAt: true,
+            expectedArrivalAt: true,
+            fromWarehouse: { select: facilitySelect },
+            toFacility: { select: facilitySelect },
+          },
+        },
+      },
+    });
+    const shipmentByBox = new Map();
+    for (const item of transitItems) {
+      if (!shipmentByBox.has(item.boxId)) shipmentByBox.set(item.boxId, { ...item.shipment, outcome: item.outcome });
+    }
+
+    const boxRows = boxes
+      .map(({ id, ...b }) => ({ ...b, shipment: shipmentByBox.get(id) || null }))
+      .filter((b) =>
+        b.shipment
+          ? isVisible(b.shipment.fromWarehouse.id, b.shipment.toFacility.id)
+          : isVisible(b.currentFacility?.id)
+      );
+
+    const showChildren = hasPermission(req.user, "clinical.view");
+    const dispenses = await prisma.dispense.findMany({
+      where: { boxId: { in: boxIds }, ...(visible ? { visit: { facilityId: { in: visible } } } : {}) },
+      orderBy: { createdAt: "asc" },
+      select: {
+        quantitySachets: true,
+        box: { select: { boxUid: true } },
+        visit: {
+          select: {
+            id: true,
+            visitDate: true,
+            facility: { select: facilitySelect },
+            child: {
+              select: showChildren
+                ? {
+                    id: true,
+                    uniqueChildNumber: true,
+                    firstName: true,
+                    lastName: true,
+                    caregiver: { select: { fullName: true, contacts: true, village: true } },
+                  }
+                : { id: true },
+            },
+          },
+        },
+      },
+    });
+
+    // Per facility: how many children received the batch (no names)
+    const byFacility = new Map();
+    for (const d of dispenses) {
+      const { facility, child } = d.visit;
+      if (!byFacility.has(facility.id)) byFacility.set(facility.id, { facility, childIds: new Set(), sachets: 0 });
+      const row = byFacility.get(facility.id);
+      row.childIds.add(child.id);
+      row.sachets += d.quantitySachets;
+    }
+    const childrenByFacility = [...byFacility.values()]
+      .map(({ childIds, ...r }) => ({ ...r, children: childIds.size }))
+      .sort((a, b) => a.facility.name.localeCompare(b.facility.name));
+
+    const childrenById = new Map();
+    for (const d of showChildren ? dispenses : []) {
+      const { child, facility, ...visit } = d.visit;
+      if (!childrenById.has(child.id)) {
+        const { caregiver, ...rest } = child;
+        childrenById.set(child.id, { child: rest, caregiver, facility, sachets: 0, dispenses: [] });
+      }
+      const row = childrenById.get(child.id);
+      row.sachets += d.quantitySachets;
+      row.dispenses.push({
+        visitId: visit.id,
+        visitDate: visit.visitDate,
+        boxUid: d.box?.boxUid || null,
+        quantitySachets: d.quantitySachets,
+      });
+    }
+    const children = [...childrenById.values()].sort(
+      (a, b) => a.facility.name.localeCompare(b.facility.name) || a.child.lastName.localeCompare(b.child.lastName)
+    );
+
+    const byStatus = {};
+    for (const b of boxRows) byStatus[b.status] = (byStatus[b.status] || 0) + 1;
+
+    return res.json({
+      recall,
+      summary: {
+        boxes: boxRows.length,
+        byStatus,
+        sachetsOutstanding: boxRows
+          .filter((b) => !["DISPENSED", "VOID"].includes(b.status))
+          .reduce((sum, b) => sum + b.sachetsRemaining, 0),
+        children: new Set(dispenses.map((d) => d.visit.child.id)).size,
+        sachetsDispensed: childrenByFacility.reduce((sum, r) => sum + r.sachets, 0),
+      },
+      boxes: boxRows,
+      childrenByFacility,
+      ...(showChildren ? { children } : {}),
+      meta: { scope: visible ? "OWN_STORES" : "ALL" },
+    });
+  } catch (err) {
+    return handleError(res, err);
+  }
+});
+
+module.exports = router;
@@ -3,8 +3,14 @@ const router = express.Router();
 
 const prisma = require('../lib/prisma');
 const PDFDocument = require('pdfkit');
+const crypto = require('crypto');
 
 const { requireAuth } = require('../middleware/auth');
+const { requirePermission, hasPermission } = require('../middleware/rbac');
+const { recordAudit } = require('../utils/audit');
+const { markBoxesInTransit, computeExpectedArrival, transitStatus } = require('../utils/shipments');
+const { getStorage } = require('../utils/storage');
+const { holdRecalledBoxes } = require('../utils/recalls');
 
 function mmToPt(mm) {
   return (mm * 72) / 25.4;
@@ -28,16 +34,111 @@ function safeDateTime(d) {
   }
 }
 
+// pdfkit images: open/draw without throwing (null/false when the file is corrupt or unsupported)
+function openPdfImage(doc, buffer) {
+  try {
+    return doc.openImage(buffer);
+  } catch (_) {
+    return null;
+  }
+}
+
+function drawPdfImage(doc, image, x, y, options) {
+  try {
+    doc.image(image, x, y, options);
+    return true;
+  } catch (err) {
+    console.error('Waybill image could not be drawn:', err.message);
+    return false;
+  }
+}
+
+// Scope follows the principal's own site: users and API keys bound to a warehouse act for it,
+// everyone else for their facility (callers check shipments.viewAll / stock.manageAll first).
+function isWarehouseUser(user) {
+  return user.facilityType === 'WAREHOUSE';
+}
+
+function myWarehouseIdOf(user) {
+  return user.warehouseId ? String(user.warehouseId) : user.facilityId ? String(user.facilityId) : null;
+}
+
+// Warehouse that oversees a facility -> facility redistribution (expects fromWarehouse.warehouseId loaded).
+function isRedistributionOfWarehouse(shipment, warehouseId) {
+  return (
+    shipment.type === 'REDISTRIBUTION' &&
+    !!warehouseId &&
+    String(shipment.fromWarehouse?.warehouseId || '') === String(warehouseId)
+  );
+}
+
+// Warehouses see what they sent, transfers addressed to them and redistributions between their facilities;
+// facilities see what was sent to them and the redistributions/returns they sent.
+function canViewShipment(user, shipment) {
+  if (hasPermission(user, 'shipments.viewAll')) return true;
+
+  if (isWarehouseUser(user)) {
+    const myWarehouseId = myWarehouseIdOf(user);
+    return (
+      !!myWarehouseId &&
+      (String(shipment.fromWarehouseId) === myWarehouseId ||
+        String(shipment.toFacilityId) === myWarehouseId ||
+        isRedistributionOfWarehouse(shipment, myWarehouseId))
+    );
+  }
+
+  const myFacilityId = user.facilityId ? String(user.facilityId) : null;
+  return (
+    !!myFacilityId &&
+    (String(shipment.toFacilityId) === myFacilityId || String(shipment.fromWarehouseId) === myFacilityId)
+  );
+}
+
+// Prisma filter with the same rules as canViewShipment (null = nothing visible); not for viewAll users.
+function visibleShipmentsWhere(user) {
+  if (isWarehouseUser(user)) {
+    const myWarehouseId = myWarehouseIdOf(user);
+    if (!myWarehouseId) return null;
+    return {
+      OR: [
+        { fromWarehouseId: myWarehouseId },
+        { toFacilityId: myWarehouseId },
+        { type: 'REDISTRIBUTION', fromWarehouse: { warehouseId: myWarehouseId } },
+      ],
+    };
+  }
+
+  const myFacilityId = user.facilityId ? String(user.facilityId) : null;
+  if (!myFacilityId) return null;
+  return { OR: [{ toFacilityId: myFacilityId }, { fromWarehouseId: myFacilityId }] };
+}
+
+// Warehouse that answers for a shipment's discrepancies (expects fromWarehouse.warehouseId loaded):
+// the sender for warehouse dispatches, the receiving warehouse for returns, and the warehouse the
+// facilities hang off for redistributions.
+function responsibleWarehouseId(shipment) {
+  if (shipment.type === 'RETURN') return shipment.toFacilityId;
+  if (shipment.type === 'REDISTRIBUTION') return shipment.fromWarehouse?.warehouseId || null;
+  return shipment.fromWarehouseId;
+}
+
+function uniqueStrings(arr) {
+  return [...new Set((Array.isArray(arr) ? arr : []).map(String).map((s) => s.trim()).filter(Boolean))];
+}
+
 // ---------------------------------------------------------------------------
 // GET /api/shipments
-// Query (optional): status=DISPATCHED|RECEIVED|CANCELLED
+// Query (optional): status=PENDING_APPROVAL|DISPATCHED|PARTIALLY_RECEIVED|RECEIVED|CANCELLED
 // Query (optional): includeReceived=true  (only relevant when status is not provided)
+// Query (optional): type=DISTRIBUTION|TRANSFER|REDISTRIBUTION|RETURN
 // Scoping:
-//  - SUPER_ADMIN: can filter by fromWarehouseId/toFacilityId
-//  - WAREHOUSE_OFFICER (or users assigned to a warehouse): only own warehouse shipments
-//  - FACILITY users: only shipments to their facility
+//  - "shipments.viewAll" (SUPER_ADMIN): can filter by fromWarehouseId/toFacilityId
+//  - WAREHOUSE_OFFICER (or users assigned to a warehouse): own warehouse shipments plus
+//    transfers inbound from other warehouses (direction=inbound|outbound narrows this) and
+//    redistributions between the warehouse's facilities
+//  - FACILITY users: shipments to their facility and redistributions/returns they sent
 // ---------------------------------------------------------------------------
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requirePermission('shipments.view'), async (req, res) => {
   try {
     const status = req.query.status ? String(req.query.status).trim().toUpperCase() : null;
     const includeReceived =
@@ -47,35 +148,43 @@ router.get('/', requireAuth, async (req, res) => {
     const where = {};
 
     // Default behaviour (when status is NOT provided):
-    // - Facility users: hide RECEIVED shipments so the manifest picker stays short.
+    // - Facility users: hide received (and closed partially received) shipments so the manifest picker stays short.
     // - Warehouse users: show all by default.
     // - Client can always request history via includeReceived=true OR status=RECEIVED.
     if (status) {
       where.status = status;
     } else if (
-      req.user.role !== 'SUPER_ADMIN' &&
-      !(req.user.role === 'WAREHOUSE_OFFICER' || req.user.facilityType === 'WAREHOUSE') &&
+      !hasPermission(req.user, 'shipments.viewAll') &&
+      !isWarehouseUser(req.user) &&
       !includeReceived
     ) {
-      where.status = { in: ['DISPATCHED'] };
+      where.status = { in: ['PENDING_APPROVAL', 'DISPATCHED', 'PARTIALLY_RECEIVED'] };
+      where.receivedAt = null; // closed partial receipts have nothing left to scan
     }
 
-    if (req.user.role === 'SUPER_ADMIN') {
+    if (req.query.type) {
+      const type = String(req.query.type).trim().toUpperCase();
+      if (!['DISTRIBUTION', 'TRANSFER', 'REDISTRIBUTION', 'RETURN'].includes(type)) {
+        return res.status(400).json({ message: 'type must be DISTRIBUTION, TRANSFER, REDISTRIBUTION or RETURN' });
+      }
+      where.type = type;
+    }
+
+    if (hasPermission(req.user, 'shipments.viewAll')) {
       if (req.query.fromWarehouseId) where.fromWarehouseId = String(req.query.fromWarehouseId);
       if (req.query.toFacilityId) where.toFacilityId = String(req.query.toFacilityId);
-    } else if (req.user.role === 'WAREHOUSE_OFFICER' || req.user.facilityType === 'WAREHOUSE') {
-      const myWarehouseId = req.user.warehouseId
-        ? String(req.user.warehouseId)
-        : req.user.facilityId
-        ? String(req.user.facilityId)
-        : null;
-
+    } else if (isWarehouseUser(req.user)) {
+      const myWarehouseId = myWarehouseIdOf(req.user);
       if (!myWarehouseId) return res.json([]);
-      where.fromWarehouseId = myWarehouseId;
+
+      const direction = String(req.query.direction || '').toLowerCase();
+      if (direction === 'outbound') where.fromWarehouseId = myWarehouseId;
+      else if (direction === 'inbound') where.toFacilityId = myWarehouseId;
+      else Object.assign(where, visibleShipmentsWhere(req.user));
     } else {
-      const myFacilityId = req.user.facilityId ? String(req.user.facilityId) : null;
-      if (!myFacilityId) return res.json([]);
-      where.toFacilityId = myFacilityId;
+      const visible = visibleShipmentsWhere(req.user);
+      if (!visible) return res.json([]);
+      Object.assign(where, visible);
     }
 
     const shipments = await prisma.shipment.findMany({
@@ -96,6 +205,8 @@ router.get('/', requireAuth, async (req, res) => {
         id: s.id,
         manifestNo: s.manifestNo,
         status: s.status,
+        type: s.type,
+        returnReason: s.returnReason || null,
         note: s.note,
 
         fromWarehouse: s.fromWarehouse,
@@ -106,6 +217,12 @@ router.get('/', requireAuth, async (req, res) => {
 
         dispatchedAt: s.dispatchedAt,
         receivedAt: s.receivedAt || null,
+        approvedAt: s.approvedAt || null,
+        cancelledAt: s.cancelledAt || null,
+        cancelReason: s.cancelReason || null,
+
+        // expectedArrivalAt, onTime, overdue, delayDays
+        ...transitStatus(s),
 
         itemCount: s._count.items,
         boxesCount: s._count.items,
@@ -119,21 +236,164 @@ router.get('/', requireAuth, async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// GET /api/shipments/discrepancies
+// Query (optional): state=open|acknowledged|all (default open), shipmentId, type=MISSING|DAMAGED|EXTRA
+// Same scoping as the shipment list; warehouses use it as their acknowledgement queue.
+// ---------------------------------------------------------------------------
+router.get('/discrepancies', requireAuth, requirePermission('shipments.view'), async (req, res) => {
+  try {
+    const state = String(req.query.state || 'open').toLowerCase();
+    if (!['open', 'acknowledged', 'all'].includes(state)) {
+      return res.status(400).json({ message: 'state must be open, acknowledged or all' });
+    }
+
+    const where = {};
+    if (state === 'open') where.acknowledgedAt = null;
+    if (state === 'acknowledged') where.acknowledgedAt = { not: null };
+    if (req.query.shipmentId) where.shipmentId = String(req.query.shipmentId);
+    if (req.query.type) {
+      const type = String(req.query.type).trim().toUpperCase();
+      if (!['MISSING', 'DAMAGED', 'EXTRA'].includes(type)) {
+        return res.status(400).json({ message: 'type must be MISSING, DAMAGED or EXTRA' });
+      }
+      where.type = type;
+    }
+
+    if (!hasPermission(req.user, 'shipments.viewAll')) {
+      const visible = visibleShipmentsWhere(req.user);
+      if (!visible) return res.json([]);
+      where.shipment = visible;
+    }
+
+    const discrepancies = await prisma.shipmentDiscrepancy.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: 500,
+      include: {
+        shipment: {
+          select: {
+            id: true,
+            manifestNo: true,
+            type: true,
+            status: true,
+            fromWarehouse: { select: { id: true, code: true, name: true } },
+            toFacility: { select: { id: true, code: true, name: true } },
+          },
+        },
+        reportedBy: { select: { id: true, fullName: true, role: true } },
+        acknowledgedBy: { select: { id: true, fullName: true, role: true } },
+      },
+    });
+
+    return res.json(discrepancies);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error', error: String(err.message || err) });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/shipments/discrepancies/:discrepancyId/acknowledge
+// Roles: SUPER_ADMIN, WAREHOUSE_OFFICER of the responsible warehouse
+// Body (optional): { note }
+// ---------------------------------------------------------------------------
+router.post(
+  '/discrepancies/:discrepancyId/acknowledge',
+  requireAuth,
+  requirePermission('shipments.acknowledgeDiscrepancies'),
+  async (req, res) => {
+    try {
+      const note = req.body?.note ? String(req.body.note).trim().slice(0, 190) : null;
+
+      const discrepancy = await prisma.shipmentDiscrepancy.findUnique({
+        where: { id: String(req.params.discrepancyId) },
+        include: {
+          shipment: {
+            select: {
+              id: true,
+              manifestNo: true,
+              type: true,
+              fromWarehouseId: true,
+              toFacilityId: true,
+              fromWarehouse: { select: { warehouseId: true } },
+            },
+          },
+        },
+      });
+
+      if (!discrepancy) return res.status(404).json({ message: 'Discrepancy not found' });
+
+      if (!hasPermission(req.user, 'stock.manageAll')) {
+        const myWarehouseId = myWarehouseIdOf(req.user);
+        if (!myWarehouseId || String(responsibleWarehouseId(discrepancy.shipment)) !== myWarehouseId) {
+          return res.status(403).json({ message: 'Forbidden: this discrepancy belongs to another warehouse' });
+        }
+      }
+
+      if (discrepancy.acknowledgedAt) {
+        return res.status(409).json({ message: 'Discrepancy already acknowledged', acknowledgedAt: discrepancy.acknowledgedAt });
+      }
+
+      const updated = await prisma.$transaction(async (tx) => {
+        const next = await tx.shipmentDiscrepancy.update({
+          where: { id: discrepancy.id },
+          data: { acknowledgedByUserId: req.user.id, acknowledgedAt: new Date(), acknowledgementNote: note },
+        });
+
+        await recordAudit(tx, req, {
+          action: 'shipmentDiscrepancy.acknowledge',
+          entityType: 'ShipmentDiscrepancy',
+          entityId: discrepancy.id,
+          before: { acknowledgedAt: null },
+          after: { acknowledgedAt: next.acknowledgedAt, acknowledgementNote: note },
+          metadata: {
+            shipmentId: discrepancy.shipment.id,
+            manifestNo: discrepancy.shipment.manifestNo,
+            type: discrepancy.type,
+            boxUid: discrepancy.boxUid,
+          },
+        });
+
+        return next;
+      });
+
+      return res.json(updated);
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: 'Server error', error: String(err.message || err) });
+    }
+  }
+);
+
 // ---------------------------------------------------------------------------
 // GET /api/shipments/:shipmentId
 // Returns shipment + items + received flags
 // ---------------------------------------------------------------------------
-router.get('/:shipmentId', requireAuth, async (req, res) => {
+router.get('/:shipmentId', requireAuth, requirePermission('shipments.view'), async (req, res) => {
   try {
     const { shipmentId } = req.params;
 
     const shipment = await prisma.shipment.findUnique({
       where: { id: String(shipmentId) },
       include: {
-        fromWarehouse: { select: { id: true, code: true, name: true } },
+        fromWarehouse: { select: { id: true, code: true, name: true, warehouseId: true } },
         toFacility: { select: { id: true, code: true, name: true } },
         dispatchedBy: { select: { id: true, fullName: true, role: true } },
         receivedBy: { select: { id: true, fullName: true, role: true } },
+        approvedBy: { select: { id: true, fullName: true, role: true } },
+        cancelledBy: { select: { id: true, fullName: true, role: true } },
+        discrepancies: { orderBy: { createdAt: 'asc' } },
+        attachments: {
+          select: {
+            id: true,
+            kind: true,
+            contentType: true,
+            sizeBytes: true,
+            createdAt: true,
+            uploadedBy: { select: { id: true, fullName: true } },
+          },
+        },
         items: {
           orderBy: { id: 'asc' },
           include: {
@@ -155,26 +415,141 @@ router.get('/:shipmentId', requireAuth, async (req, res) => {
     if (!shipment) return res.status(404).json({ message: 'Shipment not found' });
 
     // Scoping
-    if (req.user.role !== 'SUPER_ADMIN') {
-      if (req.user.role === 'WAREHOUSE_OFFICER' || req.user.facilityType === 'WAREHOUSE') {
-        const myWarehouseId = req.user.warehouseId
-          ? String(req.user.warehouseId)
-          : req.user.facilityId
-          ? String(req.user.facilityId)
-          : null;
-
-        if (!myWarehouseId || String(shipment.fromWarehouseId) !== myWarehouseId) {
-          return res.status(403).json({ message: 'Forbidden' });
-        }
-      } else {
-        const myFacilityId = req.user.facilityId ? String(req.user.facilityId) : null;
-        if (!myFacilityId || String(shipment.toFacilityId) !== myFacilityId) {
-          return res.status(403).json({ message: 'Forbidden' });
-        }
-      }
+    if (!canViewShipment(req.user, shipment)) {
+      return res.status(403).json({ message: 'Forbidden' });
     }
 
-    return res.json(shipment);
+    return res.json({ ...shipment, ...transitStatus(shipment) });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error', error: String(err.message || err) });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/shipments/:shipmentId/timeline
+// Shipment state changes (requested, approved, dispatched, received, cancelled, discrepancies,
+// proof of delivery) merged with the BoxEvents of its boxes, oldest first, plus ETA / lateness.
+// ---------------------------------------------------------------------------
+router.get('/:shipmentId/timeline', requireAuth, requirePermission('shipments.view'), async (req, res) => {
+  try {
+    const userSelect = { select: { id: true, fullName: true } };
+    const shipment = await prisma.shipment.findUnique({
+      where: { id: String(req.params.shipmentId) },
+      include: {
+        fromWarehouse: { select: { id: true, code: true, name: true, warehouseId: true } },
+        toFacility: { select: { id: true, code: true, name: true } },
+        dispatchedBy: userSelect,
+        receivedBy: userSelect,
+        approvedBy: userSelect,
+        cancelledBy: userSelect,
+        discrepancies: { include: { reportedBy: userSelect, acknowledgedBy: userSelect } },
+        attachments: { select: { kind: true, createdAt: true, uploadedBy: userSelect } },
+        items: { select: { boxId: true } },
+      },
+    });
+
+    if (!shipment) return res.status(404).json({ message: 'Shipment not found' });
+    if (!canViewShipment(req.user, shipment)) return res.status(403).json({ message: 'Forbidden' });
+
+    // Box events of this shipment: between the shipment's creation and its closing (received, also
+    // with discrepancies, or cancelled), at either end of the leg. Events written in the same
+    // transaction as a state change can carry a slightly different clock, hence the slack.
+    const SLACK_MS = 60 * 1000;
+    const closedAt = shipment.receivedAt || (shipment.status === 'CANCELLED' ? shipment.cancelledAt : null);
+    const ends = [shipment.fromWarehouseId, shipment.toFacilityId];
+
+    const boxEvents = shipment.items.length
+      ? await prisma.boxEvent.findMany({
+          where: {
+            boxId: { in: shipment.items.map((i) => i.boxId) },
+            type: { in: ['DISPATCH', 'FACILITY_RECEIVE', 'WAREHOUSE_RECEIVE', 'ADJUSTMENT'] },
+            createdAt: {
+              gte: new Date(shipment.createdAt.getTime() - SLACK_MS),
+              ...(closedAt ? { lte: new Date(closedAt.getTime() + SLACK_MS) } : {}),
+            },
+            OR: [{ fromFacilityId: { in: ends } }, { toFacilityId: { in: ends } }],
+          },
+          orderBy: { createdAt: 'asc' },
+          take: 5000,
+          include: {
+            box: { select: { boxUid: true } },
+            performedBy: userSelect,
+            fromFacility: { select: { code: true, name: true } },
+            toFacility: { select: { code: true, name: true } },
+          },
+        })
+      : [];
+
+    const state = (at, event, by, note = null, extra = {}) =>
+      at ? { at, source: 'SHIPMENT', event, by: by || null, note, ...extra } : null;
+
+    // A redistribution that went through approval (or was rejected before leaving) was requested first.
+    const leftOrigin = boxEvents.some((e) => e.type === 'DISPATCH');
+    const wasRequested =
+      shipment.type === 'REDISTRIBUTION' &&
+      (!!shipment.approvedAt ||
+        shipment.status === 'PENDING_APPROVAL' ||
+        (shipment.status === 'CANCELLED' && !leftOrigin));
+    const dispatched = shipment.status !== 'PENDING_APPROVAL' && !(wasRequested && !shipment.approvedAt);
+
+    const stateEntries = [
+      wasRequested ? state(shipment.createdAt, 'REQUESTED', shipment.dispatchedBy, shipment.note) : null,
+      state(shipment.approvedAt, 'APPROVED', shipment.approvedBy),
+      dispatched
+        ? state(shipment.dispatchedAt, 'DISPATCHED', shipment.approvedBy || shipment.dispatchedBy, shipment.note, {
+            expectedArrivalAt: shipment.expectedArrivalAt || null,
+          })
+        : null,
+      shipment.receivedAt ? state(shipment.receivedAt, 'RECEIVED', shipment.receivedBy) : null,
+      state(shipment.cancelledAt, dispatched ? 'CANCELLED' : 'REJECTED', shipment.cancelledBy, shipment.cancelReason),
+      ...shipment.discrepancies.flatMap((d) => [
+        state(d.createdAt, 'DISCREPANCY_REPORTED', d.reportedBy, d.note, { discrepancyType: d.type, boxUid: d.boxUid }),
+        state(d.acknowledgedAt, 'DISCREPANCY_ACKNOWLEDGED', d.acknowledgedBy, d.acknowledgementNote, {
+          discrepancyType: d.type,
+          boxUid: d.boxUid,
+        }),
+      ]),
+      ...shipment.attachments.map((a) =>
+        state(a.createdAt, 'PROOF_OF_DELIVERY', a.uploadedBy, null, { attachmentKind: a.kind })
+      ),
+    ].filter(Boolean);
+
+    const boxEntries = boxEvents.map((e) => ({
+      at: e.createdAt,
+      source: 'BOX',
+      event: e.type,
+      by: e.performedBy,
+      note: e.note,
+      boxUid: e.box.boxUid,
+      fromFacility: e.fromFacility,
+      toFacility: e.toFacility,
+    }));
+
+    // Oldest first; at the same instant the shipment step comes before the box events it caused.
+    const timeline = [...stateEntries, ...boxEntries].sort(
+      (a, b) => new Date(a.at) - new Date(b.at) || (a.source === b.source ? 0 : a.source === 'SHIPMENT' ? -1 : 1)
+    );
+
+    return res.json({
+      shipment: {
+        id: shipment.id,
+        manifestNo: shipment.manifestNo,
+        type: shipment.type,
+        status: shipment.status,
+        fromWarehouse: {
+          id: shipment.fromWarehouse.id,
+          code: shipment.fromWarehouse.code,
+          name: shipment.fromWarehouse.name,
+        },
+        toFacility: shipment.toFacility,
+        dispatchedAt: shipment.dispatchedAt,
+        receivedAt: shipment.receivedAt || null,
+        ...transitStatus(shipment),
+        boxCount: shipment.items.length,
+      },
+      timeline,
+    });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: 'Server error', error: String(err.message || err) });
@@ -185,17 +560,19 @@ router.get('/:shipmentId', requireAuth, async (req, res) => {
 // GET /api/shipments/:shipmentId/waybill.pdf
 // Generates a simple printable manifest/waybill
 // ---------------------------------------------------------------------------
-router.get('/:shipmentId/waybill.pdf', requireAuth, async (req, res) => {
+router.get('/:shipmentId/waybill.pdf', requireAuth, requirePermission('shipments.view'), async (req, res) => {
   try {
     const { shipmentId } = req.params;
 
     const shipment = await prisma.shipment.findUnique({
       where: { id: String(shipmentId) },
       include: {
-        fromWarehouse: { select: { code: true, name: true } },
+        fromWarehouse: { select: { code: true, name: true, warehouseId: true } },
         toFacility: { select: { code: true, name: true } },
         dispatchedBy: { select: { fullName: true } },
         receivedBy: { select: { fullName: true } },
+        cancelledBy: { select: { fullName: true } },
+        attachments: { select: { kind: true, storageKey: true } },
         items: {
           orderBy: { id: 'asc' },
           include: {
@@ -216,22 +593,16 @@ router.get('/:shipmentId/waybill.pdf', requireAuth, async (req, res) => {
     if (!shipment) return res.status(404).json({ message: 'Shipment not found' });
 
     // Scoping: same rules as detail
-    if (req.user.role !== 'SUPER_ADMIN') {
-      if (req.user.role === 'WAREHOUSE_OFFICER' || req.user.facilityType === 'WAREHOUSE') {
-        const myWarehouseId = req.user.warehouseId
-          ? String(req.user.warehouseId)
-          : req.user.facilityId
-          ? String(req.user.facilityId)
-          : null;
+    if (!canViewShipment(req.user, shipment)) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
 
-        if (!myWarehouseId || String(shipment.fromWarehouseId) !== myWarehouseId) {
-          return res.status(403).json({ message: 'Forbidden' });
-        }
-      } else {
-        const myFacilityId = req.user.facilityId ? String(req.user.facilityId) : null;
-        if (!myFacilityId || String(shipment.toFacilityId) !== myFacilityId) {
-          return res.status(403).json({ message: 'Forbidden' });
-        }
+    // Proof of delivery is printed once the receiver has taken the shipment in.
+    const podVisible = ['RECEIVED', 'PARTIALLY_RECEIVED'].includes(shipment.status);
+    const podImages = {};
+    if (podVisible) {
+      for (const a of shipment.attachments) {
+        podImages[a.kind] = await getStorage().get(a.storageKey);
       }
     }
 
@@ -240,6 +611,12 @@ router.get('/:shipmentId/waybill.pdf', requireAuth, async (req, res) => {
     res.setHeader('Content-Disposition', `inline; filename="Waybill_${shipment.manifestNo}.pdf"`);
 
     const doc = new PDFDocument({ size: 'A4', margin: 36 });
+
+    // A stored file pdfkit cannot read prints as the blank lines instead (checked before the response starts)
+    for (const kind of Object.keys(podImages)) {
+      podImages[kind] = openPdfImage(doc, podImages[kind]);
+    }
+
     doc.pipe(res);
 
     // Header
@@ -249,8 +626,11 @@ router.get('/:shipmentId/waybill.pdf', requireAuth, async (req, res) => {
     doc.fontSize(10).font('Helvetica');
     doc.text(`Manifest No: ${shipment.manifestNo}`);
     doc.text(`Date: ${safeDate(shipment.dispatchedAt)}`);
-    doc.text(`From (Warehouse): ${shipment.fromWarehouse.name} (${shipment.fromWarehouse.code})`);
-    doc.text(`To (Facility): ${shipment.toFacility.name} (${shipment.toFacility.code})`);
+    const fromLabel = ['REDISTRIBUTION', 'RETURN'].includes(shipment.type) ? 'From (Facility)' : 'From (Warehouse)';
+    doc.text(`${fromLabel}: ${shipment.fromWarehouse.name} (${shipment.fromWarehouse.code})`);
+    const toLabel = ['TRANSFER', 'RETURN'].includes(shipment.type) ? 'To (Warehouse)' : 'To (Facility)';
+    doc.text(`${toLabel}: ${shipment.toFacility.name} (${shipment.toFacility.code})`);
+    if (shipment.returnReason) doc.text(`Return reason: ${shipment.returnReason}`);
     doc.text(`Dispatched by: ${shipment.dispatchedBy.fullName}`);
 
     const first = shipment.items[0]?.box;
@@ -302,18 +682,39 @@ router.get('/:shipmentId/waybill.pdf', requireAuth, async (req, res) => {
 
     doc.moveDown(1.2);
     doc.font('Helvetica');
-    doc.text('Courier details (to be filled):', { underline: false });
-    doc.moveDown(0.5);
-    doc.text('Courier Name: __________________________   Vehicle/Plate: __________________________');
+    if (podVisible && (shipment.courierName || shipment.vehiclePlate)) {
+      doc.text('Courier details:', { underline: false });
+      doc.moveDown(0.5);
+      doc.text(`Courier Name: ${shipment.courierName || '—'}   Vehicle/Plate: ${shipment.vehiclePlate || '—'}`);
+    } else {
+      doc.text('Courier details (to be filled):', { underline: false });
+      doc.moveDown(0.5);
+      doc.text('Courier Name: __________________________   Vehicle/Plate: __________________________');
+    }
     doc.moveDown(0.6);
     doc.text('Warehouse Signature: _____________________   Date: _________________________________');
     doc.moveDown(0.6);
-    doc.text('Facility Receiver Name: ___________________   Signature: ___________________________');
+    if (podVisible && podImages.SIGNATURE) {
+      doc.text(`Receiver Name: ${shipment.receivedBy?.fullName || '—'}   Signature:`);
+      const sigY = doc.y + 2;
+      if (drawPdfImage(doc, podImages.SIGNATURE, doc.page.margins.left, sigY, { fit: [180, 60] })) {
+        doc.y = sigY + 64;
+      } else {
+        doc.text('___________________________');
+      }
+      doc.x = doc.page.margins.left;
+    } else {
+      doc.text('Facility Receiver Name: ___________________   Signature: ___________________________');
+    }
     doc.moveDown(0.6);
-    doc.text('Date Received: ____________________________');
+    doc.text(
+      podVisible && shipment.receivedAt
+        ? `Date Received: ${safeDateTime(shipment.receivedAt)}`
+        : 'Date Received: ____________________________'
+    );
 
-    // Official received stamp only when shipment has been received
-    if (shipment.status === 'RECEIVED') {
+    // Official received stamp once the destination has closed receipt, also with discrepancies
+    if (shipment.receivedAt) {
       doc.moveDown(1.0);
 
       if (doc.y > doc.page.height - doc.page.margins.bottom - 120) {
@@ -383,6 +784,84 @@ router.get('/:shipmentId/waybill.pdf', requireAuth, async (req, res) => {
       doc.moveDown(6);
     }
 
+    // Cancelled stamp: the manifest no longer describes goods on the road
+    if (shipment.status === 'CANCELLED') {
+      doc.moveDown(1.0);
+
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 120) {
+        doc.addPage();
+      }
+
+      const stampW = 220;
+      const stampH = 88;
+      const stampX = doc.page.width - doc.page.margins.right - stampW;
+      const stampY = doc.y + 4;
+
+      doc
+        .save()
+        .lineWidth(2.5)
+        .strokeColor('#424242')
+        .roundedRect(stampX, stampY, stampW, stampH, 10)
+        .stroke();
+
+      doc
+        .fillColor('#424242')
+        .font('Helvetica-Bold')
+        .fontSize(17)
+        .text('CANCELLED', stampX, stampY + 10, {
+          width: stampW,
+          align: 'center',
+        });
+
+      doc
+        .moveTo(stampX + 14, stampY + 34)
+        .lineTo(stampX + stampW - 14, stampY + 34)
+        .stroke();
+
+      doc
+        .fillColor('#111111')
+        .font('Helvetica-Bold')
+        .fontSize(9)
+        .text('Cancelled By:', stampX + 14, stampY + 42, { continued: true })
+        .font('Helvetica')
+        .text(` ${shipment.cancelledBy?.fullName || '—'}`);
+
+      doc
+        .font('Helvetica-Bold')
+        .text('Date & Time:', stampX + 14, stampY + 56, { continued: true })
+        .font('Helvetica')
+        .text(` ${safeDateTime(shipment.cancelledAt) || '—'}`);
+
+      doc
+        .font('Helvetica')
+        .text(`Reason: ${shipment.cancelReason || '—'}`, stampX + 14, stampY + 70, {
+          width: stampW - 28,
+          height: 12,
+          ellipsis: true,
+        });
+
+      doc.restore();
+      doc.moveDown(6);
+    }
+
+    // Photo of the signed paper waybill on its own page
+    if (podVisible && podImages.SIGNED_WAYBILL) {
+      doc.addPage();
+      doc
+        .fontSize(12)
+        .font('Helvetica-Bold')
+        .fillColor('#111111')
+        .text('Proof of delivery: signed waybill', { align: 'center' });
+      doc.moveDown(0.5);
+      const top = doc.y;
+      const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+      const height = doc.page.height - doc.page.margins.bottom - top;
+      const fit = { fit: [width, height], align: 'center' };
+      if (!drawPdfImage(doc, podImages.SIGNED_WAYBILL, doc.page.margins.left, top, fit)) {
+        doc.fontSize(10).font('Helvetica').text('The stored image could not be read.', { align: 'center' });
+      }
+    }
+
     doc.end();
   } catch (err) {
     console.error(err);
@@ -390,4 +869,747 @@ router.get('/:shipmentId/waybill.pdf', requireAuth, async (req, res) => {
   }
 });
 
+const MAX_CANCEL_REASON = 190;
+
+// ---------------------------------------------------------------------------
+// Redistribution approvals (facility -> facility, when "redistribution.requireApproval" is on)
+// Roles: SUPER_ADMIN, WAREHOUSE_OFFICER of the warehouse both facilities are linked to
+// ---------------------------------------------------------------------------
+async function loadPendingRedistribution(req, res) {
+  const shipment = await prisma.shipment.findUnique({
+    where: { id: String(req.params.shipmentId) },
+    include: {
+      fromWarehouse: { select: { id: true, code: true, name: true, warehouseId: true } },
+      toFacility: { select: { id: true, code: true, name: true, isActive: true } },
+      items: { select: { box: { select: { id: true, boxUid: true, status: true, currentFacilityId: true } } } },
+    },
+  });
+
+  if (!shipment) {
+    res.status(404).json({ message: 'Shipment not found' });
+    return null;
+  }
+  if (shipment.type !== 'REDISTRIBUTION' || shipment.status !== 'PENDING_APPROVAL') {
+    res.status(400).json({ message: 'Shipment is not a redistribution awaiting approval', status: shipment.status });
+    return null;
+  }
+  if (
+    !hasPermission(req.user, 'stock.manageAll') &&
+    !isRedistributionOfWarehouse(shipment, myWarehouseIdOf(req.user))
+  ) {
+    res.status(403).json({ message: 'Forbidden: the facilities are not under your warehouse' });
+    return null;
+  }
+
+  return shipment;
+}
+
+// POST /api/shipments/:shipmentId/approve
+// Body (optional): { note }
+// Boxes leave the sending facility's stock (IN_TRANSIT) and the shipment becomes DISPATCHED.
+router.post('/:shipmentId/approve', requireAuth, requirePermission('shipments.approve'), async (req, res) => {
+  try {
+    const shipment = await loadPendingRedistribution(req, res);
+    if (!shipment) return;
+    if (!shipment.toFacility.isActive) {
+      return res.status(400).json({ message: 'Destination facility is deactivated; reject this redistribution' });
+    }
+
+    // Boxes may have been dispensed or adjusted while the request waited.
+    const unavailable = shipment.items
+      .map((i) => i.box)
+      .filter((b) => b.status !== 'IN_FACILITY' || b.currentFacilityId !== shipment.fromWarehouseId)
+      .map((b) => ({ boxUid: b.boxUid, status: b.status }));
+    if (unavailable.length) {
+      return res.status(409).json({
+        message: 'Some boxes are no longer in stock at the sending facility; reject and recreate the request',
+        unavailable: unavailable.slice(0, 25),
+      });
+    }
+
+    const note = req.body?.note ? String(req.body.note) : null;
+    const now = new Date();
+
+    const expectedArrivalAt = await prisma.$transaction(async (tx) => {
+      const eta = await computeExpectedArrival(tx, {
+        type: shipment.type,
+        fromFacilityId: shipment.fromWarehouseId,
+        toFacilityId: shipment.toFacilityId,
+        dispatchedAt: now,
+      });
+
+      const { count } = await tx.shipment.updateMany({
+        where: { id: shipment.id, status: 'PENDING_APPROVAL' },
+        data: {
+          status: 'DISPATCHED',
+          dispatchedAt: now,
+          expectedArrivalAt: eta,
+          approvedByUserId: req.user.id,
+          approvedAt: now,
+        },
+      });
+      if (!count) {
+        const err = new Error('Shipment was already approved or rejected');
+        err.status = 409;
+        throw err;
+      }
+
+      await markBoxesInTransit(tx, {
+        boxIds: shipment.items.map((i) => i.box.id),
+        performedByUserId: req.user.id,
+        fromFacilityId: shipment.fromWarehouseId,
+        toFacilityId: shipment.toFacilityId,
+        note:
+          note ||
+          `Redistributed (Manifest ${shipment.manifestNo}) from ${shipment.fromWarehouse.code} to ${shipment.toFacility.code}`,
+      });
+
+      await recordAudit(tx, req, {
+        action: 'shipment.approve',
+        entityType: 'Shipment',
+        entityId: shipment.id,
+        before: { status: shipment.status },
+        after: { status: 'DISPATCHED' },
+        metadata: { manifestNo: shipment.manifestNo, note },
+      });
+
+      return eta;
+    });
+
+    return res.json({
+      message: 'Redistribution approved and dispatched',
+      shipmentId: shipment.id,
+      manifestNo: shipment.manifestNo,
+      status: 'DISPATCHED',
+      expectedArrivalAt,
+      boxCount: shipment.items.length,
+    });
+  } catch (err) {
+    if (err.status === 409) return res.status(409).json({ message: err.message });
+    console.error(err);
+    return res.status(500).json({ message: 'Server error', error: String(err.message || err) });
+  }
+});
+
+// POST /api/shipments/:shipmentId/reject
+// Body: { reason }
+// The shipment is CANCELLED; boxes never left the sending facility.
+router.post('/:shipmentId/reject', requireAuth, requirePermission('shipments.approve'), async (req, res) => {
+  try {
+    const reason = req.body?.reason ? String(req.body.reason).trim() : '';
+    if (!reason) return res.status(400).json({ message: 'reason is required' });
+    if (reason.length > MAX_CANCEL_REASON) {
+      return res.status(400).json({ message: `reason must be at most ${MAX_CANCEL_REASON} characters` });
+    }
+
+    const shipment = await loadPendingRedistribution(req, res);
+    if (!shipment) return;
+
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.shipment.updateMany({
+        where: { id: shipment.id, status: 'PENDING_APPROVAL' },
+        data: { status: 'CANCELLED', cancelledByUserId: req.user.id, cancelledAt: new Date(), cancelReason: reason },
+      });
+      if (!count) {
+        const err = new Error('Shipment was already approved or rejected');
+        err.status = 409;
+        throw err;
+      }
+
+      await recordAudit(tx, req, {
+        action: 'shipment.reject',
+        entityType: 'Shipment',
+        entityId: shipment.id,
+        before: { status: shipment.status },
+        after: { status: 'CANCELLED' },
+        metadata: { manifestNo: shipment.manifestNo, reason },
+      });
+    });
+
+    return res.json({
+      message: 'Redistribution rejected',
+      shipmentId: shipment.id,
+      manifestNo: shipment.manifestNo,
+      status: 'CANCELLED',
+    });
+  } catch (err) {
+    if (err.status === 409) return res.status(409).json({ message: err.message });
+    console.error(err);
+    return res.status(500).json({ message: 'Server error', error: String(err.message || err) });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/shipments/:shipmentId/cancel
+// Roles: SUPER_ADMIN, WAREHOUSE_OFFICER / FACILITY_OFFICER of the sending warehouse or facility
+// Body: { reason }
+//
+// Only while the shipment is DISPATCHED and nothing on it has been received. Every box goes back
+// into stock at the origin (IN_WAREHOUSE for warehouses, IN_FACILITY for facility redistributions
+// and returns) with an ADJUSTMENT event; the waybill is stamped CANCELLED.
+// ---------------------------------------------------------------------------
+router.post('/:shipmentId/cancel', requireAuth, requirePermission('shipments.cancel'), async (req, res) => {
+  try {
+    const reason = req.body?.reason ? String(req.body.reason).trim() : '';
+    if (!reason) return res.status(400).json({ message: 'reason is required' });
+    if (reason.length > MAX_CANCEL_REASON) {
+      return res.status(400).json({ message: `reason must be at most ${MAX_CANCEL_REASON} characters` });
+    }
+
+    const shipment = await prisma.shipment.findUnique({
+      where: { id: String(req.params.shipmentId) },
+      include: {
+        fromWarehouse: { select: { id: true, code: true, name: true, type: true } },
+        items: {
+          select: { receivedAt: true, box: { select: { id: true, boxUid: true, status: true } } },
+        },
+      },
+    });
+
+    if (!shipment) return res.status(404).json({ message: 'Shipment not found' });
+
+    // Only the sender may cancel
+    if (!hasPermission(req.user, 'stock.manageAll')) {
+      const myOriginId = isWarehouseUser(req.user)
+        ? myWarehouseIdOf(req.user)
+        : req.user.facilityId
+        ? String(req.user.facilityId)
+        : null;
+      if (!myOriginId || String(shipment.fromWarehouseId) !== myOriginId) {
+        return res.status(403).json({ message: 'Forbidden: only the dispatching site can cancel this shipment' });
+      }
+    }
+
+    if (shipment.status !== 'DISPATCHED') {
+      return res.status(400).json({ message: 'Only DISPATCHED shipments can be cancelled', status: shipment.status });
+    }
+
+    const received = shipment.items.filter((i) => i.receivedAt).map((i) => i.box.boxUid);
+    if (received.length) {
+      return res.status(409).json({
+        message: 'Some boxes on this shipment were already received; it can no longer be cancelled',
+        received: received.slice(0, 25),
+      });
+    }
+
+    const notInTransit = shipment.items
+      .map((i) => i.box)
+      .filter((b) => b.status !== 'IN_TRANSIT')
+      .map((b) => ({ boxUid: b.boxUid, status: b.status }));
+    if (notInTransit.length) {
+      return res.status(409).json({
+        message: 'Some boxes on this shipment are no longer IN_TRANSIT',
+        notInTransit: notInTransit.slice(0, 25),
+      });
+    }
+
+    const origin = shipment.fromWarehouse;
+    const boxIds = shipment.items.map((i) => i.box.id);
+    const restoredStatus = origin.type === 'WAREHOUSE' ? 'IN_WAREHOUSE' : 'IN_FACILITY';
+    const now = new Date();
+
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.shipment.updateMany({
+        where: { id: shipment.id, status: 'DISPATCHED' },
+        data: { status: 'CANCELLED', cancelledByUserId: req.user.id, cancelledAt: now, cancelReason: reason },
+      });
+      if (!count) {
+        const err = new Error('Shipment status changed; reload and try again');
+        err.status = 409;
+        throw err;
+      }
+
+      await tx.box.updateMany({
+        where: { id: { in: boxIds } },
+        data: { status: restoredStatus, currentFacilityId: origin.id },
+      });
+      await holdRecalledBoxes(tx, boxIds);
+
+      await tx.boxEvent.createMany({
+        data: boxIds.map((id) => ({
+          boxId: id,
+          type: 'ADJUSTMENT',
+          performedByUserId: req.user.id,
+          toFacilityId: origin.id,
+          note: `Shipment ${shipment.manifestNo} cancelled, returned to ${origin.code}: ${reason}`,
+        })),
+      });
+
+      await recordAudit(tx, req, {
+        action: 'shipment.cancel',
+        entityType: 'Shipment',
+        entityId: shipment.id,
+        before: { status: shipment.status },
+        after: { status: 'CANCELLED', cancelReason: reason },
+        metadata: { manifestNo: shipment.manifestNo, boxCount: boxIds.length },
+      });
+    });
+
+    return res.json({
+      message: 'Shipment cancelled',
+      shipmentId: shipment.id,
+      manifestNo: shipment.manifestNo,
+      status: 'CANCELLED',
+      returnedTo: { id: origin.id, code: origin.code, name: origin.name },
+      boxStatus: restoredStatus,
+      boxCount: boxIds.length,
+    });
+  } catch (err) {
+    if (err.status === 409) return res.status(409).json({ message: err.message });
+    console.error(err);
+    return res.status(500).json({ message: 'Server error', error: String(err.message || err) });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/shipments/:shipmentId/receive
+// Roles: SUPER_ADMIN, receiving facility or warehouse users
+//
+// Body (send any of them, scans can come in several calls):
+// {
+//   "boxUids": ["SPO-...-1"],          // scanned, arrived in good condition
+//   "damagedBoxUids": ["SPO-...-2"],   // scanned, arrived damaged -> QUARANTINED at the destination
+//   "missingBoxUids": ["SPO-...-3"],   // on the manifest, did not arrive
+//   "complete": true,                  // close receipt: every box not yet accounted for is MISSING
+//   "quarantine": true,                // optional; intact boxes go to QUARANTINED (default only for DAMAGED returns)
+//   "note": "Carton 3 crushed"         // optional
+// }
+//
+// Per-item outcome is stored on ShipmentItem; damaged, missing and extra (scanned but not on the
+// manifest) boxes raise ShipmentDiscrepancy records for the warehouse to acknowledge. Extra boxes
+// are not moved. Missing boxes stay IN_TRANSIT until written off.
+// Shipment status: PARTIALLY_RECEIVED while boxes are outstanding or when any box was damaged or
+// missing; RECEIVED once every box arrived intact. Receipt is closed (receivedAt set) once every box
+// is accounted for: a closed PARTIALLY_RECEIVED shipment is delivered with discrepancies and keeps
+// that status; acknowledging the discrepancies does not change it.
+// ---------------------------------------------------------------------------
+router.post(
+  '/:shipmentId/receive',
+  requireAuth,
+  requirePermission('boxes.receive', 'boxes.warehouseReceive'),
+  async (req, res) => {
+    try {
+      const receivedUids = uniqueStrings(req.body?.boxUids);
+      const damagedUids = uniqueStrings(req.body?.damagedBoxUids);
+      const missingUids = uniqueStrings(req.body?.missingBoxUids);
+      const complete = req.body?.complete === true;
+      const note = req.body?.note ? String(req.body.note).trim().slice(0, 190) : null;
+
+      if (req.body?.quarantine !== undefined && typeof req.body.quarantine !== 'boolean') {
+        return res.status(400).json({ message: 'quarantine must be true or false' });
+      }
+
+      if (!receivedUids.length && !damagedUids.length && !missingUids.length && !complete) {
+        return res.status(400).json({ message: 'Provide boxUids, damagedBoxUids, missingBoxUids or complete: true' });
+      }
+
+      const listed = [...receivedUids, ...damagedUids, ...missingUids];
+      if (new Set(listed).size !== listed.length) {
+        return res.status(400).json({ message: 'A box can only be listed once per request' });
+      }
+
+      const shipment = await prisma.shipment.findUnique({
+        where: { id: String(req.params.shipmentId) },
+        include: {
+          fromWarehouse: { select: { id: true, code: true, name: true } },
+          toFacility: { select: { id: true, code: true, name: true, type: true } },
+          items: {
+            select: {
+              id: true,
+              outcome: true,
+              receivedAt: true,
+              box: { select: { id: true, boxUid: true, status: true } },
+            },
+          },
+          discrepancies: { where: { type: 'EXTRA' }, select: { boxUid: true } },
+        },
+      });
+
+      if (!shipment) return res.status(404).json({ message: 'Shipment not found' });
+      if (!['DISPATCHED', 'PARTIALLY_RECEIVED'].includes(shipment.status)) {
+        return res.status(400).json({ message: 'Shipment is not open for receiving', status: shipment.status });
+      }
+      if (shipment.receivedAt) {
+        return res.status(400).json({ message: 'Every box of this shipment is already accounted for' });
+      }
+
+      // Only the destination receives
+      if (!hasPermission(req.user, 'stock.manageAll')) {
+        const myDestinationId = isWarehouseUser(req.user)
+          ? myWarehouseIdOf(req.user)
+          : req.user.facilityId
+          ? String(req.user.facilityId)
+          : null;
+        if (!myDestinationId || String(shipment.toFacilityId) !== myDestinationId) {
+          return res.status(403).json({ message: 'This shipment is not destined for your site' });
+        }
+      }
+
+      // Items received through the older scan routes have receivedAt but no outcome.
+      const isOpen = (item) => !item.outcome && !item.receivedAt;
+      const itemByUid = new Map(shipment.items.map((i) => [i.box.boxUid, i]));
+
+      const notOnManifest = missingUids.filter((u) => !itemByUid.has(u));
+      if (notOnManifest.length) {
+        return res.status(400).json({
+          message: 'missingBoxUids must be on the shipment manifest',
+          notOnManifest: notOnManifest.slice(0, 25),
+        });
+      }
+
+      const alreadyRecorded = listed
+        .filter((u) => itemByUid.has(u) && !isOpen(itemByUid.get(u)))
+        .map((u) => ({ boxUid: u, outcome: itemByUid.get(u).outcome || 'RECEIVED' }));
+      if (alreadyRecorded.length) {
+        return res.status(409).json({
+          message: 'Some boxes already have a receiving outcome',
+          alreadyRecorded: alreadyRecorded.slice(0, 25),
+        });
+      }
+
+      const notInTransit = [...receivedUids, ...damagedUids]
+        .filter((u) => itemByUid.has(u) && itemByUid.get(u).box.status !== 'IN_TRANSIT')
+        .map((u) => ({ boxUid: u, status: itemByUid.get(u).box.status }));
+      if (notInTransit.length) {
+        return res.status(400).json({
+          message: 'Some boxes are not IN_TRANSIT',
+          notInTransit: notInTransit.slice(0, 25),
+        });
+      }
+
+      const receivedItems = receivedUids.filter((u) => itemByUid.has(u)).map((u) => itemByUid.get(u));
+      const damagedItems = damagedUids.filter((u) => itemByUid.has(u)).map((u) => itemByUid.get(u));
+      const missingItems = missingUids.map((u) => itemByUid.get(u));
+
+      const touched = new Set([...receivedItems, ...damagedItems, ...missingItems].map((i) => i.id));
+      if (complete) {
+        missingItems.push(...shipment.items.filter((i) => isOpen(i) && !touched.has(i.id)));
+      }
+
+      // Extra boxes: scanned here but not on the manifest (reported once per shipment)
+      const reportedExtras = new Set(shipment.discrepancies.map((d) => d.boxUid));
+      const extraUids = [...receivedUids, ...damagedUids].filter((u) => !itemByUid.has(u) && !reportedExtras.has(u));
+      const extraBoxes = extraUids.length
+        ? await prisma.box.findMany({ where: { boxUid: { in: extraUids } }, select: { id: true, boxUid: true } })
+        : [];
+      const extraBoxIdByUid = new Map(extraBoxes.map((b) => [b.boxUid, b.id]));
+
+      const destination = shipment.toFacility;
+      // Same default as /api/boxes/return-receive: damaged returns do not go back into stock
+      const quarantine =
+        req.body?.quarantine !== undefined
+          ? req.body.quarantine
+          : shipment.type === 'RETURN' && shipment.returnReason === 'DAMAGED';
+      const inStockStatus = destination.type === 'WAREHOUSE' ? 'IN_WAREHOUSE' : 'IN_FACILITY';
+      const eventType = destination.type === 'WAREHOUSE' ? 'WAREHOUSE_RECEIVE' : 'FACILITY_RECEIVE';
+      const now = new Date();
+
+      // Status after this call
+      const outcomes = shipment.items.map((i) => (i.receivedAt && !i.outcome ? 'RECEIVED' : i.outcome));
+      const pendingAfter = shipment.items.filter((i) => isOpen(i) && !touched.has(i.id) && !missingItems.includes(i)).length;
+      const shortfall =
+        outcomes.some((o) => o === 'DAMAGED' || o === 'MISSING') || damagedItems.length > 0 || missingItems.length > 0;
+      const nextStatus = pendingAfter === 0 && !shortfall ? 'RECEIVED' : 'PARTIALLY_RECEIVED';
+
+      await prisma.$transaction(async (tx) => {
+        // Claim the items first so a concurrent scan of the same boxes cannot record them twice
+        const claimItems = async (items, data) => {
+          if (!items.length) return;
+          const { count } = await tx.shipmentItem.updateMany({
+            where: { id: { in: items.map((i) => i.id) }, outcome: null, receivedAt: null },
+            data,
+          });
+          if (count !== items.length) {
+            const err = new Error('Some boxes were received by someone else meanwhile; reload and try again');
+            err.status = 409;
+            throw err;
+          }
+        };
+
+        const arrive = async (items, { status, outcome, label }) => {
+          if (!items.length) return;
+          const boxIds = items.map((i) => i.box.id);
+
+          await claimItems(items, { outcome, receivedAt: now, receivedByUserId: req.user.id });
+
+          await tx.box.updateMany({
+            where: { id: { in: boxIds } },
+            data: { status, currentFacilityId: destination.id },
+          });
+          await holdRecalledBoxes(tx, boxIds);
+
+          await tx.boxEvent.createMany({
+            data: boxIds.map((id) => ({
+              boxId: id,
+              type: eventType,
+              performedByUserId: req.user.id,
+              fromFacilityId: shipment.fromWarehouseId,
+              toFacilityId: destination.id,
+              note: note || `Received ${label}against manifest ${shipment.manifestNo} into ${destination.code}`,
+            })),
+          });
+        };
+
+        await arrive(receivedItems, {
+          status: quarantine ? 'QUARANTINED' : inStockStatus,
+          outcome: 'RECEIVED',
+          label: quarantine ? '(quarantined) ' : '',
+        });
+        await arrive(damagedItems, { status: 'QUARANTINED', outcome: 'DAMAGED', label: 'damaged ' });
+        await claimItems(missingItems, { outcome: 'MISSING' });
+
+        const discrepancies = [
+          ...damagedItems.map((i) => ({ type: 'DAMAGED', boxUid: i.box.boxUid, boxId: i.box.id })),
+          ...missingItems.map((i) => ({ type: 'MISSING', boxUid: i.box.boxUid, boxId: i.box.id })),
+          ...extraUids.map((u) => ({ type: 'EXTRA', boxUid: u, boxId: extraBoxIdByUid.get(u) || null })),
+        ];
+        if (discrepancies.length) {
+          await tx.shipmentDiscrepancy.createMany({
+            data: discrepancies.map((d) => ({
+              ...d,
+              shipmentId: shipment.id,
+              note,
+              reportedByUserId: req.user.id,
+            })),
+          });
+        }
+
+        const { count } = await tx.shipment.updateMany({
+          where: { id: shipment.id, status: { in: ['DISPATCHED', 'PARTIALLY_RECEIVED'] }, receivedAt: null },
+          data: {
+            status: nextStatus,
+            ...(pendingAfter === 0 ? { receivedAt: now, receivedByUserId: req.user.id } : {}),
+          },
+        });
+        if (!count) {
+          const err = new Error('Shipment status changed; reload and try again');
+          err.status = 409;
+          throw err;
+        }
+      });
+
+      return res.json({
+        message: nextStatus === 'RECEIVED' ? 'Shipment received' : 'Shipment partially received',
+        shipmentId: shipment.id,
+        manifestNo: shipment.manifestNo,
+        status: nextStatus,
+        received: receivedItems.map((i) => i.box.boxUid),
+        damaged: damagedItems.map((i) => i.box.boxUid),
+        missing: missingItems.map((i) => i.box.boxUid),
+        extra: extraUids,
+        quarantined: quarantine,
+        pendingCount: pendingAfter,
+        discrepanciesRaised: damagedItems.length + missingItems.length + extraUids.length,
+      });
+    } catch (err) {
+      if (err.status === 409) return res.status(409).json({ message: err.message });
+      console.error(err);
+      return res.status(500).json({ message: 'Server error', error: String(err.message || err) });
+    }
+  }
+);
+
+// ---------------------------------------------------------------------------
+// Proof of delivery (captured by the receiving site)
+//  PUT /api/shipments/:shipmentId/courier              Body: { courierName, vehiclePlate }
+//  PUT /api/shipments/:shipmentId/attachments/:kind    Raw image body (image/png or image/jpeg, max 5mb)
+//  GET /api/shipments/:shipmentId/attachments/:kind
+// kind: signature | signed-waybill. Uploading again replaces the previous file.
+// Roles: SUPER_ADMIN, receiving facility or warehouse users (GET: anyone who can see the shipment)
+// ---------------------------------------------------------------------------
+const ATTACHMENT_KINDS = {
+  signature: 'SIGNATURE',
+  'signed-waybill': 'SIGNED_WAYBILL',
+};
+
+const imageUpload = express.raw({ type: ['image/png', 'image/jpeg'], limit: '5mb' });
+
+// Trust the bytes, not the Content-Type header.
+function detectImageType(buffer) {
+  if (buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504e47) return { contentType: 'image/png', ext: 'png' };
+  if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return { contentType: 'image/jpeg', ext: 'jpg' };
+  }
+  return null;
+}
+
+async function loadShipmentForReceiver(req, res) {
+  const shipment = await prisma.shipment.findUnique({ where: { id: String(req.params.shipmentId) } });
+
+  if (!shipment) {
+    res.status(404).json({ message: 'Shipment not found' });
+    return null;
+  }
+  if (!['DISPATCHED', 'PARTIALLY_RECEIVED', 'RECEIVED'].includes(shipment.status)) {
+    res.status(400).json({ message: 'Proof of delivery can only be added to dispatched or received shipments' });
+    return null;
+  }
+  if (!hasPermission(req.user, 'stock.manageAll')) {
+    const myDestinationId = isWarehouseUser(req.user)
+      ? myWarehouseIdOf(req.user)
+      : req.user.facilityId
+      ? String(req.user.facilityId)
+      : null;
+    if (!myDestinationId || String(shipment.toFacilityId) !== myDestinationId) {
+      res.status(403).json({ message: 'Only the receiving site can add proof of delivery' });
+      return null;
+    }
+  }
+
+  return shipment;
+}
+
+router.put(
+  '/:shipmentId/courier',
+  requireAuth,
+  requirePermission('boxes.receive', 'boxes.warehouseReceive'),
+  async (req, res) => {
+    try {
+      const courierName = req.body?.courierName ? String(req.body.courierName).trim() : '';
+      const vehiclePlate = req.body?.vehiclePlate ? String(req.body.vehiclePlate).trim().toUpperCase() : '';
+      if (!courierName && !vehiclePlate) {
+        return res.status(400).json({ message: 'Provide courierName and/or vehiclePlate' });
+      }
+      if (courierName.length > 190 || vehiclePlate.length > 190) {
+        return res.status(400).json({ message: 'courierName and vehiclePlate must be at most 190 characters' });
+      }
+
+      const shipment = await loadShipmentForReceiver(req, res);
+      if (!shipment) return;
+
+      const data = {};
+      if (courierName) data.courierName = courierName;
+      if (vehiclePlate) data.vehiclePlate = vehiclePlate;
+
+      const updated = await prisma.$transaction(async (tx) => {
+        const next = await tx.shipment.update({
+          where: { id: shipment.id },
+          data,
+          select: { id: true, manifestNo: true, courierName: true, vehiclePlate: true },
+        });
+
+        await recordAudit(tx, req, {
+          action: 'shipment.courier',
+          entityType: 'Shipment',
+          entityId: shipment.id,
+          before: { courierName: shipment.courierName, vehiclePlate: shipment.vehiclePlate },
+          after: { courierName: next.courierName, vehiclePlate: next.vehiclePlate },
+        });
+
+        return next;
+      });
+
+      return res.json(updated);
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: 'Server error', error: String(err.message || err) });
+    }
+  }
+);
+
+router.put(
+  '/:shipmentId/attachments/:kind',
+  requireAuth,
+  requirePermission('boxes.receive', 'boxes.warehouseReceive'),
+  imageUpload,
+  async (req, res) => {
+    try {
+      const kind = ATTACHMENT_KINDS[String(req.params.kind)];
+      if (!kind) return res.status(400).json({ message: 'kind must be signature or signed-waybill' });
+
+      const body = req.body;
+      if (!Buffer.isBuffer(body) || !body.length) {
+        return res
+          .status(400)
+          .json({ message: 'Upload the image as the request body (Content-Type: image/png or image/jpeg)' });
+      }
+      const image = detectImageType(body);
+      if (!image) return res.status(400).json({ message: 'Only PNG or JPEG images are accepted' });
+      // The header can look right on a truncated or corrupt file; it must open as it will on the waybill
+      if (!openPdfImage(new PDFDocument({ autoFirstPage: false }), body)) {
+        return res.status(400).json({ message: 'The image could not be read (corrupt or unsupported PNG/JPEG)' });
+      }
+
+      const shipment = await loadShipmentForReceiver(req, res);
+      if (!shipment) return;
+
+      const storage = getStorage();
+      const storageKey = `shipments/${shipment.id}/${req.params.kind}-${crypto.randomBytes(8).toString('hex')}.${image.ext}`;
+      await storage.put(storageKey, body, { contentType: image.contentType });
+
+      const existing = await prisma.shipmentAttachment.findUnique({
+        where: { shipmentId_kind: { shipmentId: shipment.id, kind } },
+      });
+
+      let attachment;
+      try {
+        attachment = await prisma.shipmentAttachment.upsert({
+          where: { shipmentId_kind: { shipmentId: shipment.id, kind } },
+          update: {
+            storageKey,
+            contentType: image.contentType,
+            sizeBytes: body.length,
+            uploadedByUserId: req.user.id,
+            createdAt: new Date(),
+          },
+          create: {
+            shipmentId: shipment.id,
+            kind,
+            storageKey,
+            contentType: image.contentType,
+            sizeBytes: body.length,
+            uploadedByUserId: req.user.id,
+          },
+          select: { id: true, kind: true, contentType: true, sizeBytes: true, createdAt: true },
+        });
+      } catch (err) {
+        await storage.remove(storageKey).catch(() => {});
+        throw err;
+      }
+
+      // Replaced file: drop the old bytes (best effort; the row already points at the new key).
+      if (existing && existing.storageKey !== storageKey) {
+        await storage.remove(existing.storageKey).catch((e) => console.error(e));
+      }
+
+      return res.status(existing ? 200 : 201).json({
+        ...attachment,
+        url: `/api/shipments/${shipment.id}/attachments/${req.params.kind}`,
+      });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: 'Server error', error: String(err.message || err) });
+    }
+  }
+);
+
+router.get('/:shipmentId/attachments/:kind', requireAuth, requirePermission('shipments.view'), async (req, res) => {
+  try {
+    const kind = ATTACHMENT_KINDS[String(req.params.kind)];
+    if (!kind) return res.status(400).json({ message: 'kind must be signature or signed-waybill' });
+
+    const shipment = await prisma.shipment.findUnique({
+      where: { id: String(req.params.shipmentId) },
+      include: {
+        fromWarehouse: { select: { warehouseId: true } },
+        attachments: { where: { kind } },
+      },
+    });
+
+    if (!shipment) return res.status(404).json({ message: 'Shipment not found' });
+    if (!canViewShipment(req.user, shipment)) return res.status(403).json({ message: 'Forbidden' });
+
+    const attachment = shipment.attachments[0];
+    const file = attachment ? await getStorage().get(attachment.storageKey) : null;
+    if (!file) return res.status(404).json({ message: 'Attachment not found' });
+
+    res.setHeader('Content-Type', attachment.contentType);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    return res.send(file);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error', error: String(err.message || err) });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
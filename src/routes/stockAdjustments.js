@@ -0,0 +1,385 @@
+const express = require("express");
+const { z } = require("zod");
+
+const prisma = require("../lib/prisma");
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission, hasPermission } = require("../middleware/rbac");
+const { recordAudit } = require("../utils/audit");
+const { onHandStatuses, isOwnStore, isSupervisingWarehouse, visibleStoresWhere } = require("../utils/stock");
+
+const router = express.Router();
+
+// ---------------------------------------------------------------------------
+// Loss, damage and wastage adjustments
+// A store user requests a write-off (part of a box, or the whole box) with a reason code; a
+// supervising warehouse officer (or SUPER_ADMIN) other than the requester signs it off, which posts
+// the ADJUSTMENT BoxEvent. Boxes reported MISSING on a shipment can be written off as lost in transit.
+// ---------------------------------------------------------------------------
+
+// COUNT_VARIANCE is recorded by approved stock counts only
+const REQUESTABLE_REASONS = ["DAMAGED", "STOLEN", "PEST_DAMAGE", "EXPIRED_DESTROYED", "LOST_IN_TRANSIT", "OTHER"];
+const IN_TRANSIT_REASONS = ["LOST_IN_TRANSIT", "STOLEN"];
+
+const requestSchema = z
+  .object({
+    boxUid: z.string().trim().min(1),
+    reason: z.enum(REQUESTABLE_REASONS),
+    sachets: z.number().int().min(1).optional(),
+    voidBox: z.boolean().optional(),
+    note: z.string().trim().max(190).optional().nullable(),
+  })
+  .refine((d) => Boolean(d.sachets) !== Boolean(d.voidBox), {
+    message: "Provide either sachets (partial write-off) or voidBox: true (whole box)",
+    path: ["sachets"],
+  })
+  .refine((d) => d.reason !== "OTHER" || !!d.note, { message: "note is required for reason OTHER", path: ["note"] });
+
+const adjustmentInclude = {
+  box: {
+    select: {
+      boxUid: true,
+      batchNo: true,
+      expiryDate: true,
+      status: true,
+      sachetsRemaining: true,
+      product: { select: { code: true, name: true } },
+    },
+  },
+  facility: { select: { id: true, code: true, name: true, type: true, warehouseId: true } },
+  requestedBy: { select: { id: true, fullName: true } },
+  reviewedBy: { select: { id: true, fullName: true } },
+};
+
+function adjustmentError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function handleError(res, err) {
+  if (err.status) return res.status(err.status).json({ message: err.message });
+  console.error(err);
+  return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+}
+
+function canApprove(user, facility) {
+  return hasPermission(user, "stock.approveAdjustment") && isSupervisingWarehouse(user, facility);
+}
+
+// Latest shipment on which the box was reported MISSING, while the box is still IN_TRANSIT.
+async function findMissingShipment(boxId) {
+  const item = await prisma.shipmentItem.findFirst({
+    where: { boxId, outcome: "MISSING", shipment: { status: { not: "CANCELLED" } } },
+    orderBy: { shipment: { dispatchedAt: "desc" } },
+    include: {
+      shipment: {
+        select: {
+          id: true,
+          manifestNo: true,
+          fromWarehouse: { select: { id: true, code: true, name: true, type: true, warehouseId: true } },
+          toFacility: { select: { id: true, code: true, name: true, type: true, warehouseId: true } },
+        },
+      },
+    },
+  });
+  return item ? item.shipment : null;
+}
+
+/**
+ * GET /api/stock-adjustments
+ * Roles: SUPER_ADMIN (all), WAREHOUSE_OFFICER (own warehouse + its facilities), FACILITY_OFFICER (own store)
+ * Query (optional): status=PENDING|APPROVED|REJECTED, reason, facilityId, boxUid
+ */
+router.get("/", requireAuth, requirePermission("stock.adjust", "stock.approveAdjustment"), async (req, res) => {
+  try {
+    const where = {};
+
+    if (req.query.status) {
+      const status = String(req.query.status).trim().toUpperCase();
+      if (!["PENDING", "APPROVED", "REJECTED"].includes(status)) {
+        return res.status(400).json({ message: "status must be PENDING, APPROVED or REJECTED" });
+      }
+      where.status = status;
+    }
+    if (req.query.reason) {
+      const reason = String(req.query.reason).trim().toUpperCase();
+      if (![...REQUESTABLE_REASONS, "COUNT_VARIANCE"].includes(reason)) {
+        return res.status(400).json({ message: "Invalid reason", allowed: [...REQUESTABLE_REASONS, "COUNT_VARIANCE"] });
+      }
+      where.reason = reason;
+    }
+    if (req.query.facilityId) where.facilityId = String(req.query.facilityId);
+    if (req.query.boxUid) where.box = { boxUid: String(req.query.boxUid).trim() };
+
+    const visible = visibleStoresWhere(req.user, "stock.approveAdjustment");
+    if (!visible) return res.json([]);
+    Object.assign(where, visible);
+
+    const adjustments = await prisma.stockAdjustment.findMany({
+      where,
+      orderBy: { requestedAt: "desc" },
+      take: 200,
+      include: adjustmentInclude,
+    });
+
+    return res.json(adjustments);
+  } catch (err) {
+    return handleError(res, err);
+  }
+});
+
+/**
+ * POST /api/stock-adjustments
+ * Roles: SUPER_ADMIN, WAREHOUSE_OFFICER, FACILITY_OFFICER (own store)
+ * Body: { boxUid, reason, sachets? | voidBox: true, note? }
+ *  - reason: DAMAGED | STOLEN | PEST_DAMAGE | EXPIRED_DESTROYED | LOST_IN_TRANSIT | OTHER (note required)
+ *  - boxes on the shelf (incl. QUARANTINED and EXPIRED): partial or whole-box write-off
+ *  - boxes reported MISSING on a received shipment (still IN_TRANSIT): whole box, LOST_IN_TRANSIT or STOLEN,
+ *    requested from either end of the shipment; the loss is booked to the sender
+ * Nothing changes until the adjustment is approved.
+ */
+router.post("/", requireAuth, requirePermission("stock.adjust"), async (req, res) => {
+  try {
+    const parsed = requestSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Invalid input", errors: parsed.error.flatten() });
+    }
+    const { boxUid, reason, sachets, voidBox, note } = parsed.data;
+
+    const box = await prisma.box.findUnique({
+      where: { boxUid },
+      include: { currentFacility: { select: { id: true, code: true, name: true, type: true, warehouseId: true } } },
+    });
+    if (!box) return res.status(404).json({ message: "Box not found" });
+
+    let facility = null;
+    let shipment = null;
+
+    if (box.status === "IN_TRANSIT") {
+      shipment = await findMissingShipment(box.id);
+      if (!shipment) {
+        return res.status(409).json({
+          message: "Box is in transit; only boxes reported MISSING on receipt can be written off",
+        });
+      }
+      if (!IN_TRANSIT_REASONS.includes(reason) || !voidBox) {
+        return res.status(400).json({
+          message: "Boxes lost in transit are written off whole (voidBox: true) as LOST_IN_TRANSIT or STOLEN",
+        });
+      }
+
+      const ends = [shipment.fromWarehouse, shipment.toFacility];
+      if (!ends.some((f) => isOwnStore(req.user, f) || canApprove(req.user, f))) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+      facility = shipment.fromWarehouse;
+    } else {
+      facility = box.currentFacility;
+      if (!facility || !onHandStatuses(facility).includes(box.status)) {
+        return res.status(409).json({ message: `Box is ${box.status}; only stock on the shelf can be adjusted` });
+      }
+      if (reason === "LOST_IN_TRANSIT") {
+        return res.status(400).json({ message: "LOST_IN_TRANSIT is only for boxes reported missing on a shipment" });
+      }
+      if (!isOwnStore(req.user, facility) && !canApprove(req.user, facility)) {
+        return res.status(403).json({ message: "Forbidden: you can only adjust stock of your own store" });
+      }
+      if (sachets && sachets > box.sachetsRemaining) {
+        return res.status(400).json({
+          message: "Cannot write off more sachets than the box holds",
+          sachetsRemaining: box.sachetsRemaining,
+        });
+      }
+    }
+
+    const pending = await prisma.stockAdjustment.findFirst({
+      where: { boxId: box.id, status: "PENDING" },
+      select: { id: true },
+    });
+    if (pending) {
+      return res.status(409).json({
+        message: "This box already has an adjustment waiting for approval",
+        stockAdjustmentId: pending.id,
+      });
+    }
+
+    const adjustment = await prisma.$transaction(async (tx) => {
+      const created = await tx.stockAdjustment.create({
+        data: {
+          boxId: box.id,
+          facilityId: facility.id,
+          reason,
+          voidBox: !!voidBox,
+          quantitySachets: voidBox ? box.sachetsRemaining : sachets,
+          note: note || null,
+          requestedByUserId: req.user.id,
+        },
+        include: adjustmentInclude,
+      });
+
+      await recordAudit(tx, req, {
+        action: "stockAdjustment.request",
+        entityType: "StockAdjustment",
+        entityId: created.id,
+        after: { boxUid, reason, voidBox: created.voidBox, quantitySachets: created.quantitySachets },
+        metadata: shipment ? { shipmentId: shipment.id, manifestNo: shipment.manifestNo } : undefined,
+      });
+
+      return created;
+    });
+
+    return res.status(201).json(adjustment);
+  } catch (err) {
+    return handleError(res, err);
+  }
+});
+
+async function loadPendingAdjustment(req) {
+  const adjustment = await prisma.stockAdjustment.findUnique({
+    where: { id: String(req.params.adjustmentId) },
+    include: adjustmentInclude,
+  });
+  if (!adjustment) throw adjustmentError(404, "Stock adjustment not found");
+  if (!canApprove(req.user, adjustment.facility)) throw adjustmentError(403, "Forbidden");
+  if (adjustment.status !== "PENDING") {
+    throw adjustmentError(409, `Stock adjustment was already ${adjustment.status.toLowerCase()}`);
+  }
+  if (adjustment.requestedByUserId === req.user.id) {
+    throw adjustmentError(403, "Adjustments must be signed off by someone other than the requester");
+  }
+  return adjustment;
+}
+
+/**
+ * POST /api/stock-adjustments/:adjustmentId/approve
+ * Roles: SUPER_ADMIN, WAREHOUSE_OFFICER (own warehouse and its facilities); not the requester
+ * Body: { note? }
+ * Decrements sachetsRemaining (partial) or VOIDs the box (whole box, or nothing left), and posts
+ * an ADJUSTMENT BoxEvent. Refused (409) if the box left the store or was emptied meanwhile.
+ */
+router.post(
+  "/:adjustmentId/approve",
+  requireAuth,
+  requirePermission("stock.approveAdjustment"),
+  async (req, res) => {
+    try {
+      const adjustment = await loadPendingAdjustment(req);
+      const reviewNote = req.body?.note ? String(req.body.note).trim().slice(0, 190) : null;
+
+      const result = await prisma.$transaction(async (tx) => {
+        const box = await tx.box.findUnique({ where: { id: adjustment.boxId } });
+
+        const inTransitLoss = IN_TRANSIT_REASONS.includes(adjustment.reason) && box.status === "IN_TRANSIT";
+        const stillHere =
+          box.currentFacilityId === adjustment.facilityId && onHandStatuses(adjustment.facility).includes(box.status);
+        if (!inTransitLoss && !stillHere) {
+          throw adjustmentError(409, `Box is now ${box.status}; reject this adjustment and raise a new one`);
+        }
+        if (!adjustment.voidBox && box.sachetsRemaining < adjustment.quantitySachets) {
+          throw adjustmentError(409, `Box only has ${box.sachetsRemaining} sachets left; reject and raise a new one`);
+        }
+
+        const quantity = adjustment.voidBox ? box.sachetsRemaining : adjustment.quantitySachets;
+        const remaining = box.sachetsRemaining - quantity;
+        const voided = adjustment.voidBox || remaining === 0;
+
+        const { count } = await tx.box.updateMany({
+          where: { id: box.id, status: box.status, sachetsRemaining: box.sachetsRemaining },
+          data: voided
+            ? { status: "VOID", currentFacilityId: null, ...(adjustment.voidBox ? {} : { sachetsRemaining: 0 }) }
+            : { sachetsRemaining: remaining },
+        });
+        const { count: reviewed } = await tx.stockAdjustment.updateMany({
+          where: { id: adjustment.id, status: "PENDING" },
+          data: {
+            status: "APPROVED",
+            quantitySachets: quantity,
+            reviewedByUserId: req.user.id,
+            reviewedAt: new Date(),
+            reviewNote,
+          },
+        });
+        if (!count || !reviewed) throw adjustmentError(409, "Box or adjustment changed meanwhile; try again");
+
+        await tx.boxEvent.create({
+          data: {
+            boxId: box.id,
+            type: "ADJUSTMENT",
+            performedByUserId: req.user.id,
+            fromFacilityId: adjustment.facilityId,
+            note:
+              `Write-off (${adjustment.reason}): ${quantity} sachets` +
+              (voided ? ", box voided" : `, ${remaining} left`) +
+              (adjustment.note ? ` • ${adjustment.note}` : ""),
+          },
+        });
+
+        await recordAudit(tx, req, {
+          action: "stockAdjustment.approve",
+          entityType: "StockAdjustment",
+          entityId: adjustment.id,
+          before: { status: "PENDING", sachetsRemaining: box.sachetsRemaining, boxStatus: box.status },
+          after: { status: "APPROVED", sachetsRemaining: remaining, boxStatus: voided ? "VOID" : box.status },
+          metadata: { boxUid: adjustment.box.boxUid, reason: adjustment.reason, reviewNote },
+        });
+
+        return { quantity, remaining, voided };
+      });
+
+      return res.json({
+        message: "Adjustment approved",
+        stockAdjustmentId: adjustment.id,
+        boxUid: adjustment.box.boxUid,
+        reason: adjustment.reason,
+        quantitySachets: result.quantity,
+        sachetsRemaining: result.remaining,
+        boxVoided: result.voided,
+      });
+    } catch (err) {
+      return handleError(res, err);
+    }
+  }
+);
+
+/**
+ * POST /api/stock-adjustments/:adjustmentId/reject
+ * Roles: SUPER_ADMIN, WAREHOUSE_OFFICER (own warehouse and its facilities); not the requester
+ * Body: { reason }
+ */
+router.post(
+  "/:adjustmentId/reject",
+  requireAuth,
+  requirePermission("stock.approveAdjustment"),
+  async (req, res) => {
+    try {
+      const reason = req.body?.reason ? String(req.body.reason).trim() : "";
+      if (!reason) return res.status(400).json({ message: "reason is required" });
+      if (reason.length > 190) return res.status(400).json({ message: "reason must be at most 190 characters" });
+
+      const adjustment = await loadPendingAdjustment(req);
+
+      await prisma.$transaction(async (tx) => {
+        const { count } = await tx.stockAdjustment.updateMany({
+          where: { id: adjustment.id, status: "PENDING" },
+          data: { status: "REJECTED", reviewedByUserId: req.user.id, reviewedAt: new Date(), reviewNote: reason },
+        });
+        if (!count) throw adjustmentError(409, "Stock adjustment was already reviewed");
+
+        await recordAudit(tx, req, {
+          action: "stockAdjustment.reject",
+          entityType: "StockAdjustment",
+          entityId: adjustment.id,
+          before: { status: "PENDING" },
+          after: { status: "REJECTED" },
+          metadata: { boxUid: adjustment.box.boxUid, reason },
+        });
+      });
+
+      return res.json({ message: "Adjustment rejected", stockAdjustmentId: adjustment.id, status: "REJECTED" });
+    } catch (err) {
+      return handleError(res, err);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,720 @@
+const express = require("express");
+const { z } = require("zod");
+
+const prisma = require("../lib/prisma");
+const { requireAuth } = require("../middleware/auth");
+const { requirePermission, hasPermission } = require("../middleware/rbac");
+const { recordAudit } = require("../utils/audit");
+const { onHandStatuses, isOwnStore, isSupervisingWarehouse, visibleStoresWhere } = require("../utils/stock");
+const { holdRecalledBoxes } = require("../utils/recalls");
+
+const router = express.Router();
+
+// ---------------------------------------------------------------------------
+// Physical stock counts
+// Stock on hand is computed from box events; a count reconciles it with the shelf:
+//   open -> scan boxes (+ loose sachet counts) -> close (variance report) -> approve (ADJUSTMENT events)
+// The system view is frozen when the count closes; approval refuses to post if a box moved since.
+// ---------------------------------------------------------------------------
+
+const MAX_SCANS_PER_REQUEST = 500;
+
+const openCountSchema = z.object({
+  facilityId: z.string().trim().min(1).optional(),
+  note: z.string().trim().max(190).optional().nullable(),
+});
+
+const scanSchema = z.object({
+  entries: z
+    .array(
+      z.object({
+        boxUid: z.string().trim().min(1),
+        // Loose count for opened boxes; leave out for sealed boxes
+        sachets: z.number().int().min(0).optional().nullable(),
+      })
+    )
+    .min(1)
+    .max(MAX_SCANS_PER_REQUEST),
+});
+
+const lineInclude = {
+  box: {
+    select: {
+      batchNo: true,
+      expiryDate: true,
+      sachetsPerBox: true,
+      product: { select: { code: true, name: true } },
+    },
+  },
+};
+
+function countError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Counting happens on site: users count their own store (SUPER_ADMIN any store).
+function canCount(user, facility) {
+  return isOwnStore(user, facility);
+}
+
+// Warehouse officers approve counts of their warehouse and of the facilities linked to it.
+function canApprove(user, facility) {
+  return hasPermission(user, "stock.approveCount") && isSupervisingWarehouse(user, facility);
+}
+
+function canView(user, facility) {
+  return canCount(user, facility) || canApprove(user, facility);
+}
+
+async function loadCount(req, include = {}) {
+  const count = await prisma.stockCount.findUnique({
+    where: { id: String(req.params.countId) },
+    include: {
+      facility: { select: { id: true, code: true, name: true, type: true, warehouseId: true } },
+      ...include,
+    },
+  });
+  if (!count) throw countError(404, "Stock count not found");
+  if (!canView(req.user, count.facility)) throw countError(403, "Forbidden");
+  return count;
+}
+
+function toLine(l) {
+  return {
+    boxUid: l.boxUid,
+    known: !!l.boxId,
+    batchNo: l.box?.batchNo || null,
+    expiryDate: l.box?.expiryDate || null,
+    product: l.box?.product || null,
+    scanned: !!l.scannedAt,
+    scannedAt: l.scannedAt,
+    countedSachets: l.countedSachets,
+    systemStatus: l.systemStatus,
+    systemFacilityId: l.systemFacilityId,
+    systemSachets: l.systemSachets,
+    variance: l.variance,
+  };
+}
+
+/**
+ * Variance report of a closed count:
+ *  - missing: on the system at the store, not scanned
+ *  - unexpected: scanned, but the system has them elsewhere (or does not know the label)
+ *  - sachetDifferences: loose counts that differ from sachetsRemaining (+ = more on the shelf)
+ */
+function varianceReport(lines) {
+  const missing = lines.filter((l) => l.variance === "MISSING");
+  const unexpected = lines.filter((l) => l.variance === "UNEXPECTED");
+  const sachets = lines.filter((l) => l.variance === "SACHETS");
+  const sum = (rows, fn) => rows.reduce((acc, l) => acc + (fn(l) || 0), 0);
+
+  return {
+    scannedBoxes: lines.filter((l) => l.scannedAt).length,
+    expectedBoxes: lines.length - unexpected.length,
+    matchedBoxes: lines.filter((l) => l.scannedAt && !l.variance).length,
+    missing: {
+      boxes: missing.length,
+      sachets: sum(missing, (l) => l.systemSachets),
+      items: missing.map(toLine),
+    },
+    unexpected: {
+      boxes: unexpected.length,
+      unknownLabels: unexpected.filter((l) => !l.boxId).length,
+      items: unexpected.map(toLine),
+    },
+    sachetDifferences: {
+      boxes: sachets.length,
+      netSachets: sum(sachets, (l) => l.countedSachets - l.systemSachets),
+      items: sachets.map((l) => ({ ...toLine(l), difference: l.countedSachets - l.systemSachets })),
+    },
+  };
+}
+
+function handleError(res, err) {
+  if (err.status) return res.status(err.status).json({ message: err.message, ...(err.details || {}) });
+  console.error(err);
+  return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+}
+
+/**
+ * GET /api/stock-counts
+ * Roles: SUPER_ADMIN (all), WAREHOUSE_OFFICER (own warehouse + its facilities), FACILITY_OFFICER (own store)
+ * Query (optional): status=OPEN|CLOSED|APPROVED|CANCELLED, facilityId
+ */
+router.get("/", requireAuth, requirePermission("stock.count", "stock.approveCount"), async (req, res) => {
+  try {
+    const where = {};
+
+    if (req.query.status) {
+      const status = String(req.query.status).trim().toUpperCase();
+      if (!["OPEN", "CLOSED", "APPROVED", "CANCELLED"].includes(status)) {
+        return res.status(400).json({ message: "status must be OPEN, CLOSED, APPROVED or CANCELLED" });
+      }
+      where.status = status;
+    }
+    if (req.query.facilityId) where.facilityId = String(req.query.facilityId);
+
+    const visible = visibleStoresWhere(req.user, "stock.approveCount");
+    if (!visible) return res.json([]);
+    Object.assign(where, visible);
+
+    const counts = await prisma.stockCount.findMany({
+      where,
+      orderBy: { openedAt: "desc" },
+      take: 100,
+      include: {
+        facility: { select: { id: true, code: true, name: true, type: true } },
+        openedBy: { select: { id: true, fullName: true } },
+        closedBy: { select: { id: true, fullName: true } },
+        approvedBy: { select: { id: true, fullName: true } },
+        _count: { select: { lines: true } },
+      },
+    });
+
+    return res.json(counts.map(({ _count, ...c }) => ({ ...c, lineCount: _count.lines })));
+  } catch (err) {
+    return handleError(res, err);
+  }
+});
+
+/**
+ * POST /api/stock-counts
+ * Roles: SUPER_ADMIN, WAREHOUSE_OFFICER, FACILITY_OFFICER
+ * Body: { facilityId?, note? }  (defaults to the user's own store)
+ * One count per store at a time: an OPEN or CLOSED (unapproved) count blocks a new one.
+ */
+router.post("/", requireAuth, requirePermission("stock.count"), async (req, res) => {
+  try {
+    const parsed = openCountSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Invalid input", errors: parsed.error.flatten() });
+    }
+
+    const facilityId = parsed.data.facilityId || (req.user.facilityId ? String(req.user.facilityId) : null);
+    if (!facilityId) return res.status(400).json({ message: "facilityId is required (or assign user a facility)" });
+
+    const facility = await prisma.facility.findUnique({ where: { id: facilityId } });
+    if (!facility) return res.status(404).json({ message: "Facility not found" });
+    if (!facility.isActive) return res.status(400).json({ message: "Facility is deactivated" });
+    if (!canCount(req.user, facility)) {
+      return res.status(403).json({ message: "Forbidden: you can only count your own store" });
+    }
+
+    const pending = await prisma.stockCount.findFirst({
+      where: { facilityId, status: { in: ["OPEN", "CLOSED"] } },
+      select: { id: true, status: true },
+    });
+    if (pending) {
+      return res.status(409).json({
+        message: "This store already has a stock count in progress; finish or cancel it first",
+        stockCountId: pending.id,
+        status: pending.status,
+      });
+    }
+
+    const count = await prisma.$transaction(async (tx) => {
+      const created = await tx.stockCount.create({
+        data: { facilityId, note: parsed.data.note || null, openedByUserId: req.user.id },
+      });
+
+      await recordAudit(tx, req, {
+        action: "stockCount.open",
+        entityType: "StockCount",
+        entityId: created.id,
+        after: { facilityId, status: created.status },
+      });
+
+      return created;
+    });
+
+    const expectedBoxes = await prisma.box.count({
+      where: { currentFacilityId: facilityId, status: { in: onHandStatuses(facility) } },
+    });
+
+    return res.status(201).json({
+      ...count,
+      facility: { id: facility.id, code: facility.code, name: facility.name, type: facility.type },
+      expectedBoxes,
+    });
+  } catch (err) {
+    return handleError(res, err);
+  }
+});
+
+/**
+ * GET /api/stock-counts/:countId
+ * Count + lines. Open counts carry scan progress; closed/approved ones the variance report.
+ */
+router.get("/:countId", requireAuth, requirePermission("stock.count", "stock.approveCount"), async (req, res) => {
+  try {
+    const userSelect = { select: { id: true, fullName: true } };
+    const count = await loadCount(req, {
+      openedBy: userSelect,
+      closedBy: userSelect,
+      approvedBy: userSelect,
+      cancelledBy: userSelect,
+    });
+
+    const lines = await prisma.stockCountLine.findMany({
+      where: { stockCountId: count.id },
+      orderBy: [{ scannedAt: "asc" }, { boxUid: "asc" }],
+      include: lineInclude,
+    });
+
+    const body = { ...count, lines: lines.map(toLine) };
+
+    if (count.status === "OPEN") {
+      body.progress = {
+        scannedBoxes: lines.length,
+        expectedBoxes: await prisma.box.count({
+          where: { currentFacilityId: count.facilityId, status: { in: onHandStatuses(count.facility) } },
+        }),
+      };
+    } else if (count.status !== "CANCELLED") {
+      body.report = varianceReport(lines);
+    }
+
+    return res.json(body);
+  } catch (err) {
+    return handleError(res, err);
+  }
+});
+
+/**
+ * POST /api/stock-counts/:countId/scan
+ * Roles: SUPER_ADMIN, WAREHOUSE_OFFICER, FACILITY_OFFICER (own store)
+ * Body: { entries: [{ boxUid, sachets? }] }  (max 500 per request)
+ * Scanning a box again replaces its sachet count. Returns what the system knows about each box so the
+ * scanner can flag surprises immediately.
+ */
+router.post("/:countId/scan", requireAuth, requirePermission("stock.count"), async (req, res) => {
+  try {
+    const parsed = scanSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Invalid input", errors: parsed.error.flatten() });
+    }
+
+    const count = await loadCount(req);
+    if (!canCount(req.user, count.facility)) return res.status(403).json({ message: "Forbidden" });
+    if (count.status !== "OPEN") {
+      return res.status(409).json({ message: `Stock count is ${count.status}; scanning is closed` });
+    }
+
+    // Last entry wins when a batch scans the same box twice
+    const entries = [...new Map(parsed.data.entries.map((e) => [e.boxUid, e])).values()];
+
+    const boxes = await prisma.box.findMany({
+      where: { boxUid: { in: entries.map((e) => e.boxUid) } },
+      select: {
+        id: true,
+        boxUid: true,
+        status: true,
+        currentFacilityId: true,
+        sachetsPerBox: true,
+        sachetsRemaining: true,
+      },
+    });
+    const byUid = new Map(boxes.map((b) => [b.boxUid, b]));
+
+    const overfull = entries.filter((e) => {
+      const box = byUid.get(e.boxUid);
+      return box && e.sachets != null && e.sachets > box.sachetsPerBox;
+    });
+    if (overfull.length) {
+      return res.status(400).json({
+        message: "Sachet count is more than the box holds",
+        boxes: overfull.map((e) => ({
+          boxUid: e.boxUid,
+          sachets: e.sachets,
+          sachetsPerBox: byUid.get(e.boxUid).sachetsPerBox,
+        })),
+      });
+    }
+
+    const now = new Date();
+    const onHand = onHandStatuses(count.facility);
+
+    await prisma.$transaction(async (tx) => {
+      // The count may have been closed or cancelled while the scans were in flight
+      const current = await tx.stockCount.findUnique({ where: { id: count.id }, select: { status: true } });
+      if (current?.status !== "OPEN") throw countError(409, "Stock count is no longer open");
+
+      for (const e of entries) {
+        const data = {
+          boxId: byUid.get(e.boxUid)?.id || null,
+          countedSachets: e.sachets ?? null,
+          scannedByUserId: req.user.id,
+          scannedAt: now,
+        };
+        await tx.stockCountLine.upsert({
+          where: { stockCountId_boxUid: { stockCountId: count.id, boxUid: e.boxUid } },
+          update: data,
+          create: { stockCountId: count.id, boxUid: e.boxUid, ...data },
+        });
+      }
+    });
+
+    const scannedBoxes = await prisma.stockCountLine.count({ where: { stockCountId: count.id } });
+
+    return res.json({
+      stockCountId: count.id,
+      scannedBoxes,
+      results: entries.map((e) => {
+        const box = byUid.get(e.boxUid);
+        return {
+          boxUid: e.boxUid,
+          known: !!box,
+          expectedHere: !!box && box.currentFacilityId === count.facilityId && onHand.includes(box.status),
+          systemStatus: box?.status || null,
+          systemSachets: box?.sachetsRemaining ?? null,
+          countedSachets: e.sachets ?? null,
+        };
+      }),
+    });
+  } catch (err) {
+    return handleError(res, err);
+  }
+});
+
+/**
+ * DELETE /api/stock-counts/:countId/lines/:boxUid
+ * Roles: SUPER_ADMIN, WAREHOUSE_OFFICER, FACILITY_OFFICER (own store)
+ * Removes a mistaken scan while the count is open.
+ */
+router.delete("/:countId/lines/:boxUid", requireAuth, requirePermission("stock.count"), async (req, res) => {
+  try {
+    const count = await loadCount(req);
+    if (!canCount(req.user, count.facility)) return res.status(403).json({ message: "Forbidden" });
+    if (count.status !== "OPEN") {
+      return res.status(409).json({ message: `Stock count is ${count.status}; scans can no longer be changed` });
+    }
+
+    const { count: removed } = await prisma.stockCountLine.deleteMany({
+      where: { stockCountId: count.id, boxUid: String(req.params.boxUid).trim() },
+    });
+    if (!removed) return res.status(404).json({ message: "Box was not scanned in this count" });
+
+    return res.json({ message: "Scan removed", boxUid: String(req.params.boxUid).trim() });
+  } catch (err) {
+    return handleError(res, err);
+  }
+});
+
+/**
+ * POST /api/stock-counts/:countId/close
+ * Roles: SUPER_ADMIN, WAREHOUSE_OFFICER, FACILITY_OFFICER (own store)
+ * Freezes the system view of every scanned box and of every box the system has on the shelf,
+ * and returns the variance report. Nothing is adjusted until the count is approved.
+ */
+router.post("/:countId/close", requireAuth, requirePermission("stock.count"), async (req, res) => {
+  try {
+    const count = await loadCount(req);
+    if (!canCount(req.user, count.facility)) return res.status(403).json({ message: "Forbidden" });
+
+    const onHand = onHandStatuses(count.facility);
+
+    await prisma.$transaction(async (tx) => {
+      const { count: changed } = await tx.stockCount.updateMany({
+        where: { id: count.id, status: "OPEN" },
+        data: { status: "CLOSED", closedByUserId: req.user.id, closedAt: new Date() },
+      });
+      if (!changed) throw countError(409, "Stock count is not open");
+
+      const scanned = await tx.stockCountLine.findMany({
+        where: { stockCountId: count.id },
+        include: {
+          box: { select: { id: true, status: true, currentFacilityId: true, sachetsRemaining: true } },
+        },
+      });
+      if (!scanned.length) throw countError(400, "Nothing was scanned; cancel the count instead");
+
+      for (const line of scanned) {
+        const box = line.box;
+        const isHere = !!box && box.currentFacilityId === count.facilityId && onHand.includes(box.status);
+
+        let variance = null;
+        if (!isHere) variance = "UNEXPECTED";
+        else if (line.countedSachets !== null && line.countedSachets !== box.sachetsRemaining) variance = "SACHETS";
+
+        await tx.stockCountLine.update({
+          where: { id: line.id },
+          data: {
+            systemStatus: box?.status || null,
+            systemFacilityId: box?.currentFacilityId || null,
+            systemSachets: box ? box.sachetsRemaining : null,
+            variance,
+          },
+        });
+      }
+
+      const scannedIds = new Set(scanned.map((l) => l.boxId).filter(Boolean));
+      const onShelf = await tx.box.findMany({
+        where: { currentFacilityId: count.facilityId, status: { in: onHand } },
+        select: { id: true, boxUid: true, status: true, sachetsRemaining: true },
+      });
+      const missing = onShelf.filter((b) => !scannedIds.has(b.id));
+
+      if (missing.length) {
+        await tx.stockCountLine.createMany({
+          data: missing.map((b) => ({
+            stockCountId: count.id,
+            boxUid: b.boxUid,
+            boxId: b.id,
+            systemStatus: b.status,
+            systemFacilityId: count.facilityId,
+            systemSachets: b.sachetsRemaining,
+            variance: "MISSING",
+          })),
+        });
+      }
+
+      await recordAudit(tx, req, {
+        action: "stockCount.close",
+        entityType: "StockCount",
+        entityId: count.id,
+        before: { status: "OPEN" },
+        after: { status: "CLOSED" },
+        metadata: { facilityId: count.facilityId, scanned: scanned.length, missing: missing.length },
+      });
+    });
+
+    const lines = await prisma.stockCountLine.findMany({
+      where: { stockCountId: count.id },
+      orderBy: [{ scannedAt: "asc" }, { boxUid: "asc" }],
+      include: lineInclude,
+    });
+
+    return res.json({
+      message: "Stock count closed",
+      stockCountId: count.id,
+      status: "CLOSED",
+      facility: count.facility,
+      report: varianceReport(lines),
+    });
+  } catch (err) {
+    return handleError(res, err);
+  }
+});
+
+/**
+ * POST /api/stock-counts/:countId/approve
+ * Roles: SUPER_ADMIN, WAREHOUSE_OFFICER (own warehouse and its facilities); not whoever opened or
+ * closed the count (its write-offs need the same two-person sign-off as stock adjustments)
+ * Body: { note? }
+ * Posts one ADJUSTMENT BoxEvent per variance:
+ *  - missing boxes are written off (VOID, off the shelf)
+ *  - unexpected known boxes are booked into the store (boxes still IN_TRANSIT are skipped: receive
+ *    them against their shipment); unknown labels are only reported
+ *  - sachet differences set sachetsRemaining to the counted value (0 => DISPENSED)
+ * Shortfalls (missing boxes, fewer sachets) are also recorded as COUNT_VARIANCE stock adjustments.
+ * Refused (409) if any box changed since the count was closed; cancel and recount in that case.
+ */
+router.post("/:countId/approve", requireAuth, requirePermission("stock.approveCount"), async (req, res) => {
+  try {
+    const count = await loadCount(req);
+    if (!canApprove(req.user, count.facility)) return res.status(403).json({ message: "Forbidden" });
+    if (count.status !== "CLOSED") {
+      return res.status(409).json({ message: `Only CLOSED counts can be approved (this one is ${count.status})` });
+    }
+    if ([count.openedByUserId, count.closedByUserId].includes(req.user.id)) {
+      return res
+        .status(403)
+        .json({ message: "Stock counts must be approved by someone other than whoever opened or closed them" });
+    }
+
+    const note = req.body?.note ? String(req.body.note).trim() : null;
+    const inStock = count.facility.type === "WAREHOUSE" ? "IN_WAREHOUSE" : "IN_FACILITY";
+    const label = `Stock count ${count.id} at ${count.facility.code}`;
+
+    const lines = await prisma.stockCountLine.findMany({
+      where: { stockCountId: count.id, variance: { not: null } },
+      orderBy: { boxUid: "asc" },
+    });
+
+    const result = await prisma.$transaction(async (tx) => {
+      const { count: changed } = await tx.stockCount.updateMany({
+        where: { id: count.id, status: "CLOSED" },
+        data: { status: "APPROVED", approvedByUserId: req.user.id, approvedAt: new Date() },
+      });
+      if (!changed) throw countError(409, "Stock count was already approved or cancelled");
+
+      const adjusted = [];
+      const skipped = [];
+      const moved = [];
+
+      for (const line of lines) {
+        if (!line.boxId) {
+          skipped.push({ boxUid: line.boxUid, reason: "Unknown label" });
+          continue;
+        }
+        if (line.variance === "UNEXPECTED" && line.systemStatus === "IN_TRANSIT") {
+          skipped.push({ boxUid: line.boxUid, reason: "In transit: receive it against its shipment" });
+          continue;
+        }
+
+        let data;
+        let event;
+        if (line.variance === "MISSING") {
+          data = { status: "VOID", currentFacilityId: null };
+          event = {
+            fromFacilityId: count.facilityId,
+            note: `${label}: not found on the shelf, written off (${line.systemSachets} sachets)`,
+          };
+        } else if (line.variance === "UNEXPECTED") {
+          const sachets = line.countedSachets ?? line.systemSachets;
+          data = {
+            status:
+              sachets === 0
+                ? "DISPENSED"
+                : ["QUARANTINED", "EXPIRED"].includes(line.systemStatus)
+                ? line.systemStatus
+                : inStock,
+            currentFacilityId: count.facilityId,
+            sachetsRemaining: sachets,
+          };
+          event = {
+            fromFacilityId: line.systemFacilityId,
+            toFacilityId: count.facilityId,
+            note: `${label}: found on the shelf (system had it ${line.systemStatus}${
+              line.systemFacilityId ? "" : ", no location"
+            }), ${sachets} sachets`,
+          };
+        } else {
+          data = {
+            sachetsRemaining: line.countedSachets,
+            ...(line.countedSachets === 0 ? { status: "DISPENSED" } : {}),
+          };
+          event = {
+            toFacilityId: count.facilityId,
+            note: `${label}: sachets ${line.systemSachets} -> ${line.countedSachets}`,
+          };
+        }
+
+        // Only adjust boxes that still look the way they did when the count closed
+        const { count: updated } = await tx.box.updateMany({
+          where: {
+            id: line.boxId,
+            status: line.systemStatus,
+            currentFacilityId: line.systemFacilityId,
+            sachetsRemaining: line.systemSachets,
+          },
+          data,
+        });
+        if (!updated) {
+          moved.push(line.boxUid);
+          continue;
+        }
+        if (line.variance === "UNEXPECTED") await holdRecalledBoxes(tx, [line.boxId]);
+
+        await tx.boxEvent.create({
+          data: {
+            boxId: line.boxId,
+            type: "ADJUSTMENT",
+            performedByUserId: req.user.id,
+            fromFacilityId: event.fromFacilityId || null,
+            toFacilityId: event.toFacilityId || null,
+            note: note ? `${event.note} • ${note}` : event.note,
+          },
+        });
+
+        // Shortfalls are losses: record them with the other write-offs for wastage reporting
+        const shortfall =
+          line.variance === "MISSING"
+            ? line.systemSachets
+            : line.variance === "SACHETS"
+              ? line.systemSachets - line.countedSachets
+              : 0;
+        if (shortfall > 0) {
+          const now = new Date();
+          await tx.stockAdjustment.create({
+            data: {
+              boxId: line.boxId,
+              facilityId: count.facilityId,
+              reason: "COUNT_VARIANCE",
+              status: "APPROVED",
+              voidBox: line.variance === "MISSING",
+              quantitySachets: shortfall,
+              note: note || null,
+              requestedByUserId: count.closedByUserId || count.openedByUserId,
+              requestedAt: count.closedAt || now,
+              reviewedByUserId: req.user.id,
+              reviewedAt: now,
+              stockCountId: count.id,
+            },
+          });
+        }
+
+        adjusted.push({ boxUid: line.boxUid, variance: line.variance });
+      }
+
+      if (moved.length) {
+        const err = countError(409, "Some boxes changed since the count was closed; cancel it and count again");
+        err.details = { moved: moved.slice(0, 50) };
+        throw err;
+      }
+
+      await recordAudit(tx, req, {
+        action: "stockCount.approve",
+        entityType: "StockCount",
+        entityId: count.id,
+        before: { status: "CLOSED" },
+        after: { status: "APPROVED" },
+        metadata: { facilityId: count.facilityId, adjusted: adjusted.length, skipped: skipped.length, note },
+      });
+
+      return { adjusted, skipped };
+    });
+
+    return res.json({
+      message: "Stock count approved",
+      stockCountId: count.id,
+      status: "APPROVED",
+      adjustedCount: result.adjusted.length,
+      adjusted: result.adjusted,
+      skipped: result.skipped,
+    });
+  } catch (err) {
+    return handleError(res, err);
+  }
+});
+
+/**
+ * POST /api/stock-counts/:countId/cancel
+ * Roles: the counting store or its approver
+ * Drops an OPEN or CLOSED count without touching stock.
+ */
+router.post(
+  "/:countId/cancel",
+  requireAuth,
+  requirePermission("stock.count", "stock.approveCount"),
+  async (req, res) => {
+    try {
+      const count = await loadCount(req);
+
+      await prisma.$transaction(async (tx) => {
+        const { count: changed } = await tx.stockCount.updateMany({
+          where: { id: count.id, status: { in: ["OPEN", "CLOSED"] } },
+          data: { status: "CANCELLED", cancelledByUserId: req.user.id, cancelledAt: new Date() },
+        });
+        if (!changed) throw countError(409, "Stock count is already approved or cancelled");
+
+        await recordAudit(tx, req, {
+          action: "stockCount.cancel",
+          entityType: "StockCount",
+          entityId: count.id,
+          before: { status: count.status },
+          after: { status: "CANCELLED" },
+          metadata: { facilityId: count.facilityId },
+        });
+      });
+
+      return res.json({ message: "Stock count cancelled", stockCountId: count.id, status: "CANCELLED" });
+    } catch (err) {
+      return handleError(res, err);
+    }
+  }
+);
+
+module.exports = router;
@@ -3,7 +3,9 @@ const router = express.Router();
 
 const prisma = require("../lib/prisma");
 const { requireAuth } = require("../middleware/auth");
-const { requireRole } = require("../middleware/rbac");
+const { requirePermission } = require("../middleware/rbac");
+const { holdRecalledBoxes } = require("../utils/recalls");
+const { isExpired, checkDispatchShelfLife } = require("../utils/expiry");
 
 // ---------- helpers ----------
 async function getMyFacilityOrThrow(user) {
@@ -46,7 +48,7 @@ async function getBoxesOrThrow(boxUids) {
 router.post(
   "/warehouse-receive",
   requireAuth,
-  requireRole("SUPER_ADMIN", "WAREHOUSE_OFFICER"),
+  requirePermission("boxes.warehouseReceive"),
   async (req, res) => {
     try {
       const { boxUids, note } = req.body || {};
@@ -80,6 +82,7 @@ router.post(
             where: { id: b.id },
             data: { status: "IN_WAREHOUSE", currentFacilityId: myFacility.id },
           });
+          await holdRecalledBoxes(tx, [b.id]);
 
           await tx.boxEvent.create({
             data: {
@@ -116,12 +119,13 @@ router.post(
  *
  * From facility must be WAREHOUSE.
  * Boxes must be IN_WAREHOUSE and currently in your warehouse.
+ * Expired boxes, or boxes with less than dispatch.minShelfLifeDays of shelf life left, are refused (409).
  * Sets status to IN_TRANSIT and clears currentFacilityId (so stock reduces in warehouse).
  */
 router.post(
   "/dispatch",
   requireAuth,
-  requireRole("SUPER_ADMIN", "WAREHOUSE_OFFICER"),
+  requirePermission("boxes.dispatch"),
   async (req, res) => {
     try {
       const { boxUids, toFacilityCode, note } = req.body || {};
@@ -139,6 +143,9 @@ router.post(
         where: { code: String(toFacilityCode).trim() },
       });
       if (!toFacility) return res.status(404).json({ message: "Destination facility not found" });
+      if (!toFacility.isActive) {
+        return res.status(400).json({ message: "Dispatch destination facility is deactivated" });
+      }
       if (toFacility.type !== "FACILITY") {
         return res.status(400).json({ message: "Destination must be a FACILITY (not a warehouse)" });
       }
@@ -156,6 +163,10 @@ router.post(
 
       const boxes = await getBoxesOrThrow(boxUids);
 
+      // Same shelf-life rule as /api/boxes/dispatch
+      const shelfLife = await checkDispatchShelfLife(boxes);
+      if (shelfLife) return res.status(409).json(shelfLife);
+
       await prisma.$transaction(async (tx) => {
         for (const b of boxes) {
           if (b.status !== "IN_WAREHOUSE" || b.currentFacilityId !== fromFacility.id) {
@@ -208,7 +219,7 @@ router.post(
 router.post(
   "/facility-receive",
   requireAuth,
-  requireRole("SUPER_ADMIN", "FACILITY_OFFICER"),
+  requirePermission("boxes.receiveLegacy"),
   async (req, res) => {
     try {
       const { boxUids, note } = req.body || {};
@@ -254,6 +265,7 @@ router.post(
             where: { id: b.id },
             data: { status: "IN_FACILITY", currentFacilityId: myFacility.id },
           });
+          await holdRecalledBoxes(tx, [b.id]);
 
           await tx.boxEvent.create({
             data: {
@@ -287,7 +299,7 @@ router.post(
 router.post(
   "/dispense",
   requireAuth,
-  requireRole("SUPER_ADMIN", "CLINICIAN"),
+  requirePermission("clinical.dispense"),
   async (req, res) => {
     try {
       const { boxUid, note } = req.body || {};
@@ -304,6 +316,9 @@ router.post(
       if (box.status !== "IN_FACILITY" || box.currentFacilityId !== myFacility.id) {
         return res.status(400).json({ message: "Box is not available in your facility to dispense" });
       }
+      if (isExpired(box)) {
+        return res.status(400).json({ message: "Box is expired and cannot be dispensed", expiryDate: box.expiryDate });
+      }
 
       await prisma.$transaction(async (tx) => {
         await tx.box.update({
@@ -4,7 +4,37 @@ const { z } = require("zod");
 
 const prisma = require("../lib/prisma");
 const { requireAuth } = require("../middleware/auth");
-const { requireRole } = require("../middleware/rbac");
+const { requirePermission, permissionsForRole } = require("../middleware/rbac");
+const {
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+  revokeUserTokens,
+} = require("../utils/refreshTokens");
+const { issuePasswordResetCode } = require("../utils/passwordReset");
+const { clearLockoutData } = require("../utils/loginThrottle");
+const QRCode = require("qrcode");
+const { generateSecret, verifyTotp, buildOtpauthUrl, encryptSecret, decryptSecret } = require("../utils/totp");
+const {
+  REQUIRED_ROLES_SETTING,
+  getTwoFactorRequiredRoles,
+  isTwoFactorRequiredFor,
+  generateRecoveryCodes,
+  verifySecondFactor,
+} = require("../utils/twoFactor");
+const { getSetting, setSetting } = require("../utils/settings");
+const { REDISTRIBUTION_APPROVAL_SETTING } = require("../utils/shipments");
+const { MIN_SHELF_LIFE_SETTING } = require("../utils/expiry");
+const { recordAudit, pickFields } = require("../utils/audit");
+const {
+  USER_ROLES,
+  createUserSchema,
+  checkFacilityForRole,
+  resolveFacilityIdForRole,
+  checkAdminUnitForRole,
+  resolveAdminUnitIdForRole,
+} = require("../utils/userRules");
+const { importUpload, readImportRows, isDryRun } = require("../utils/tabularImport");
 
 const router = express.Router();
 
@@ -12,65 +42,287 @@ router.get("/me", requireAuth, async (req, res) => {
   return res.json({ user: req.user });
 });
 
-const createUserSchema = z.object({
-  email: z.string().email(),
-  fullName: z.string().min(2),
-  password: z.string().min(8),
-  role: z.enum(["SUPER_ADMIN", "WAREHOUSE_OFFICER", "FACILITY_OFFICER", "CLINICIAN", "VIEWER"]),
-  facilityCode: z.string().min(1).optional(),
+/**
+ * GET /api/me/permissions
+ * Permissions granted to the current user's role, so the UI can hide actions it would be refused.
+ */
+router.get("/me/permissions", requireAuth, async (req, res) => {
+  return res.json({ role: req.user.role, permissions: permissionsForRole(req.user.role) });
 });
 
-router.post("/admin/users", requireAuth, requireRole("SUPER_ADMIN"), async (req, res) => {
+/**
+ * GET /api/me/sessions
+ * Signed-in devices of the current user. "current" marks the session making this request.
+ */
+router.get("/me/sessions", requireAuth, async (req, res) => {
   try {
-    const parsed = createUserSchema.safeParse(req.body);
+    const sessions = await listActiveSessions(req.user.id);
+    return res.json({
+      sessions: sessions.map((s) => ({ ...s, current: s.id === req.user.sessionId })),
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+/**
+ * DELETE /api/me/sessions/:sessionId
+ * Signs one of my devices out (its refresh token and access token stop working).
+ */
+router.delete("/me/sessions/:sessionId", requireAuth, async (req, res) => {
+  try {
+    const sessionId = String(req.params.sessionId);
+    const revoked = await revokeSession(req.user.id, sessionId, "USER_SIGNED_OUT");
+    if (!revoked) return res.status(404).json({ message: "Session not found or already signed out" });
+
+    return res.json({ message: "Session signed out", sessionId, current: sessionId === req.user.sessionId });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1),
+  newPassword: z.string().min(8),
+});
+
+/**
+ * POST /api/me/password
+ * Body: { currentPassword, newPassword }
+ * Changes my own password. This device stays signed in; every other session is signed out.
+ */
+router.post("/me/password", requireAuth, async (req, res) => {
+  try {
+    const parsed = changePasswordSchema.safeParse(req.body);
     if (!parsed.success) {
       return res.status(400).json({ message: "Invalid input", errors: parsed.error.flatten() });
     }
 
-    const { email, fullName, password, role } = parsed.data;
-    const facilityCode = parsed.data.facilityCode ? String(parsed.data.facilityCode).trim() : null;
+    const { currentPassword, newPassword } = parsed.data;
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) return res.status(404).json({ message: "User not found" });
 
-    if (role !== "SUPER_ADMIN" && role !== "VIEWER" && !facilityCode) {
-      return res.status(400).json({ message: "facilityCode is required for this role" });
+    const ok = await bcrypt.compare(currentPassword, user.passwordHash);
+    if (!ok) return res.status(400).json({ message: "Current password is incorrect" });
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ message: "New password must be different from the current password" });
     }
 
-    let facilityId = null;
+    const passwordHash = await bcrypt.hash(newPassword, 10);
 
-    if (role !== "SUPER_ADMIN" && role !== "VIEWER") {
-      const facility = await prisma.facility.findUnique({ where: { code: facilityCode } });
-      if (!facility) {
-        return res.status(400).json({
-          message: `Facility with code "${facilityCode}" not found. Create it first using POST /api/facilities, or pick an existing one.`,
-        });
-      }
+    const revokedSessions = await prisma.$transaction(async (tx) => {
+      await tx.user.update({ where: { id: user.id }, data: { passwordHash } });
 
-      if (role === "WAREHOUSE_OFFICER" && facility.type !== "WAREHOUSE") {
-        return res.status(400).json({
-          message: `WAREHOUSE_OFFICER must be assigned to a WAREHOUSE facility. "${facilityCode}" is type "${facility.type}".`,
-        });
-      }
+      const result = await tx.refreshToken.updateMany({
+        where: {
+          userId: user.id,
+          revokedAt: null,
+          ...(req.user.sessionId ? { familyId: { not: req.user.sessionId } } : {}),
+        },
+        data: { revokedAt: new Date(), revokedReason: "PASSWORD_CHANGED" },
+      });
+      return result.count;
+    });
 
-      if (role !== "WAREHOUSE_OFFICER" && facility.type !== "FACILITY") {
-        return res.status(400).json({
-          message: `${role} must be assigned to a FACILITY (not a warehouse). "${facilityCode}" is type "${facility.type}".`,
-        });
-      }
+    return res.json({ message: "Password changed", otherSessionsSignedOut: revokedSessions });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
 
-      if (role !== "WAREHOUSE_OFFICER" && role !== "SUPER_ADMIN") {
-        if (!facility.warehouseId) {
-          return res.status(400).json({
-            message: `Facility "${facility.code}" is not linked to a warehouse yet (warehouseId is null). Link it first.`,
-          });
-        }
-      }
+// ---------------------------------------------------------------------------
+// Two-factor authentication (TOTP) self-service
+// Flow: POST /me/2fa/setup (secret + QR) -> POST /me/2fa/enable { code } (recovery codes)
+// ---------------------------------------------------------------------------
+const totpCodeSchema = z.object({
+  code: z.string().min(6),
+});
+
+const disableTwoFactorSchema = z.object({
+  password: z.string().min(1),
+  code: z.string().min(6).optional(),
+  recoveryCode: z.string().min(1).optional(),
+});
+
+/**
+ * GET /api/me/2fa
+ */
+router.get("/me/2fa", requireAuth, async (req, res) => {
+  try {
+    const [user, recoveryCodesRemaining, required] = await Promise.all([
+      prisma.user.findUnique({ where: { id: req.user.id }, select: { totpEnabled: true, totpEnabledAt: true } }),
+      prisma.totpRecoveryCode.count({ where: { userId: req.user.id, usedAt: null } }),
+      isTwoFactorRequiredFor(req.user.role),
+    ]);
+
+    return res.json({
+      enabled: Boolean(user?.totpEnabled),
+      enabledAt: user?.totpEnabledAt || null,
+      requiredForRole: required,
+      recoveryCodesRemaining: user?.totpEnabled ? recoveryCodesRemaining : 0,
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /api/me/2fa/setup
+ * Generates a new (pending) secret. Scan the QR code in an authenticator app, then confirm
+ * with POST /api/me/2fa/enable. Calling it again replaces the pending secret.
+ */
+router.post("/me/2fa/setup", requireAuth, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.totpEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled. Disable it first." });
+    }
+
+    const secret = generateSecret();
+    const otpauthUrl = buildOtpauthUrl({
+      secret,
+      accountName: user.email,
+      issuer: process.env.TOTP_ISSUER || "LMIS",
+    });
+    const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 256 });
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpSecret: encryptSecret(secret), totpLastUsedStep: null },
+    });
+
+    return res.json({ secret, otpauthUrl, qrCodeDataUrl });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /api/me/2fa/enable
+ * Body: { code }  (current code from the authenticator app)
+ * Returns the recovery codes. They are shown only once.
+ */
+router.post("/me/2fa/enable", requireAuth, async (req, res) => {
+  try {
+    const parsed = totpCodeSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Invalid input", errors: parsed.error.flatten() });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.totpEnabled) return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    if (!user.totpSecret) return res.status(400).json({ message: "Run POST /api/me/2fa/setup first" });
 
-      facilityId = facility.id;
+    const step = verifyTotp(decryptSecret(user.totpSecret), parsed.data.code);
+    if (step === null) return res.status(400).json({ message: "Invalid authentication code" });
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: { totpEnabled: true, totpEnabledAt: new Date(), totpLastUsedStep: step },
+      });
+      return generateRecoveryCodes(tx, user.id);
+    });
+
+    return res.json({ message: "Two-factor authentication enabled", recoveryCodes });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /api/me/2fa/recovery-codes
+ * Body: { code }
+ * Replaces all recovery codes (e.g. after using some). Returns the new ones once.
+ */
+router.post("/me/2fa/recovery-codes", requireAuth, async (req, res) => {
+  try {
+    const parsed = totpCodeSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Invalid input", errors: parsed.error.flatten() });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user?.totpEnabled) return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+
+    const method = await verifySecondFactor(user, { code: parsed.data.code });
+    if (!method) return res.status(400).json({ message: "Invalid authentication code" });
+
+    const recoveryCodes = await generateRecoveryCodes(prisma, user.id);
+    return res.json({ message: "Recovery codes regenerated", recoveryCodes });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /api/me/2fa/disable
+ * Body: { password, code } or { password, recoveryCode }
+ * Not allowed when 2FA is mandatory for the user's role.
+ */
+router.post("/me/2fa/disable", requireAuth, async (req, res) => {
+  try {
+    const parsed = disableTwoFactorSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Invalid input", errors: parsed.error.flatten() });
+    }
+
+    if (await isTwoFactorRequiredFor(req.user.role)) {
+      return res.status(400).json({ message: "Two-factor authentication is mandatory for your role" });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user?.totpEnabled) return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+
+    const passwordOk = await bcrypt.compare(parsed.data.password, user.passwordHash);
+    if (!passwordOk) return res.status(400).json({ message: "Password is incorrect" });
+
+    const method = await verifySecondFactor(user, parsed.data);
+    if (!method) return res.status(400).json({ message: "Invalid authentication code" });
+
+    await prisma.$transaction(async (tx) => {
+      await tx.totpRecoveryCode.deleteMany({ where: { userId: user.id } });
+      await tx.user.update({
+        where: { id: user.id },
+        data: { totpEnabled: false, totpEnabledAt: null, totpSecret: null, totpLastUsedStep: null },
+      });
+    });
+
+    return res.json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+router.post("/admin/users", requireAuth, requirePermission("users.manage"), async (req, res) => {
+  try {
+    const parsed = createUserSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Invalid input", errors: parsed.error.flatten() });
     }
 
+    const { email, fullName, password, role } = parsed.data;
+    const facilityCode = parsed.data.facilityCode ? String(parsed.data.facilityCode).trim() : null;
+
+    const facilityId = await resolveFacilityIdForRole(role, facilityCode);
+    const adminUnitId = await resolveAdminUnitIdForRole(role, parsed.data.adminUnitCode?.trim() || null);
+
     const passwordHash = await bcrypt.hash(password, 10);
 
     const user = await prisma.user.create({
-      data: { email, fullName, passwordHash, role, facilityId, isActive: true },
+      data: { email, fullName, passwordHash, role, facilityId, adminUnitId, isActive: true },
     });
 
     return res.status(201).json({
@@ -81,17 +333,181 @@ router.post("/admin/users", requireAuth, requireRole("SUPER_ADMIN"), async (req,
         fullName: user.fullName,
         role: user.role,
         facilityId: user.facilityId,
+        adminUnitId: user.adminUnitId,
         lastLoginAt: user.lastLoginAt,
       },
     });
   } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
     if (err?.code === "P2002") return res.status(409).json({ message: "Email already exists" });
     console.error(err);
     return res.status(500).json({ message: "Server error", error: String(err.message || err) });
   }
 });
 
-router.get("/admin/users", requireAuth, requireRole("SUPER_ADMIN"), async (req, res) => {
+const USER_IMPORT_COLUMNS = ["email", "fullName", "password", "role", "facilityCode", "adminUnitCode"];
+// Every row costs a bcrypt hash (tens of ms of CPU), so user files are capped lower than facility
+// files, and hashes run a few at a time (bcrypt works on the libuv thread pool, 4 threads by default).
+const MAX_USER_IMPORT_ROWS = 500;
+const IMPORT_HASH_CONCURRENCY = 4;
+
+/**
+ * POST /api/admin/users/import?dryRun=true
+ * Roles: SUPER_ADMIN
+ * Body: CSV or XLSX file (raw request body, at most 500 rows) with columns
+ *   email, fullName, password, role, facilityCode, adminUnitCode
+ *
+ * Every row is checked with the same rules as POST /api/admin/users (plus duplicates within the
+ * file). Returns a per-row report. Users are only created when every row is valid, all in one
+ * transaction; with dryRun=true nothing is written.
+ */
+router.post(
+  "/admin/users/import",
+  requireAuth,
+  requirePermission("users.manage"),
+  importUpload,
+  async (req, res) => {
+    try {
+      const rows = await readImportRows(req, {
+        columns: USER_IMPORT_COLUMNS,
+        required: ["email", "fullName", "password", "role"],
+        maxRows: MAX_USER_IMPORT_ROWS,
+      });
+      const dryRun = isDryRun(req);
+
+      // Emails and codes compare case-insensitively (unique indexes use a _ci collation).
+      const codesOf = (column) => [...new Set(rows.map((r) => r.values[column]).filter(Boolean))];
+      const [existing, facilities, units] = await Promise.all([
+        prisma.user.findMany({
+          where: { email: { in: rows.map((r) => r.values.email).filter(Boolean) } },
+          select: { email: true },
+        }),
+        prisma.facility.findMany({ where: { code: { in: codesOf("facilityCode") } } }),
+        prisma.adminUnit.findMany({ where: { code: { in: codesOf("adminUnitCode") } } }),
+      ]);
+      const takenEmails = new Set(existing.map((u) => u.email.toLowerCase()));
+      const facilityByCode = new Map(facilities.map((f) => [f.code.toLowerCase(), f]));
+      const unitByCode = new Map(units.map((u) => [u.code.toLowerCase(), u]));
+
+      const report = [];
+      const toCreate = [];
+
+      for (const { rowNumber, values } of rows) {
+        const errors = [];
+
+        const parsed = createUserSchema.safeParse({
+          email: values.email,
+          fullName: values.fullName,
+          password: values.password,
+          role: values.role.toUpperCase(),
+          facilityCode: values.facilityCode || undefined,
+          adminUnitCode: values.adminUnitCode || undefined,
+        });
+
+        let facilityId = null;
+        let adminUnitId = null;
+
+        if (!parsed.success) {
+          for (const issue of parsed.error.issues) {
+            errors.push(`${issue.path.join(".") || "row"}: ${issue.message}`);
+          }
+        } else {
+          const emailKey = parsed.data.email.toLowerCase();
+          if (takenEmails.has(emailKey)) {
+            errors.push(
+              existing.some((u) => u.email.toLowerCase() === emailKey)
+                ? "email: already exists"
+                : "email: appears more than once in this file"
+            );
+          }
+          takenEmails.add(emailKey);
+
+          const facilityCode = parsed.data.facilityCode?.trim() || null;
+          const adminUnitCode = parsed.data.adminUnitCode?.trim() || null;
+          try {
+            const facility = facilityCode ? facilityByCode.get(facilityCode.toLowerCase()) : null;
+            const unit = adminUnitCode ? unitByCode.get(adminUnitCode.toLowerCase()) : null;
+            facilityId = checkFacilityForRole(parsed.data.role, facilityCode, facility || null);
+            adminUnitId = checkAdminUnitForRole(parsed.data.role, adminUnitCode, unit || null);
+          } catch (err) {
+            if (err.status !== 400) throw err;
+            errors.push(err.message);
+          }
+        }
+
+        report.push({
+          row: rowNumber,
+          email: values.email || null,
+          role: values.role || null,
+          facilityCode: values.facilityCode || null,
+          status: errors.length ? "ERROR" : "OK",
+          errors,
+        });
+
+        if (!errors.length) {
+          toCreate.push({
+            email: parsed.data.email,
+            fullName: parsed.data.fullName,
+            password: parsed.data.password,
+            role: parsed.data.role,
+            facilityId,
+            adminUnitId,
+          });
+        }
+      }
+
+      const invalid = report.filter((r) => r.status === "ERROR").length;
+      const summary = { dryRun, total: rows.length, valid: toCreate.length, invalid };
+
+      if (invalid) {
+        return res.status(dryRun ? 200 : 400).json({
+          message: "Some rows are invalid. Nothing was imported.",
+          committed: false,
+          ...summary,
+          rows: report,
+        });
+      }
+
+      if (dryRun) {
+        return res.json({ message: "All rows are valid (dry run)", committed: false, ...summary, rows: report });
+      }
+
+      const data = new Array(toCreate.length);
+      let next = 0;
+      const hashWorker = async () => {
+        while (next < toCreate.length) {
+          const i = next++;
+          const { password, ...rest } = toCreate[i];
+          data[i] = { ...rest, passwordHash: await bcrypt.hash(password, 10), isActive: true };
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(IMPORT_HASH_CONCURRENCY, toCreate.length) }, hashWorker));
+
+      const created = await prisma.$transaction(async (tx) => {
+        const result = await tx.user.createMany({ data });
+
+        await recordAudit(tx, req, {
+          action: "user.import",
+          entityType: "User",
+          metadata: { created: result.count, emails: data.map((u) => u.email) },
+        });
+
+        return result.count;
+      });
+
+      return res.status(201).json({ message: "Users imported", committed: true, ...summary, created, rows: report });
+    } catch (err) {
+      if (err.status === 400) return res.status(400).json({ message: err.message });
+      if (err?.code === "P2002") {
+        return res.status(409).json({ message: "An email in the file was registered meanwhile. Re-run the import." });
+      }
+      console.error(err);
+      return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+    }
+  }
+);
+
+router.get("/admin/users", requireAuth, requirePermission("users.manage"), async (req, res) => {
   try {
     const take = Math.min(200, Math.max(1, Number.parseInt(req.query.take || "50", 10)));
     const skip = Math.max(0, Number.parseInt(req.query.skip || "0", 10));
@@ -104,6 +520,10 @@ router.get("/admin/users", requireAuth, requireRole("SUPER_ADMIN"), async (req,
     if (req.query.isActive === "true") isActive = true;
     if (req.query.isActive === "false") isActive = false;
 
+    let locked = null;
+    if (req.query.locked === "true") locked = true;
+    if (req.query.locked === "false") locked = false;
+
     let facilityId = null;
     if (facilityCode) {
       const f = await prisma.facility.findUnique({ where: { code: facilityCode }, select: { id: true } });
@@ -116,6 +536,8 @@ router.get("/admin/users", requireAuth, requireRole("SUPER_ADMIN"), async (req,
     if (role) where.role = role;
     if (isActive !== null) where.isActive = isActive;
     if (facilityId) where.facilityId = facilityId;
+    if (locked === true) where.lockedUntil = { gt: new Date() };
+    if (locked === false) where.AND = [{ OR: [{ lockedUntil: null }, { lockedUntil: { lte: new Date() } }] }];
 
     const [total, rows] = await Promise.all([
       prisma.user.count({ where }),
@@ -132,13 +554,27 @@ router.get("/admin/users", requireAuth, requireRole("SUPER_ADMIN"), async (req,
           isActive: true,
           facilityId: true,
           facility: { select: { id: true, code: true, name: true, type: true } },
+          adminUnitId: true,
+          adminUnit: { select: { id: true, code: true, name: true, level: true } },
           createdAt: true,
           lastLoginAt: true,
+          failedLoginCount: true,
+          lastFailedLoginAt: true,
+          lockedUntil: true,
         },
       }),
     ]);
 
-    return res.json({ total, take, skip, rows });
+    const now = Date.now();
+    return res.json({
+      total,
+      take,
+      skip,
+      rows: rows.map((r) => ({
+        ...r,
+        isLocked: Boolean(r.lockedUntil && new Date(r.lockedUntil).getTime() > now),
+      })),
+    });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: "Server error", error: String(err.message || err) });
@@ -148,41 +584,368 @@ router.get("/admin/users", requireAuth, requireRole("SUPER_ADMIN"), async (req,
 const updateUserSchema = z.object({
   isActive: z.boolean().optional(),
   password: z.string().min(8).optional(),
+  email: z.string().email().optional(),
+  fullName: z.string().min(2).optional(),
+  role: z.enum(USER_ROLES).optional(),
+  facilityCode: z.string().min(1).optional(),
+  // null removes the assignment
+  adminUnitCode: z.string().min(1).nullable().optional(),
 });
 
-router.patch("/admin/users/:userId", requireAuth, requireRole("SUPER_ADMIN"), async (req, res) => {
+/**
+ * PATCH /api/admin/users/:userId
+ * Roles: SUPER_ADMIN
+ * Body (all optional): { isActive, password, email, fullName, role, facilityCode, adminUnitCode }
+ *
+ * Role/facility changes go through the same rules as POST /api/admin/users.
+ * When only role changes, the current facility is re-validated against the new role.
+ * Role change, facility reassignment, password reset and deactivation end all sessions.
+ */
+router.patch("/admin/users/:userId", requireAuth, requirePermission("users.manage"), async (req, res) => {
   try {
     const parsed = updateUserSchema.safeParse(req.body);
     if (!parsed.success) return res.status(400).json({ message: "Invalid input", errors: parsed.error.flatten() });
 
     const userId = String(req.params.userId);
-    const user = await prisma.user.findUnique({ where: { id: userId } });
+    const user = await prisma.user.findUnique({ where: { id: userId }, include: { facility: true } });
     if (!user) return res.status(404).json({ message: "User not found" });
 
     const data = {};
     if (typeof parsed.data.isActive === "boolean") data.isActive = parsed.data.isActive;
-    if (parsed.data.password) data.passwordHash = await bcrypt.hash(parsed.data.password, 10);
+    if (parsed.data.password) {
+      data.passwordHash = await bcrypt.hash(parsed.data.password, 10);
+      Object.assign(data, clearLockoutData());
+    }
+    if (parsed.data.email) data.email = parsed.data.email;
+    if (parsed.data.fullName) data.fullName = parsed.data.fullName;
+
+    const roleChanged = Boolean(parsed.data.role) && parsed.data.role !== user.role;
+    const facilityCode = parsed.data.facilityCode ? String(parsed.data.facilityCode).trim() : null;
+
+    if (roleChanged || facilityCode) {
+      const role = parsed.data.role || user.role;
+      const facilityId = await resolveFacilityIdForRole(role, facilityCode || user.facility?.code || null);
+
+      data.role = role;
+      data.facilityId = facilityId;
+    }
+
+    const nextRole = data.role || user.role;
+    if (parsed.data.adminUnitCode !== undefined) {
+      data.adminUnitId = await resolveAdminUnitIdForRole(nextRole, parsed.data.adminUnitCode?.trim() || null);
+    } else if (user.adminUnitId && nextRole !== "VIEWER") {
+      // Unit scope only applies to VIEWER; drop it when the role changes away.
+      data.adminUnitId = null;
+    }
+
+    const facilityChanged = "facilityId" in data && data.facilityId !== user.facilityId;
+
+    // Changes that must end every existing session of this user (checked in requireAuth + refresh).
+    let revokeReason = null;
+    if (facilityChanged) revokeReason = "FACILITY_CHANGED";
+    if (roleChanged) revokeReason = "ROLE_CHANGED";
+    if (parsed.data.password) revokeReason = "PASSWORD_RESET";
+    if (data.isActive === false && user.isActive) revokeReason = "DEACTIVATED";
+
+    const updated = await prisma.$transaction(async (tx) => {
+      if (revokeReason) await revokeUserTokens(tx, userId, revokeReason);
+
+      const next = await tx.user.update({
+        where: { id: userId },
+        data,
+        select: {
+          id: true,
+          email: true,
+          fullName: true,
+          role: true,
+          isActive: true,
+          facilityId: true,
+          lastLoginAt: true,
+          facility: { select: { id: true, code: true, name: true, type: true } },
+          adminUnitId: true,
+          adminUnit: { select: { id: true, code: true, name: true, level: true } },
+        },
+      });
+
+      // The password itself never reaches the log; only the fact that it was changed.
+      const auditedFields = ["isActive", "email", "fullName", "role", "facilityId", "adminUnitId"].filter((k) => k in data);
+      await recordAudit(tx, req, {
+        action: "user.update",
+        entityType: "User",
+        entityId: userId,
+        before: pickFields(user, auditedFields),
+        after: pickFields(next, auditedFields),
+        metadata: { passwordChanged: Boolean(parsed.data.password), tokensRevokedReason: revokeReason },
+      });
+
+      return next;
+    });
+
+    return res.json({ message: "User updated", user: updated, tokensRevoked: Boolean(revokeReason) });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
+    if (err?.code === "P2002") return res.status(409).json({ message: "Email already exists" });
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /api/admin/users/:userId/unlock
+ * Roles: SUPER_ADMIN
+ * Lifts a login lockout (too many failed attempts) and resets the failure counter.
+ */
+router.post("/admin/users/:userId/unlock", requireAuth, requirePermission("users.manage"), async (req, res) => {
+  try {
+    const userId = String(req.params.userId);
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
+    if (!user) return res.status(404).json({ message: "User not found" });
 
     const updated = await prisma.user.update({
       where: { id: userId },
-      data,
-      select: {
-        id: true,
-        email: true,
-        fullName: true,
-        role: true,
-        isActive: true,
-        facilityId: true,
-        lastLoginAt: true,
-        facility: { select: { id: true, code: true, name: true, type: true } },
-      },
+      data: clearLockoutData(),
+      select: { id: true, email: true, fullName: true, failedLoginCount: true, lockedUntil: true },
+    });
+
+    return res.json({ message: "User unlocked", user: updated });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /api/admin/users/:userId/password-reset
+ * Roles: SUPER_ADMIN
+ * Issues a one-time, time-limited reset code and sends it to the user through the configured
+ * notifier (see utils/notifier.js). The user redeems it at POST /api/auth/reset-password.
+ */
+router.post(
+  "/admin/users/:userId/password-reset",
+  requireAuth,
+  requirePermission("users.manage"),
+  async (req, res) => {
+    try {
+      const userId = String(req.params.userId);
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+      if (!user) return res.status(404).json({ message: "User not found" });
+      if (!user.isActive) return res.status(400).json({ message: "User is disabled. Activate the account first." });
+
+      const { expiresAt, channel } = await issuePasswordResetCode(user, req.user.id);
+
+      return res.status(201).json({
+        message: "Password reset code issued",
+        userId: user.id,
+        email: user.email,
+        expiresAt,
+        deliveredVia: channel,
+      });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/users/:userId/2fa
+ * Roles: SUPER_ADMIN
+ * Removes 2FA from an account (lost phone + lost recovery codes). The user's sessions are ended;
+ * if 2FA is mandatory for the role they must enroll again at next login.
+ */
+router.delete("/admin/users/:userId/2fa", requireAuth, requirePermission("users.manage"), async (req, res) => {
+  try {
+    const userId = String(req.params.userId);
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true, totpEnabled: true } });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    await prisma.$transaction(async (tx) => {
+      await tx.totpRecoveryCode.deleteMany({ where: { userId } });
+      await tx.user.update({
+        where: { id: userId },
+        data: { totpEnabled: false, totpEnabledAt: null, totpSecret: null, totpLastUsedStep: null },
+      });
+      await revokeUserTokens(tx, userId, "TWO_FACTOR_RESET");
     });
 
-    return res.json({ message: "User updated", user: updated });
+    return res.json({ message: "Two-factor authentication reset", userId, wasEnabled: user.totpEnabled });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: "Server error", error: String(err.message || err) });
   }
 });
 
+const twoFactorSettingsSchema = z.object({
+  requiredRoles: z.array(z.enum(USER_ROLES)),
+});
+
+/**
+ * GET /api/admin/settings/two-factor
+ * PUT /api/admin/settings/two-factor   Body: { requiredRoles: ["SUPER_ADMIN", "WAREHOUSE_OFFICER"] }
+ * Roles: SUPER_ADMIN
+ * Roles listed here must use 2FA; users without it are sent to enrollment (see requireAuth).
+ */
+router.get("/admin/settings/two-factor", requireAuth, requirePermission("settings.manage"), async (req, res) => {
+  try {
+    return res.json({ requiredRoles: await getTwoFactorRequiredRoles() });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+router.put("/admin/settings/two-factor", requireAuth, requirePermission("settings.manage"), async (req, res) => {
+  try {
+    const parsed = twoFactorSettingsSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Invalid input", errors: parsed.error.flatten() });
+    }
+
+    const requiredRoles = [...new Set(parsed.data.requiredRoles)];
+
+    // Do not lock the admin making the change out of the admin API.
+    if (requiredRoles.includes(req.user.role) && !req.user.totpEnabled) {
+      return res.status(400).json({
+        message: "Enable two-factor authentication on your own account before making it mandatory for your role",
+      });
+    }
+
+    await setSetting(REQUIRED_ROLES_SETTING, requiredRoles, req.user.id);
+    return res.json({ message: "Two-factor settings updated", requiredRoles });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+const redistributionSettingsSchema = z.object({
+  requireApproval: z.boolean(),
+});
+
+/**
+ * GET /api/admin/settings/redistribution
+ * PUT /api/admin/settings/redistribution   Body: { requireApproval: true }
+ * Roles: SUPER_ADMIN
+ * When on, facility -> facility redistributions wait for the warehouse to approve them.
+ */
+router.get("/admin/settings/redistribution", requireAuth, requirePermission("settings.manage"), async (req, res) => {
+  try {
+    return res.json({ requireApproval: (await getSetting(REDISTRIBUTION_APPROVAL_SETTING)) === true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+router.put("/admin/settings/redistribution", requireAuth, requirePermission("settings.manage"), async (req, res) => {
+  try {
+    const parsed = redistributionSettingsSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Invalid input", errors: parsed.error.flatten() });
+    }
+
+    await setSetting(REDISTRIBUTION_APPROVAL_SETTING, parsed.data.requireApproval, req.user.id);
+    return res.json({ message: "Redistribution settings updated", requireApproval: parsed.data.requireApproval });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+const dispatchSettingsSchema = z.object({
+  minShelfLifeDays: z.number().int().min(0).max(3650),
+});
+
+/**
+ * GET /api/admin/settings/dispatch
+ * PUT /api/admin/settings/dispatch   Body: { minShelfLifeDays: 90 }
+ * Roles: SUPER_ADMIN
+ * Warehouses may only dispatch boxes with at least minShelfLifeDays of shelf life left (0 = any in-date box).
+ */
+router.get("/admin/settings/dispatch", requireAuth, requirePermission("settings.manage"), async (req, res) => {
+  try {
+    return res.json({ minShelfLifeDays: Number(await getSetting(MIN_SHELF_LIFE_SETTING)) || 0 });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+router.put("/admin/settings/dispatch", requireAuth, requirePermission("settings.manage"), async (req, res) => {
+  try {
+    const parsed = dispatchSettingsSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: "Invalid input", errors: parsed.error.flatten() });
+    }
+
+    await setSetting(MIN_SHELF_LIFE_SETTING, parsed.data.minShelfLifeDays, req.user.id);
+    return res.json({ message: "Dispatch settings updated", minShelfLifeDays: parsed.data.minShelfLifeDays });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /api/admin/users/:userId/sessions
+ * Roles: SUPER_ADMIN
+ */
+router.get("/admin/users/:userId/sessions", requireAuth, requirePermission("users.manage"), async (req, res) => {
+  try {
+    const userId = String(req.params.userId);
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const sessions = await listActiveSessions(userId);
+    return res.json({ userId, sessions });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:userId/sessions
+ * Roles: SUPER_ADMIN
+ * Signs the user out of every device (e.g. stolen tablet) without disabling the account.
+ */
+router.delete("/admin/users/:userId/sessions", requireAuth, requirePermission("users.manage"), async (req, res) => {
+  try {
+    const userId = String(req.params.userId);
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const revoked = await revokeAllSessions(prisma, userId, "ADMIN_SIGNED_OUT");
+    return res.json({ message: "All sessions signed out", userId, revokedCount: revoked });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:userId/sessions/:sessionId
+ * Roles: SUPER_ADMIN
+ * Signs the user out of a single device only.
+ */
+router.delete(
+  "/admin/users/:userId/sessions/:sessionId",
+  requireAuth,
+  requirePermission("users.manage"),
+  async (req, res) => {
+    try {
+      const userId = String(req.params.userId);
+      const sessionId = String(req.params.sessionId);
+
+      const revoked = await revokeSession(userId, sessionId, "ADMIN_SIGNED_OUT");
+      if (!revoked) return res.status(404).json({ message: "Session not found or already signed out" });
+
+      return res.json({ message: "Session signed out", userId, sessionId });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: "Server error", error: String(err.message || err) });
+    }
+  }
+);
+
 module.exports = router;
@@ -13,17 +13,36 @@ const orderRoutes = require("./routes/orders");
 const facilityRoutes = require("./routes/facilities");
 const clinicalRoutes = require("./routes/clinical");
 const shipmentRoutes = require("./routes/shipments");
+const apiKeyRoutes = require("./routes/apiKeys");
+const auditRoutes = require("./routes/audit");
+const adminUnitRoutes = require("./routes/adminUnits");
+const stockCountRoutes = require("./routes/stockCounts");
+const stockAdjustmentRoutes = require("./routes/stockAdjustments");
+const recallRoutes = require("./routes/recalls");
+const productRoutes = require("./routes/products");
+const { requestId } = require("./middleware/requestId");
+const { auditWrites } = require("./middleware/audit");
+const { startExpiryJob } = require("./utils/expiry");
 
 // ✅ ADD THIS (new)
 const dashboardRoutes = require("./routes/dashboard");
 
 const app = express();
 
+// Behind a reverse proxy or load balancer, req.ip (used by the login throttle and the audit log) is
+// the proxy's address unless Express trusts X-Forwarded-For from it. TRUST_PROXY = number of proxy
+// hops (e.g. 1), or comma-separated proxy addresses / subnets ("loopback", "10.0.0.0/8").
+// Unset: clients connect directly and forwarded headers are ignored.
+const trustProxy = process.env.TRUST_PROXY?.trim();
+if (trustProxy) app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+
 // TEMP for MVP: allow all origins (we’ll lock this down later)
 app.use(cors());
 app.use(helmet());
 app.use(morgan("dev"));
 app.use(express.json({ limit: "2mb" }));
+app.use(requestId);
+app.use(auditWrites);
 
 app.get("/health", (req, res) => res.json({ ok: true }));
 
@@ -36,9 +55,16 @@ app.use("/api/orders", orderRoutes);
 app.use("/api/facilities", facilityRoutes);
 app.use("/api/clinical", clinicalRoutes);
 app.use("/api/shipments", shipmentRoutes);
+app.use("/api/admin-units", adminUnitRoutes);
+app.use("/api/stock-counts", stockCountRoutes);
+app.use("/api/stock-adjustments", stockAdjustmentRoutes);
+app.use("/api/recalls", recallRoutes);
+app.use("/api/products", productRoutes);
 
 // ✅ ADD THIS (new) — keep it BEFORE app.use("/api", userRoutes)
 app.use("/api/dashboard", dashboardRoutes);
+app.use("/api/admin/api-keys", apiKeyRoutes);
+app.use("/api/admin/audit", auditRoutes);
 
 // Keep /api (me + users) last
 app.use("/api", userRoutes);
@@ -46,4 +72,5 @@ app.use("/api", userRoutes);
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, () => {
   console.log(`✅ API running: http://localhost:${PORT}`);
+  startExpiryJob();
 });
\ No newline at end of file
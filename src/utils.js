@@ -2,6 +2,7 @@ const jwt = require("jsonwebtoken");
 
 const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "24h";
 const REFRESH_TOKEN_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || "180d";
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = "5m";
 
 function getAccessSecret() {
   const secret = process.env.JWT_SECRET;
@@ -31,6 +32,20 @@ function signRefreshToken(payload) {
   });
 }
 
+// Short-lived token proving the password step of a 2FA login succeeded.
+// "purpose" keeps it from being accepted as an access token (requireAuth needs userId + tv).
+function signTwoFactorChallenge(userId) {
+  return jwt.sign({ sub: userId, purpose: "2fa" }, getAccessSecret(), {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+  });
+}
+
+function verifyTwoFactorChallenge(token) {
+  const decoded = jwt.verify(token, getAccessSecret());
+  if (decoded.purpose !== "2fa") throw new Error("Not a 2FA challenge token");
+  return decoded;
+}
+
 function verifyToken(token) {
   return jwt.verify(token, getAccessSecret());
 }
@@ -50,6 +65,8 @@ module.exports = {
   verifyToken,
   verifyAccessToken,
   verifyRefreshToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
   ACCESS_TOKEN_EXPIRES_IN,
   REFRESH_TOKEN_EXPIRES_IN,
 };
\ No newline at end of file
@@ -0,0 +1,87 @@
+const { prisma } = require("../db");
+
+// ---------------------------------------------------------------------------
+// Administrative hierarchy: COUNTRY -> COUNTY -> SUB_COUNTY.
+// Facilities hang off any unit (usually a sub-county); a user assigned to a unit sees the
+// facilities of that unit and every unit below it.
+// ---------------------------------------------------------------------------
+
+const ADMIN_UNIT_LEVELS = ["COUNTRY", "COUNTY", "SUB_COUNTY"];
+
+// Level a unit's parent must have (COUNTRY units are roots).
+const PARENT_LEVEL = {
+  COUNTRY: null,
+  COUNTY: "COUNTRY",
+  SUB_COUNTY: "COUNTY",
+};
+
+/**
+ * The unit itself plus all units below it. The tree is at most three levels deep, so this walks
+ * it one level per query.
+ */
+async function getUnitSubtreeIds(unitId) {
+  const ids = [unitId];
+  let frontier = [unitId];
+
+  while (frontier.length) {
+    const children = await prisma.adminUnit.findMany({
+      where: { parentId: { in: frontier } },
+      select: { id: true },
+    });
+    frontier = children.map((c) => c.id).filter((id) => !ids.includes(id));
+    ids.push(...frontier);
+  }
+
+  return ids;
+}
+
+/**
+ * Facilities (and warehouses) located in a unit or any of its sub-units.
+ * Returns [{ id, type }].
+ */
+async function getFacilitiesInUnit(unitId) {
+  const unitIds = await getUnitSubtreeIds(unitId);
+  return prisma.facility.findMany({
+    where: { adminUnitId: { in: unitIds } },
+    select: { id: true, type: true },
+  });
+}
+
+/**
+ * Validate a parent for a unit of the given level. Returns the parent id (or null for COUNTRY),
+ * throws err.status = 400 otherwise.
+ */
+async function resolveParentUnit(level, parentCode) {
+  const expected = PARENT_LEVEL[level];
+
+  if (!expected) {
+    if (parentCode) {
+      const err = new Error("COUNTRY units cannot have a parent");
+      err.status = 400;
+      throw err;
+    }
+    return null;
+  }
+
+  if (!parentCode) {
+    const err = new Error(`${level} units need a parent ${expected} (parentCode)`);
+    err.status = 400;
+    throw err;
+  }
+
+  const parent = await prisma.adminUnit.findUnique({ where: { code: parentCode } });
+  if (!parent || parent.level !== expected) {
+    const err = new Error(`parentCode must reference a ${expected} unit`);
+    err.status = 400;
+    throw err;
+  }
+
+  return parent.id;
+}
+
+module.exports = {
+  ADMIN_UNIT_LEVELS,
+  getUnitSubtreeIds,
+  getFacilitiesInUnit,
+  resolveParentUnit,
+};
@@ -0,0 +1,84 @@
+const crypto = require("crypto");
+const { prisma } = require("../db");
+
+// ---------------------------------------------------------------------------
+// API keys for machine-to-machine integrations.
+// Format: lmis_<prefix>_<secret>. The prefix identifies the key in admin lists and logs;
+// only sha256(full key) is stored, so the key is shown exactly once at creation.
+// ---------------------------------------------------------------------------
+
+const API_KEY_PREFIX = "lmis_";
+
+// Scopes a site-restricted key may not hold: cross-site reads, and store scopes for the other
+// kind of site (a facility key reading its parent warehouse's stock, and the reverse).
+const UNRESTRICTED_SCOPES = ["stock.viewAll", "shipments.viewAll"];
+const SITE_TYPE_SCOPES = { "stock.viewWarehouse": "WAREHOUSE", "stock.viewFacility": "FACILITY" };
+
+function scopesOutsideSite(scopes, facility) {
+  if (!facility) return [];
+  return scopes.filter(
+    (s) => UNRESTRICTED_SCOPES.includes(s) || (SITE_TYPE_SCOPES[s] && SITE_TYPE_SCOPES[s] !== facility.type)
+  );
+}
+
+// Writing lastUsedAt on every request would turn reads into writes; once a minute is enough.
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function isApiKeyToken(token) {
+  return typeof token === "string" && token.startsWith(API_KEY_PREFIX);
+}
+
+function generateApiKey() {
+  const prefix = crypto.randomBytes(6).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const key = `${API_KEY_PREFIX}${prefix}_${secret}`;
+  return { key, prefix, keyHash: hashApiKey(key) };
+}
+
+function apiKeyError(message, code) {
+  const err = new Error(message);
+  err.status = 401;
+  err.code = code;
+  return err;
+}
+
+/**
+ * Look up a presented key and record its use.
+ * Returns the ApiKey row with facility (+ its warehouse); throws err.status = 401 with a code
+ * (API_KEY_INVALID | API_KEY_REVOKED | API_KEY_EXPIRED) otherwise.
+ */
+async function authenticateApiKey(rawKey, ipAddress) {
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashApiKey(rawKey) },
+    include: { facility: { include: { warehouse: true } } },
+  });
+
+  if (!apiKey) throw apiKeyError("Invalid API key", "API_KEY_INVALID");
+  if (apiKey.revokedAt) throw apiKeyError("API key has been revoked", "API_KEY_REVOKED");
+  if (apiKey.expiresAt && apiKey.expiresAt.getTime() <= Date.now()) {
+    throw apiKeyError("API key expired", "API_KEY_EXPIRED");
+  }
+
+  const lastUsed = apiKey.lastUsedAt ? apiKey.lastUsedAt.getTime() : 0;
+  if (Date.now() - lastUsed >= LAST_USED_WRITE_INTERVAL_MS) {
+    await prisma.apiKey.update({
+      where: { id: apiKey.id },
+      data: { lastUsedAt: new Date(), lastUsedIp: ipAddress ? String(ipAddress).slice(0, 64) : null },
+    });
+  }
+
+  return apiKey;
+}
+
+module.exports = {
+  API_KEY_PREFIX,
+  hashApiKey,
+  isApiKeyToken,
+  generateApiKey,
+  scopesOutsideSite,
+  authenticateApiKey,
+};
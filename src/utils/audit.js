@@ -0,0 +1,115 @@
+const { prisma } = require("../db");
+
+// ---------------------------------------------------------------------------
+// Audit trail (AuditLog).
+// Routes that edit records call recordAudit() inside their transaction with the record before and
+// after the change. Every other successful write is still logged by middleware/audit.js (without
+// before/after), so nothing that changes data goes unrecorded.
+// ---------------------------------------------------------------------------
+
+// Never copied into the log.
+const REDACTED_FIELDS = new Set(["passwordHash", "totpSecret", "keyHash", "tokenHash", "codeHash"]);
+
+function toPlain(value) {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value));
+}
+
+function sanitizeRecord(record) {
+  if (!record || typeof record !== "object") return record ?? null;
+  const plain = toPlain(record);
+  for (const key of Object.keys(plain)) {
+    if (REDACTED_FIELDS.has(key)) plain[key] = "[redacted]";
+  }
+  return plain;
+}
+
+// Subset of a record, e.g. pickFields(existing, Object.keys(data)) for "before" of an update.
+function pickFields(record, keys, prefix = "") {
+  const out = {};
+  for (const key of keys) out[`${prefix}${key}`] = record ? record[key] ?? null : null;
+  return out;
+}
+
+/**
+ * Field-level diff of two flat records: { field: { from, to } } for every field that changed.
+ */
+function diffRecords(before, after) {
+  const a = sanitizeRecord(before) || {};
+  const b = sanitizeRecord(after) || {};
+  const changes = {};
+
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const from = a[key] ?? null;
+    const to = b[key] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[key] = { from, to };
+  }
+
+  return changes;
+}
+
+// Who/where fields shared by explicit and middleware entries.
+function requestContext(req) {
+  return {
+    actorUserId: req?.user?.id || null,
+    actorApiKeyId: req?.user?.apiKeyId || null,
+    actorRole: req?.user?.role || null,
+    method: req?.method || null,
+    path: req?.originalUrl ? String(req.originalUrl).split("?")[0].slice(0, 512) : null,
+    requestId: req?.id || null,
+    ipAddress: req?.ip ? String(req.ip).slice(0, 64) : null,
+  };
+}
+
+function auditData(req, entry) {
+  // Json columns take undefined (not null) for "no value".
+  const before = entry.before ? sanitizeRecord(entry.before) : undefined;
+  const after = entry.after ? sanitizeRecord(entry.after) : undefined;
+
+  return {
+    ...requestContext(req),
+    action: entry.action,
+    entityType: entry.entityType || null,
+    entityId: entry.entityId ? String(entry.entityId) : null,
+    before,
+    after,
+    changes: before || after ? diffRecords(before, after) : undefined,
+    metadata: entry.metadata ? toPlain(entry.metadata) : undefined,
+  };
+}
+
+/**
+ * Record one change. Pass the transaction client so the entry commits (or rolls back) with it.
+ * entry: { action, entityType, entityId, before?, after?, metadata? }
+ */
+async function recordAudit(client, req, entry) {
+  const log = await (client || prisma).auditLog.create({ data: auditData(req, entry) });
+
+  // The middleware skips requests that already wrote a detailed entry.
+  if (req) req.auditRecorded = true;
+
+  return log;
+}
+
+/**
+ * Record many changes in one insert (bulk jobs). Same entries as recordAudit; returns the count.
+ */
+async function recordAudits(client, req, entries) {
+  if (!entries.length) return 0;
+  const { count } = await (client || prisma).auditLog.createMany({
+    data: entries.map((entry) => auditData(req, entry)),
+  });
+
+  if (req) req.auditRecorded = true;
+
+  return count;
+}
+
+module.exports = {
+  REDACTED_FIELDS,
+  pickFields,
+  diffRecords,
+  requestContext,
+  recordAudit,
+  recordAudits,
+};
@@ -0,0 +1,148 @@
+const { prisma } = require("../db");
+const { recordAudits } = require("./audit");
+const { getSetting } = require("./settings");
+
+// ---------------------------------------------------------------------------
+// Expiry rules shared by dispatch, dispensing and the expiry job.
+// A box is usable up to and including its expiry date. Once past it, the box can no longer be
+// dispatched or dispensed, and the job marks shelf stock EXPIRED (stock to be destroyed,
+// written off with an EXPIRED_DESTROYED stock adjustment).
+//
+// EXPIRY_JOB_INTERVAL_MINUTES=60 (default) | 0 to disable
+// ---------------------------------------------------------------------------
+
+// Boxes sent out by a warehouse must have at least this many days of shelf life left
+const MIN_SHELF_LIFE_SETTING = "dispatch.minShelfLifeDays";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+
+function startOfDay(d) {
+  const x = new Date(d);
+  x.setHours(0, 0, 0, 0);
+  return x;
+}
+
+// Prisma filter for boxes that are still in date
+function inDateWhere(now = new Date()) {
+  return { expiryDate: { gte: startOfDay(now) } };
+}
+
+function isExpired(box, now = new Date()) {
+  return new Date(box.expiryDate) < startOfDay(now);
+}
+
+// Whole days of shelf life left (0 on the expiry date, negative once expired)
+function shelfLifeDays(box, now = new Date()) {
+  return Math.floor((startOfDay(box.expiryDate).getTime() - startOfDay(now).getTime()) / DAY_MS);
+}
+
+/**
+ * Shelf-life rule for boxes leaving a warehouse: none may be expired or have fewer than
+ * dispatch.minShelfLifeDays days left. Returns null when all may go, otherwise a 409 body
+ * (at most 25 boxes listed per kind).
+ */
+async function checkDispatchShelfLife(boxes, now = new Date()) {
+  const minShelfLifeDays = Math.max(Number(await getSetting(MIN_SHELF_LIFE_SETTING)) || 0, 0);
+  const blocked = boxes
+    .map((b) => ({ boxUid: b.boxUid, expiryDate: b.expiryDate, shelfLifeDays: shelfLifeDays(b, now) }))
+    .filter((b) => b.shelfLifeDays < minShelfLifeDays);
+  if (!blocked.length) return null;
+
+  const expired = blocked.filter((b) => b.shelfLifeDays < 0);
+  return {
+    message: expired.length
+      ? "Some boxes are expired and cannot be dispatched"
+      : `Some boxes have less than ${minShelfLifeDays} days of shelf life left`,
+    minShelfLifeDays,
+    expired: expired.slice(0, 25),
+    shortDated: blocked.filter((b) => b.shelfLifeDays >= 0).slice(0, 25),
+  };
+}
+
+/**
+ * Mark shelf stock (IN_WAREHOUSE / IN_FACILITY) that is past its expiry date as EXPIRED.
+ * One audit entry per box, written in a single insert per batch (box events need a user; the job
+ * has none). Returns how many were marked.
+ */
+async function markExpiredBoxes(now = new Date()) {
+  const where = { status: { in: ["IN_WAREHOUSE", "IN_FACILITY"] }, expiryDate: { lt: startOfDay(now) } };
+  let marked = 0;
+
+  for (;;) {
+    const boxes = await prisma.box.findMany({
+      where,
+      take: BATCH_SIZE,
+      select: { id: true, boxUid: true, status: true, expiryDate: true, currentFacilityId: true },
+    });
+    if (!boxes.length) break;
+
+    const count = await prisma.$transaction(async (tx) => {
+      // One guarded update per box so only boxes this run actually marked get an audit entry; boxes
+      // that moved (or were marked by another run) since the read are skipped
+      const expired = [];
+      for (const b of boxes) {
+        const { count: updated } = await tx.box.updateMany({
+          where: { ...where, id: b.id, status: b.status },
+          data: { status: "EXPIRED" },
+        });
+        if (updated) expired.push(b);
+      }
+
+      await recordAudits(
+        tx,
+        null,
+        expired.map((b) => ({
+          action: "box.expire",
+          entityType: "Box",
+          entityId: b.id,
+          before: { status: b.status },
+          after: { status: "EXPIRED" },
+          metadata: { boxUid: b.boxUid, expiryDate: b.expiryDate, facilityId: b.currentFacilityId },
+        }))
+      );
+      return expired.length;
+    });
+
+    marked += count;
+    if (boxes.length < BATCH_SIZE) break;
+  }
+
+  return marked;
+}
+
+let timer = null;
+let running = false;
+
+async function runExpiryJob() {
+  if (running) return;
+  running = true;
+  try {
+    const marked = await markExpiredBoxes();
+    if (marked) console.log(`⏰ Expiry job: ${marked} box(es) marked EXPIRED`);
+  } catch (err) {
+    console.error("Expiry job failed:", err);
+  } finally {
+    running = false;
+  }
+}
+
+// Run now and then every EXPIRY_JOB_INTERVAL_MINUTES (call once, after the server starts).
+function startExpiryJob() {
+  const minutes = Number(process.env.EXPIRY_JOB_INTERVAL_MINUTES ?? 60);
+  if (!Number.isFinite(minutes) || minutes <= 0 || timer) return;
+
+  runExpiryJob();
+  timer = setInterval(runExpiryJob, minutes * 60 * 1000);
+  timer.unref();
+}
+
+module.exports = {
+  MIN_SHELF_LIFE_SETTING,
+  inDateWhere,
+  isExpired,
+  shelfLifeDays,
+  checkDispatchShelfLife,
+  markExpiredBoxes,
+  startExpiryJob,
+};
@@ -0,0 +1,115 @@
+const { prisma } = require("../db");
+
+// ---------------------------------------------------------------------------
+// Brute-force protection for POST /api/auth/login (the per-IP limit also covers /reset-password)
+//
+// Per account (stored on User, visible to admins):
+//  - every wrong password increments failedLoginCount
+//  - from LOGIN_MAX_FAILED_ATTEMPTS on, the account is locked for
+//    LOGIN_LOCKOUT_BASE_MINUTES * 2^(failures - max), capped at LOGIN_LOCKOUT_MAX_MINUTES
+//  - a successful login, admin unlock or password reset clears it
+//  - a locked account answers like a wrong password (401 "Invalid credentials"), so the lock does
+//    not reveal which emails are registered
+//
+// Per IP (in memory, this API runs as a single process):
+//  - more than LOGIN_IP_MAX_FAILURES failures within LOGIN_IP_WINDOW_MINUTES blocks the IP
+//    until the window slides. Kept generous because a clinic shares one IP across tablets.
+//  - keyed on req.ip: behind a reverse proxy set TRUST_PROXY (see server.js), or every client
+//    shares the proxy's address
+// ---------------------------------------------------------------------------
+
+function envInt(name, fallback) {
+  const n = Number.parseInt(String(process.env[name] ?? ""), 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const MAX_FAILED_ATTEMPTS = envInt("LOGIN_MAX_FAILED_ATTEMPTS", 5);
+const LOCKOUT_BASE_MINUTES = envInt("LOGIN_LOCKOUT_BASE_MINUTES", 5);
+const LOCKOUT_MAX_MINUTES = envInt("LOGIN_LOCKOUT_MAX_MINUTES", 24 * 60);
+const IP_MAX_FAILURES = envInt("LOGIN_IP_MAX_FAILURES", 50);
+const IP_WINDOW_MS = envInt("LOGIN_IP_WINDOW_MINUTES", 15) * 60 * 1000;
+
+const ipFailures = new Map(); // ip -> [timestamps]
+
+function recentIpFailures(ip, now = Date.now()) {
+  const list = (ipFailures.get(ip) || []).filter((t) => now - t < IP_WINDOW_MS);
+  if (list.length) ipFailures.set(ip, list);
+  else ipFailures.delete(ip);
+  return list;
+}
+
+/**
+ * Returns seconds until the IP may try again, or 0 when it is not blocked.
+ */
+function getIpRetryAfterSeconds(ip) {
+  if (!ip) return 0;
+  const now = Date.now();
+  const list = recentIpFailures(ip, now);
+  if (list.length < IP_MAX_FAILURES) return 0;
+
+  // Unblocked once enough of the oldest failures leave the window.
+  const oldestRelevant = list[list.length - IP_MAX_FAILURES];
+  return Math.max(1, Math.ceil((oldestRelevant + IP_WINDOW_MS - now) / 1000));
+}
+
+function recordIpFailure(ip) {
+  if (!ip) return;
+  const list = recentIpFailures(ip);
+  list.push(Date.now());
+  ipFailures.set(ip, list);
+}
+
+// Drop idle IPs so the map does not grow forever.
+setInterval(() => {
+  for (const ip of ipFailures.keys()) recentIpFailures(ip);
+}, IP_WINDOW_MS).unref();
+
+function lockoutMinutesFor(failedCount) {
+  if (failedCount < MAX_FAILED_ATTEMPTS) return 0;
+  const exponent = Math.min(failedCount - MAX_FAILED_ATTEMPTS, 20);
+  return Math.min(LOCKOUT_BASE_MINUTES * 2 ** exponent, LOCKOUT_MAX_MINUTES);
+}
+
+/**
+ * Returns seconds until the account may try again, or 0 when it is not locked.
+ */
+function getAccountRetryAfterSeconds(user) {
+  if (!user?.lockedUntil) return 0;
+  const ms = new Date(user.lockedUntil).getTime() - Date.now();
+  return ms > 0 ? Math.ceil(ms / 1000) : 0;
+}
+
+/**
+ * Count a wrong password against the account and lock it when the threshold is reached.
+ * Returns { failedLoginCount, lockedUntil }.
+ */
+async function recordAccountFailure(userId) {
+  const updated = await prisma.user.update({
+    where: { id: userId },
+    data: { failedLoginCount: { increment: 1 }, lastFailedLoginAt: new Date() },
+    select: { failedLoginCount: true },
+  });
+
+  const minutes = lockoutMinutesFor(updated.failedLoginCount);
+  if (!minutes) return { failedLoginCount: updated.failedLoginCount, lockedUntil: null };
+
+  const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+  await prisma.user.update({ where: { id: userId }, data: { lockedUntil } });
+
+  console.warn("ACCOUNT LOCKED", { userId, failedLoginCount: updated.failedLoginCount, minutes });
+  return { failedLoginCount: updated.failedLoginCount, lockedUntil };
+}
+
+// Spread into a user update to clear the lockout state.
+function clearLockoutData() {
+  return { failedLoginCount: 0, lockedUntil: null };
+}
+
+module.exports = {
+  MAX_FAILED_ATTEMPTS,
+  getIpRetryAfterSeconds,
+  recordIpFailure,
+  getAccountRetryAfterSeconds,
+  recordAccountFailure,
+  clearLockoutData,
+};
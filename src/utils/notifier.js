@@ -0,0 +1,72 @@
+const fs = require("fs");
+const path = require("path");
+
+// ---------------------------------------------------------------------------
+// Pluggable notifier (password reset codes etc.)
+//
+// NOTIFIER=console (default) | file | webhook
+//  - console: prints the message to the server log (local/dev stand-in)
+//  - file:    appends one JSON line per message to NOTIFIER_FILE (default ./notifications.log)
+//  - webhook: POSTs the message as JSON to NOTIFIER_WEBHOOK_URL (SMS/email gateway)
+//
+// Other adapters (e.g. a specific SMS provider) can be plugged in with registerNotifier().
+// An adapter is: async send({ to: { email, phone, name }, subject, text, type }) => { channel }
+// ---------------------------------------------------------------------------
+
+const adapters = {
+  console: {
+    async send(message) {
+      console.log("📨 NOTIFY", {
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+      });
+      return { channel: "console" };
+    },
+  },
+
+  file: {
+    async send(message) {
+      const file = path.resolve(process.env.NOTIFIER_FILE || "notifications.log");
+      const line = JSON.stringify({ at: new Date().toISOString(), ...message });
+      await fs.promises.appendFile(file, `${line}\n`, "utf8");
+      return { channel: "file" };
+    },
+  },
+
+  webhook: {
+    async send(message) {
+      const url = process.env.NOTIFIER_WEBHOOK_URL;
+      if (!url) throw new Error("NOTIFIER_WEBHOOK_URL missing in .env");
+
+      const headers = { "Content-Type": "application/json" };
+      if (process.env.NOTIFIER_WEBHOOK_TOKEN) {
+        headers.Authorization = `Bearer ${process.env.NOTIFIER_WEBHOOK_TOKEN}`;
+      }
+
+      const resp = await fetch(url, { method: "POST", headers, body: JSON.stringify(message) });
+      if (!resp.ok) throw new Error(`Notifier webhook failed with status ${resp.status}`);
+      return { channel: "webhook" };
+    },
+  },
+};
+
+function registerNotifier(name, adapter) {
+  if (!adapter || typeof adapter.send !== "function") {
+    throw new Error("Notifier adapter must implement send(message)");
+  }
+  adapters[name] = adapter;
+}
+
+function getNotifier() {
+  const name = String(process.env.NOTIFIER || "console").trim().toLowerCase();
+  const adapter = adapters[name];
+  if (!adapter) throw new Error(`Unknown NOTIFIER "${name}"`);
+  return adapter;
+}
+
+async function notify(message) {
+  return getNotifier().send(message);
+}
+
+module.exports = { notify, registerNotifier };
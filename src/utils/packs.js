@@ -0,0 +1,48 @@
+// ---------------------------------------------------------------------------
+// Pack sizes and unit conversion.
+// Each Product has a pack size (sachets per box) and a daily ration (sachets per child per day).
+// Boxes copy the pack size when their labels are generated, so changing a product only affects
+// boxes generated afterwards. Reports give quantities in sachets, boxes and child-days.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_SACHETS_PER_BOX = 600;
+const DEFAULT_SACHETS_PER_CHILD_DAY = 1;
+
+// Pack size of a box (or product), falling back to the historical 600-sachet box
+function sachetsPerBoxOf(record) {
+  const n = Number(record?.sachetsPerBox);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_SACHETS_PER_BOX;
+}
+
+function sachetsPerChildDayOf(product) {
+  const n = Number(product?.sachetsPerChildDay);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_SACHETS_PER_CHILD_DAY;
+}
+
+// Sachets still in a box (a box with no count yet is full)
+function sachetsRemainingOf(box) {
+  const n = Number(box?.sachetsRemaining);
+  return Number.isFinite(n) ? n : sachetsPerBoxOf(box);
+}
+
+/**
+ * A sachet quantity of one product in all reporting units:
+ *   { sachets, boxes (full-box equivalents), childDays (days of ration for one child) }
+ */
+function convertSachets(sachets, product) {
+  const n = Number(sachets) || 0;
+  return {
+    sachets: n,
+    boxes: Number((n / sachetsPerBoxOf(product)).toFixed(2)),
+    childDays: Number((n / sachetsPerChildDayOf(product)).toFixed(1)),
+  };
+}
+
+module.exports = {
+  DEFAULT_SACHETS_PER_BOX,
+  DEFAULT_SACHETS_PER_CHILD_DAY,
+  sachetsPerBoxOf,
+  sachetsPerChildDayOf,
+  sachetsRemainingOf,
+  convertSachets,
+};
@@ -0,0 +1,109 @@
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const { prisma } = require("../db");
+const { notify } = require("./notifier");
+const { revokeUserTokens } = require("./refreshTokens");
+const { clearLockoutData } = require("./loginThrottle");
+
+const RESET_CODE_TTL_MINUTES = Number.parseInt(process.env.PASSWORD_RESET_CODE_TTL_MINUTES || "30", 10);
+const RESET_CODE_MAX_ATTEMPTS = 5;
+
+// Codes are short enough to read out over the phone, so they are bound to the user in the hash
+// and burned after RESET_CODE_MAX_ATTEMPTS wrong guesses.
+function hashResetCode(userId, code) {
+  return crypto.createHash("sha256").update(`${userId}:${code}`).digest("hex");
+}
+
+function generateResetCode() {
+  return String(crypto.randomInt(0, 100000000)).padStart(8, "0");
+}
+
+function resetError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Create a one-time reset code for a user (earlier unused codes are invalidated) and deliver it
+ * through the configured notifier. The raw code is never stored or returned to the admin.
+ */
+async function issuePasswordResetCode(user, issuedByUserId) {
+  const code = generateResetCode();
+  const expiresAt = new Date(Date.now() + RESET_CODE_TTL_MINUTES * 60 * 1000);
+
+  await prisma.$transaction(async (tx) => {
+    await tx.passwordResetCode.updateMany({
+      where: { userId: user.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    await tx.passwordResetCode.create({
+      data: {
+        userId: user.id,
+        codeHash: hashResetCode(user.id, code),
+        expiresAt,
+        createdByUserId: issuedByUserId || null,
+      },
+    });
+  });
+
+  const delivery = await notify({
+    type: "PASSWORD_RESET_CODE",
+    to: { email: user.email, name: user.fullName },
+    subject: "LMIS password reset code",
+    text: `Your LMIS password reset code is ${code}. It expires in ${RESET_CODE_TTL_MINUTES} minutes.`,
+  });
+
+  return { expiresAt, channel: delivery?.channel || null };
+}
+
+/**
+ * Redeem a reset code: sets the new password, burns the code, lifts a login lockout and ends
+ * every session of the user.
+ * Any failure (unknown email, wrong/expired/used code) produces the same generic error.
+ */
+async function redeemPasswordResetCode({ email, code, newPassword }) {
+  const user = await prisma.user.findUnique({ where: { email } });
+  if (!user || !user.isActive) throw resetError("Invalid or expired reset code");
+
+  const pending = await prisma.passwordResetCode.findFirst({
+    where: { userId: user.id, usedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { createdAt: "desc" },
+  });
+  if (!pending) throw resetError("Invalid or expired reset code");
+
+  if (pending.codeHash !== hashResetCode(user.id, String(code).trim())) {
+    // Counted in the database so parallel guesses cannot all read the same attempt count
+    await prisma.passwordResetCode.updateMany({
+      where: { id: pending.id, usedAt: null, attempts: { lt: RESET_CODE_MAX_ATTEMPTS } },
+      data: { attempts: { increment: 1 } },
+    });
+    await prisma.passwordResetCode.updateMany({
+      where: { id: pending.id, usedAt: null, attempts: { gte: RESET_CODE_MAX_ATTEMPTS } },
+      data: { usedAt: new Date() },
+    });
+    throw resetError("Invalid or expired reset code");
+  }
+
+  const passwordHash = await bcrypt.hash(newPassword, 10);
+
+  await prisma.$transaction(async (tx) => {
+    const burned = await tx.passwordResetCode.updateMany({
+      where: { id: pending.id, usedAt: null, attempts: { lt: RESET_CODE_MAX_ATTEMPTS } },
+      data: { usedAt: new Date() },
+    });
+    if (burned.count === 0) throw resetError("Invalid or expired reset code");
+
+    await tx.user.update({ where: { id: user.id }, data: { passwordHash, ...clearLockoutData() } });
+    await revokeUserTokens(tx, user.id, "PASSWORD_RESET");
+  });
+
+  return { userId: user.id };
+}
+
+module.exports = {
+  RESET_CODE_TTL_MINUTES,
+  issuePasswordResetCode,
+  redeemPasswordResetCode,
+};
@@ -0,0 +1,20 @@
+// ---------------------------------------------------------------------------
+// Batch recall helpers. A recalled box (Box.recallId set) must never go back on the shelf as
+// usable stock: every code path that puts boxes into IN_WAREHOUSE / IN_FACILITY calls
+// holdRecalledBoxes() afterwards in the same transaction.
+// ---------------------------------------------------------------------------
+
+/**
+ * Flip recalled boxes among boxIds that were just booked into stock to QUARANTINED.
+ * Returns how many boxes were held.
+ */
+async function holdRecalledBoxes(tx, boxIds) {
+  if (!boxIds.length) return 0;
+  const { count } = await tx.box.updateMany({
+    where: { id: { in: boxIds }, recallId: { not: null }, status: { in: ["IN_WAREHOUSE", "IN_FACILITY"] } },
+    data: { status: "QUARANTINED" },
+  });
+  return count;
+}
+
+module.exports = { holdRecalledBoxes };
@@ -0,0 +1,249 @@
+const crypto = require("crypto");
+const { prisma } = require("../db");
+const { signRefreshToken, verifyRefreshToken } = require("../utils");
+
+// Refresh tokens are stored hashed (never the raw JWT) so a DB leak cannot be replayed.
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function authError(message, code) {
+  const err = new Error(message);
+  err.status = 401;
+  err.code = code;
+  return err;
+}
+
+function truncate(value, max) {
+  if (!value) return null;
+  const s = String(value);
+  return s.length > max ? s.slice(0, max) : s;
+}
+
+/**
+ * Sign a refresh token and persist its hash.
+ * Every token belongs to a "family" (one login on one device = one session). Rotation keeps the
+ * familyId, so reuse of an already-rotated token can revoke the whole chain at once.
+ *
+ * options: { familyId?, userAgent?, ipAddress? }
+ * Returns { refreshToken, familyId }.
+ */
+async function issueRefreshToken(client, payload, options = {}) {
+  const familyId = options.familyId || crypto.randomUUID();
+
+  const refreshToken = signRefreshToken({
+    ...payload,
+    fid: familyId,
+    jti: crypto.randomUUID(),
+  });
+
+  const decoded = verifyRefreshToken(refreshToken);
+
+  await client.refreshToken.create({
+    data: {
+      tokenHash: hashToken(refreshToken),
+      userId: payload.userId,
+      familyId,
+      expiresAt: new Date(decoded.exp * 1000),
+      userAgent: truncate(options.userAgent, 191),
+      ipAddress: truncate(options.ipAddress, 64),
+    },
+  });
+
+  return { refreshToken, familyId };
+}
+
+async function revokeRefreshTokenFamily(client, familyId, reason) {
+  const result = await client.refreshToken.updateMany({
+    where: { familyId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.count;
+}
+
+/**
+ * Validate a presented refresh token and rotate it.
+ * - unknown / expired / revoked tokens are rejected
+ * - a token that was already rotated (revoked) is treated as stolen: the whole family is revoked
+ * - tokens issued before rotation existed (no "fid" claim) are accepted once and recorded as
+ *   revoked, so they cannot be replayed afterwards
+ *
+ * buildPayload(user) builds the JWT claims from the freshly loaded user.
+ * meta: { userAgent?, ipAddress? } of the device presenting the token.
+ * Returns { user, refreshToken, familyId }.
+ */
+async function rotateRefreshToken(rawToken, buildPayload, meta = {}) {
+  const decoded = verifyRefreshToken(rawToken);
+  const tokenHash = hashToken(rawToken);
+
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.userId },
+    include: { facility: true },
+  });
+
+  if (!user || !user.isActive) {
+    throw authError("Invalid refresh token", "USER_DISABLED");
+  }
+
+  if ((decoded.tv || 0) !== user.tokenVersion) {
+    const err = authError("Token is no longer valid. Please log in again.", "TOKEN_REVOKED");
+    err.reason = user.tokensRevokedReason || null;
+    throw err;
+  }
+
+  const existing = await prisma.refreshToken.findUnique({ where: { tokenHash } });
+
+  if (!existing) {
+    if (decoded.fid) throw authError("Invalid refresh token", "REFRESH_TOKEN_UNKNOWN");
+
+    // Legacy stateless token: burn it and start a new family.
+    const familyId = crypto.randomUUID();
+    const issued = await prisma.$transaction(async (tx) => {
+      await tx.refreshToken.create({
+        data: {
+          tokenHash,
+          userId: user.id,
+          familyId,
+          expiresAt: new Date(decoded.exp * 1000),
+          revokedAt: new Date(),
+          revokedReason: "ROTATED",
+        },
+      });
+      return issueRefreshToken(tx, buildPayload(user), { ...meta, familyId });
+    });
+
+    return { user, ...issued };
+  }
+
+  if (existing.userId !== user.id) {
+    throw authError("Invalid refresh token", "REFRESH_TOKEN_UNKNOWN");
+  }
+
+  if (existing.revokedAt) {
+    // Tokens ended on purpose (logout, remote sign-out) are simply invalid; only a rotated
+    // token coming back means two devices hold the same chain.
+    if (existing.revokedReason !== "ROTATED") {
+      throw authError("Session has been signed out. Please log in again.", "SESSION_REVOKED");
+    }
+
+    await revokeRefreshTokenFamily(prisma, existing.familyId, "REUSE_DETECTED");
+    console.warn("REFRESH TOKEN REUSE DETECTED", {
+      userId: user.id,
+      familyId: existing.familyId,
+    });
+    throw authError("Refresh token has already been used. Please log in again.", "REFRESH_TOKEN_REUSED");
+  }
+
+  if (existing.expiresAt.getTime() <= Date.now()) {
+    throw authError("Refresh token expired", "REFRESH_TOKEN_EXPIRED");
+  }
+
+  const issued = await prisma.$transaction(async (tx) => {
+    // Conditional update guards against two concurrent refreshes with the same token.
+    const revoked = await tx.refreshToken.updateMany({
+      where: { id: existing.id, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: "ROTATED" },
+    });
+    if (revoked.count === 0) return null;
+
+    return issueRefreshToken(tx, buildPayload(user), { ...meta, familyId: existing.familyId });
+  });
+
+  if (!issued) {
+    await revokeRefreshTokenFamily(prisma, existing.familyId, "REUSE_DETECTED");
+    throw authError("Refresh token has already been used. Please log in again.", "REFRESH_TOKEN_REUSED");
+  }
+
+  return { user, ...issued };
+}
+
+// ---------- sessions (one refresh-token family = one signed-in device) ----------
+
+/**
+ * Active sessions of a user: families that still hold a non-revoked, non-expired token.
+ * The active token's createdAt is the last time the device refreshed.
+ */
+async function listActiveSessions(userId) {
+  const active = await prisma.refreshToken.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { createdAt: "desc" },
+    select: {
+      familyId: true,
+      createdAt: true,
+      expiresAt: true,
+      userAgent: true,
+      ipAddress: true,
+    },
+  });
+
+  if (!active.length) return [];
+
+  const started = await prisma.refreshToken.groupBy({
+    by: ["familyId"],
+    where: { familyId: { in: active.map((t) => t.familyId) } },
+    _min: { createdAt: true },
+  });
+  const startedMap = new Map(started.map((g) => [g.familyId, g._min.createdAt]));
+
+  return active.map((t) => ({
+    id: t.familyId,
+    signedInAt: startedMap.get(t.familyId) || t.createdAt,
+    lastUsedAt: t.createdAt,
+    expiresAt: t.expiresAt,
+    userAgent: t.userAgent,
+    ipAddress: t.ipAddress,
+  }));
+}
+
+async function revokeSession(userId, familyId, reason) {
+  const result = await prisma.refreshToken.updateMany({
+    where: { userId, familyId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.count;
+}
+
+async function revokeAllSessions(client, userId, reason) {
+  const result = await client.refreshToken.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.count;
+}
+
+/**
+ * Invalidate every token of a user: bumps tokenVersion (kills access tokens signed before now)
+ * and revokes all refresh tokens. Call inside the transaction that changes the user.
+ * reason: ROLE_CHANGED | FACILITY_CHANGED | PASSWORD_RESET | DEACTIVATED | ...
+ */
+async function revokeUserTokens(client, userId, reason) {
+  await client.user.update({
+    where: { id: userId },
+    data: { tokenVersion: { increment: 1 }, tokensRevokedReason: reason },
+  });
+  return revokeAllSessions(client, userId, reason);
+}
+
+/**
+ * Access tokens carry the session id ("sid"). A session is alive while its family still holds a
+ * usable refresh token, so signing a device out also stops its current access token.
+ */
+async function isSessionActive(familyId) {
+  const token = await prisma.refreshToken.findFirst({
+    where: { familyId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true },
+  });
+  return Boolean(token);
+}
+
+module.exports = {
+  hashToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshTokenFamily,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+  revokeUserTokens,
+  isSessionActive,
+};
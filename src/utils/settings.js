@@ -0,0 +1,43 @@
+const { prisma } = require("../db");
+
+// ---------------------------------------------------------------------------
+// Admin-editable system settings (SystemSetting key/value rows).
+// Values are cached briefly because some are read on every request (requireAuth).
+// ---------------------------------------------------------------------------
+
+const CACHE_MS = 60 * 1000;
+
+const DEFAULTS = {
+  // Roles that must use TOTP two-factor authentication
+  "auth.twoFactorRequiredRoles": [],
+  // Facility -> facility redistributions wait for the warehouse to approve them
+  "redistribution.requireApproval": false,
+  // Minimum days of shelf life a box must have left to be dispatched from a warehouse
+  "dispatch.minShelfLifeDays": 0,
+};
+
+const cache = new Map(); // key -> { value, at }
+
+async function getSetting(key) {
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.value;
+
+  const row = await prisma.systemSetting.findUnique({ where: { key } });
+  const value = row ? row.value : DEFAULTS[key] ?? null;
+
+  cache.set(key, { value, at: Date.now() });
+  return value;
+}
+
+async function setSetting(key, value, updatedByUserId) {
+  const row = await prisma.systemSetting.upsert({
+    where: { key },
+    update: { value, updatedByUserId: updatedByUserId || null },
+    create: { key, value, updatedByUserId: updatedByUserId || null },
+  });
+
+  cache.set(key, { value: row.value, at: Date.now() });
+  return row;
+}
+
+module.exports = { getSetting, setSetting };
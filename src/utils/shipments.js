@@ -0,0 +1,99 @@
+// ---------------------------------------------------------------------------
+// Shipment helpers shared by warehouse dispatch, facility redistribution and transit reporting.
+// ---------------------------------------------------------------------------
+
+const REDISTRIBUTION_APPROVAL_SETTING = "redistribution.requireApproval";
+
+// Used when the facility end of a leg has no Facility.expectedTransitDays, and for warehouse -> warehouse
+// transfers (no road between two warehouses is configured)
+const DEFAULT_TRANSIT_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Put boxes on the road: IN_TRANSIT, removed from stock at the source, one DISPATCH event each.
+ * Call inside the transaction that creates (or approves) the shipment.
+ */
+async function markBoxesInTransit(tx, { boxIds, performedByUserId, fromFacilityId, toFacilityId, note }) {
+  await tx.box.updateMany({
+    where: { id: { in: boxIds } },
+    data: {
+      status: "IN_TRANSIT",
+      currentFacilityId: null, // remove from source stock immediately
+    },
+  });
+
+  await tx.boxEvent.createMany({
+    data: boxIds.map((id) => ({
+      boxId: id,
+      type: "DISPATCH",
+      performedByUserId,
+      fromFacilityId,
+      toFacilityId,
+      note: note || null,
+    })),
+  });
+}
+
+/**
+ * ETA for a leg leaving now (or at dispatchedAt). Facility.expectedTransitDays is the road from the
+ * facility's parent warehouse, not a route between any two sites, so the shipment type decides:
+ *  - DISTRIBUTION: the destination facility's days; RETURN: the sending facility's days
+ *  - REDISTRIBUTION: no facility -> facility road is modelled; the longer of the two warehouse legs
+ *  - TRANSFER (warehouse -> warehouse): DEFAULT_TRANSIT_DAYS
+ */
+async function computeExpectedArrival(tx, { type, fromFacilityId, toFacilityId, dispatchedAt = new Date() }) {
+  const facilityEnds =
+    type === "DISTRIBUTION"
+      ? [toFacilityId]
+      : type === "RETURN"
+        ? [fromFacilityId]
+        : type === "REDISTRIBUTION"
+          ? [fromFacilityId, toFacilityId]
+          : [];
+
+  const ends = facilityEnds.length
+    ? await tx.facility.findMany({
+        where: { id: { in: facilityEnds }, type: "FACILITY" },
+        select: { expectedTransitDays: true },
+      })
+    : [];
+  const configured = ends.map((f) => f.expectedTransitDays).filter((d) => d !== null);
+  const days = configured.length ? Math.max(...configured) : DEFAULT_TRANSIT_DAYS;
+
+  return new Date(new Date(dispatchedAt).getTime() + days * DAY_MS);
+}
+
+/**
+ * On-time / late view of a shipment against its ETA (needs status, expectedArrivalAt, receivedAt).
+ *  - delivered (receivedAt set: RECEIVED, or PARTIALLY_RECEIVED closed with damaged/missing boxes):
+ *    onTime true/false, delayDays = days past the ETA (rounded up)
+ *  - still on the road: onTime null, overdue once the ETA has passed
+ */
+function transitStatus(shipment, now = new Date()) {
+  const eta = shipment.expectedArrivalAt ? new Date(shipment.expectedArrivalAt) : null;
+  const received = shipment.status === "RECEIVED" || shipment.status === "PARTIALLY_RECEIVED";
+  const delivered = received && !!shipment.receivedAt;
+  const open = shipment.status === "DISPATCHED" || (shipment.status === "PARTIALLY_RECEIVED" && !shipment.receivedAt);
+
+  if (!eta || (!delivered && !open)) {
+    return { expectedArrivalAt: eta, onTime: null, overdue: false, delayDays: 0 };
+  }
+
+  const lateMs = (delivered ? new Date(shipment.receivedAt) : now).getTime() - eta.getTime();
+  const delayDays = lateMs > 0 ? Math.ceil(lateMs / DAY_MS) : 0;
+
+  return {
+    expectedArrivalAt: eta,
+    onTime: delivered ? lateMs <= 0 : null,
+    overdue: open && lateMs > 0,
+    delayDays,
+  };
+}
+
+module.exports = {
+  REDISTRIBUTION_APPROVAL_SETTING,
+  DEFAULT_TRANSIT_DAYS,
+  markBoxesInTransit,
+  computeExpectedArrival,
+  transitStatus,
+};
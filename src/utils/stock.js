@@ -0,0 +1,48 @@
+const { hasPermission } = require("../middleware/rbac");
+
+// ---------------------------------------------------------------------------
+// Store-level access shared by stock counts and stock adjustments.
+// A "store" is the Facility record (warehouse or facility) holding the boxes.
+// ---------------------------------------------------------------------------
+
+// Statuses that count as "on the shelf" of a store (usable or held aside)
+function onHandStatuses(facility) {
+  const held = ["QUARANTINED", "EXPIRED"];
+  return facility.type === "WAREHOUSE" ? ["IN_WAREHOUSE", ...held] : ["IN_FACILITY", ...held];
+}
+
+// Work on the shelf happens on site: users act on their own store (SUPER_ADMIN on any store).
+function isOwnStore(user, facility) {
+  return hasPermission(user, "stock.manageAll") || String(user.facilityId || "") === facility.id;
+}
+
+// Warehouse staff oversee their warehouse and the facilities linked to it (expects facility.warehouseId).
+function isSupervisingWarehouse(user, facility) {
+  if (hasPermission(user, "stock.manageAll")) return true;
+  const warehouseId = user.warehouseId ? String(user.warehouseId) : null;
+  return !!warehouseId && (facility.id === warehouseId || facility.warehouseId === warehouseId);
+}
+
+/**
+ * Prisma filter for records of the stores a user may see: their own store, plus the stores their
+ * warehouse oversees when they hold approvePermission. null = nothing visible; {} = everything.
+ */
+function visibleStoresWhere(user, approvePermission) {
+  if (hasPermission(user, "stock.viewAll")) return {};
+
+  const visible = [];
+  if (user.facilityId) visible.push({ facilityId: String(user.facilityId) });
+  if (hasPermission(user, approvePermission) && user.warehouseId) {
+    const warehouseId = String(user.warehouseId);
+    visible.push({ facility: { OR: [{ id: warehouseId }, { warehouseId }] } });
+  }
+
+  return visible.length ? { OR: visible } : null;
+}
+
+module.exports = {
+  onHandStatuses,
+  isOwnStore,
+  isSupervisingWarehouse,
+  visibleStoresWhere,
+};
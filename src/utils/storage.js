@@ -0,0 +1,65 @@
+const fs = require("fs");
+const path = require("path");
+
+// ---------------------------------------------------------------------------
+// Pluggable file storage (proof-of-delivery images etc.)
+//
+// STORAGE=local (default)
+//  - local: files under STORAGE_LOCAL_DIR (default ./uploads), one file per key
+//
+// Other backends (S3, Azure Blob...) can be plugged in with registerStorage().
+// A backend is:
+//   async put(key, buffer, { contentType }) => void
+//   async get(key) => Buffer | null
+//   async remove(key) => void
+// Keys are relative paths like "shipments/<id>/signature-<random>.png".
+// ---------------------------------------------------------------------------
+
+function localPath(key) {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || "uploads");
+  const file = path.resolve(root, key);
+  // Keys are generated server-side, but never let one escape the storage root.
+  if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+  return file;
+}
+
+const backends = {
+  local: {
+    async put(key, buffer) {
+      const file = localPath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+
+    async get(key) {
+      try {
+        return await fs.promises.readFile(localPath(key));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await fs.promises.rm(localPath(key), { force: true });
+    },
+  },
+};
+
+function registerStorage(name, backend) {
+  for (const fn of ["put", "get", "remove"]) {
+    if (!backend || typeof backend[fn] !== "function") {
+      throw new Error(`Storage backend must implement ${fn}()`);
+    }
+  }
+  backends[name] = backend;
+}
+
+function getStorage() {
+  const name = String(process.env.STORAGE || "local").trim().toLowerCase();
+  const backend = backends[name];
+  if (!backend) throw new Error(`Unknown STORAGE "${name}"`);
+  return backend;
+}
+
+module.exports = { getStorage, registerStorage };
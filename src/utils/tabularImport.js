@@ -0,0 +1,154 @@
+const express = require("express");
+const { readSheet } = require("read-excel-file/node");
+
+// ---------------------------------------------------------------------------
+// CSV / XLSX uploads for bulk imports (facilities, users).
+// The file is sent as the raw request body:
+//   Content-Type: text/csv                                                      -> CSV
+//   Content-Type: application/vnd.openxmlformats-officedocument.spreadsheetml.sheet -> XLSX
+// The first row holds the column names; header matching ignores case, spaces, "_" and "-".
+// ---------------------------------------------------------------------------
+
+const MAX_IMPORT_ROWS = 2000;
+
+const importUpload = express.raw({
+  type: [
+    "text/csv",
+    "text/plain",
+    "application/csv",
+    "application/octet-stream",
+    "application/vnd.ms-excel",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ],
+  limit: "5mb",
+});
+
+function importError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, "" escapes, commas/newlines inside quotes, CRLF.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const src = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') inQuotes = true;
+    else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) throw importError("CSV has an unterminated quoted field");
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function normalizeHeader(h) {
+  return String(h ?? "").toLowerCase().replace(/[\s_-]/g, "");
+}
+
+function cellToString(v) {
+  if (v === null || v === undefined) return "";
+  if (v instanceof Date) return v.toISOString().slice(0, 10);
+  return String(v).trim();
+}
+
+/**
+ * Read the uploaded file into [{ rowNumber, values }].
+ * columns: canonical column names, e.g. ["code", "name", "warehouseCode"]; values are keyed by
+ * them (trimmed strings, "" when empty). Unknown columns are ignored; required columns missing
+ * from the header, empty files and files over maxRows throw err.status = 400.
+ */
+async function readImportRows(req, { columns, required = [], maxRows = MAX_IMPORT_ROWS }) {
+  const body = req.body;
+  if (!Buffer.isBuffer(body) || !body.length) {
+    throw importError("Upload the file as the request body (Content-Type: text/csv or .xlsx)");
+  }
+
+  // XLSX files are zip archives ("PK" magic)
+  const isXlsx = body[0] === 0x50 && body[1] === 0x4b;
+  let table;
+  try {
+    table = isXlsx ? await readSheet(body) : parseCsv(body.toString("utf8"));
+  } catch (err) {
+    if (err.status) throw err;
+    throw importError(`Could not read the ${isXlsx ? "XLSX" : "CSV"} file: ${err.message || err}`);
+  }
+
+  const [header, ...dataRows] = table;
+  if (!header) throw importError("The file is empty");
+
+  const byNormalized = new Map(columns.map((c) => [normalizeHeader(c), c]));
+  const positions = header.map((h) => byNormalized.get(normalizeHeader(h)) || null);
+
+  const missing = required.filter((c) => !positions.includes(c));
+  if (missing.length) throw importError(`Missing required column(s): ${missing.join(", ")}`);
+
+  const rows = [];
+  dataRows.forEach((cells, idx) => {
+    const values = Object.fromEntries(columns.map((c) => [c, ""]));
+    positions.forEach((col, i) => {
+      if (col) values[col] = cellToString(cells[i]);
+    });
+
+    // Skip blank lines (common at the end of exported sheets)
+    if (Object.values(values).every((v) => v === "")) return;
+
+    rows.push({ rowNumber: idx + 2, values });
+  });
+
+  if (!rows.length) throw importError("The file has no data rows");
+  if (rows.length > maxRows) throw importError(`Too many rows (max ${maxRows} per file)`);
+
+  return rows;
+}
+
+// ?dryRun=true|1 -> validate only
+function isDryRun(req) {
+  return ["true", "1"].includes(String(req.query.dryRun || "").toLowerCase());
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  importUpload,
+  parseCsv,
+  readImportRows,
+  isDryRun,
+};
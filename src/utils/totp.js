@@ -0,0 +1,120 @@
+const crypto = require("crypto");
+
+// ---------------------------------------------------------------------------
+// TOTP (RFC 6238): SHA-1, 6 digits, 30 second steps — what Google Authenticator,
+// Microsoft Authenticator, Authy etc. expect by default.
+// ---------------------------------------------------------------------------
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/[^A-Z2-7]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(ch);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Check a code against the current step ±window (clock drift on phones).
+ * Returns the matched step (use it to refuse replays) or null.
+ */
+function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+  const clean = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(clean)) return null;
+
+  const step = currentStep(now);
+  for (let i = -window; i <= window; i++) {
+    const candidate = hotp(secret, step + i);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(clean))) return step + i;
+  }
+  return null;
+}
+
+function buildOtpauthUrl({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// ---------- secret encryption at rest (AES-256-GCM) ----------
+
+function getEncryptionKey() {
+  const raw = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!raw) throw new Error("TOTP_ENCRYPTION_KEY (or JWT_SECRET) missing in .env");
+  return crypto.createHash("sha256").update(raw).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const enc = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv, tag, enc].map((b) => b.toString("base64")).join(".");
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, enc] = String(stored).split(".").map((p) => Buffer.from(p, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(enc), decipher.final()]).toString("utf8");
+}
+
+module.exports = {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  hotp,
+  currentStep,
+};
@@ -0,0 +1,82 @@
+const crypto = require("crypto");
+const { prisma } = require("../db");
+const { getSetting } = require("./settings");
+const { verifyTotp, decryptSecret } = require("./totp");
+
+const REQUIRED_ROLES_SETTING = "auth.twoFactorRequiredRoles";
+const RECOVERY_CODE_COUNT = 10;
+
+async function getTwoFactorRequiredRoles() {
+  const roles = await getSetting(REQUIRED_ROLES_SETTING);
+  return Array.isArray(roles) ? roles : [];
+}
+
+async function isTwoFactorRequiredFor(role) {
+  const roles = await getTwoFactorRequiredRoles();
+  return roles.includes(role);
+}
+
+function hashRecoveryCode(code) {
+  const clean = String(code).toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return crypto.createHash("sha256").update(clean).digest("hex");
+}
+
+/**
+ * Replace a user's recovery codes. Returns the plaintext codes: they are shown once only.
+ */
+async function generateRecoveryCodes(client, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex").toUpperCase();
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await client.totpRecoveryCode.deleteMany({ where: { userId } });
+  await client.totpRecoveryCode.createMany({
+    data: codes.map((c) => ({ userId, codeHash: hashRecoveryCode(c) })),
+  });
+
+  return codes;
+}
+
+/**
+ * Check the second factor of a user with TOTP enabled.
+ * Accepts either a TOTP code or a one-time recovery code.
+ * A TOTP code can only be used once (totpLastUsedStep), so an observed code cannot be replayed.
+ * Returns "TOTP" | "RECOVERY_CODE" on success, null otherwise.
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (!user.totpEnabled || !user.totpSecret) return null;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.totpSecret), code);
+    if (step === null) return null;
+    if (user.totpLastUsedStep !== null && step <= user.totpLastUsedStep) return null;
+
+    const claimed = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }],
+      },
+      data: { totpLastUsedStep: step },
+    });
+    return claimed.count ? "TOTP" : null;
+  }
+
+  if (recoveryCode) {
+    const used = await prisma.totpRecoveryCode.updateMany({
+      where: { userId: user.id, codeHash: hashRecoveryCode(recoveryCode), usedAt: null },
+      data: { usedAt: new Date() },
+    });
+    return used.count ? "RECOVERY_CODE" : null;
+  }
+
+  return null;
+}
+
+module.exports = {
+  REQUIRED_ROLES_SETTING,
+  getTwoFactorRequiredRoles,
+  isTwoFactorRequiredFor,
+  generateRecoveryCodes,
+  verifySecondFactor,
+};
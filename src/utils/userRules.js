@@ -0,0 +1,108 @@
+const { z } = require("zod");
+const { prisma } = require("../db");
+
+// Rules for creating / assigning users, shared by the admin user routes and the bulk CSV import.
+
+const USER_ROLES = ["SUPER_ADMIN", "WAREHOUSE_OFFICER", "FACILITY_OFFICER", "CLINICIAN", "VIEWER"];
+
+const createUserSchema = z.object({
+  email: z.string().email(),
+  fullName: z.string().min(2),
+  password: z.string().min(8),
+  role: z.enum(USER_ROLES),
+  facilityCode: z.string().min(1).optional(),
+  adminUnitCode: z.string().min(1).optional(),
+});
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function roleHasFacility(role) {
+  return role !== "SUPER_ADMIN" && role !== "VIEWER";
+}
+
+/**
+ * Facility assignment rules shared by create + update + import:
+ * - SUPER_ADMIN / VIEWER: no facility
+ * - WAREHOUSE_OFFICER: must sit on a WAREHOUSE
+ * - everyone else: must sit on a FACILITY that is linked to a warehouse
+ * facility is the record found for facilityCode (null when none), so bulk callers can load them
+ * all at once. Returns the facilityId to store (or null). Throws err.status=400 when the rules
+ * are broken.
+ */
+function checkFacilityForRole(role, facilityCode, facility) {
+  if (!roleHasFacility(role)) return null;
+
+  if (!facilityCode) throw badRequest("facilityCode is required for this role");
+
+  if (!facility) {
+    throw badRequest(
+      `Facility with code "${facilityCode}" not found. Create it first using POST /api/facilities, or pick an existing one.`
+    );
+  }
+
+  if (!facility.isActive) {
+    throw badRequest(`Facility "${facility.code}" is deactivated. Pick an active facility.`);
+  }
+
+  if (role === "WAREHOUSE_OFFICER" && facility.type !== "WAREHOUSE") {
+    throw badRequest(
+      `WAREHOUSE_OFFICER must be assigned to a WAREHOUSE facility. "${facilityCode}" is type "${facility.type}".`
+    );
+  }
+
+  if (role !== "WAREHOUSE_OFFICER" && facility.type !== "FACILITY") {
+    throw badRequest(
+      `${role} must be assigned to a FACILITY (not a warehouse). "${facilityCode}" is type "${facility.type}".`
+    );
+  }
+
+  if (role !== "WAREHOUSE_OFFICER" && !facility.warehouseId) {
+    throw badRequest(
+      `Facility "${facility.code}" is not linked to a warehouse yet (warehouseId is null). Link it first.`
+    );
+  }
+
+  return facility.id;
+}
+
+async function resolveFacilityIdForRole(role, facilityCode) {
+  const facility =
+    roleHasFacility(role) && facilityCode ? await prisma.facility.findUnique({ where: { code: facilityCode } }) : null;
+  return checkFacilityForRole(role, facilityCode, facility);
+}
+
+/**
+ * Administrative unit assignment (county / sub-county coordinators): VIEWER only, since the unit
+ * replaces the all-facilities dashboard scope of that role. unit is the record found for
+ * adminUnitCode (null when none).
+ * Returns the adminUnitId to store (or null). Throws err.status=400 when the rules are broken.
+ */
+function checkAdminUnitForRole(role, adminUnitCode, unit) {
+  if (!adminUnitCode) return null;
+
+  if (role !== "VIEWER") throw badRequest("Only VIEWER users can be assigned to an administrative unit");
+
+  if (!unit) throw badRequest(`Administrative unit with code "${adminUnitCode}" not found.`);
+
+  return unit.id;
+}
+
+async function resolveAdminUnitIdForRole(role, adminUnitCode) {
+  const unit =
+    adminUnitCode && role === "VIEWER" ? await prisma.adminUnit.findUnique({ where: { code: adminUnitCode } }) : null;
+  return checkAdminUnitForRole(role, adminUnitCode, unit);
+}
+
+module.exports = {
+  USER_ROLES,
+  createUserSchema,
+  badRequest,
+  checkFacilityForRole,
+  resolveFacilityIdForRole,
+  checkAdminUnitForRole,
+  resolveAdminUnitIdForRole,
+};